@@ -0,0 +1,119 @@
+'use strict';
+const mongoose = require('mongoose');
+
+mongoose.Promise = global.Promise;
+
+const ACTIONS = ['create', 'update', 'rollback', 'status', 'delete', 'restore', 'purge'];
+
+// One thing that happened to an assignment, kept for good. `before` and
+// `after` hold only the fields that changed. Edits to the shared name, date
+// and category carry the revision they produced; changes to one student's
+// copy (status, trash) name the student instead.
+const AuditEntrySchema = mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {type: String, enum: ACTIONS, required: true},
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: {type: Date, default: Date.now},
+  revision: {type: Number, default: null},
+  // for rollbacks, the revision that was brought back
+  rolledBackTo: {type: Number, default: null},
+  before: {type: mongoose.Schema.Types.Mixed, default: null},
+  after: {type: mongoose.Schema.Types.Mixed, default: null}
+});
+
+AuditEntrySchema.index({assignment: 1, at: 1});
+
+// The log is append-only: entries are never saved twice or updated
+AuditEntrySchema.pre('save', function(next) {
+  next(this.isNew ? null : new Error('Audit entries cannot be changed'));
+});
+['update', 'updateOne', 'updateMany', 'findOneAndUpdate'].forEach(op => {
+  AuditEntrySchema.pre(op, function(next) {
+    next(new Error('Audit entries cannot be changed'));
+  });
+});
+
+// Only the fields whose values differ between two snapshots
+function diff(before, after) {
+  const changes = {before: {}, after: {}};
+  Object.keys(after).forEach(field => {
+    if (String(before[field]) !== String(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  });
+  return changes;
+}
+
+// Logs a change to one student's copy of an assignment
+AuditEntrySchema.statics.logStudentChange = function(record, action, userID, before, after) {
+  return this.create({
+    assignment: record.assignment._id || record.assignment,
+    student: record.student._id || record.student,
+    action,
+    by: userID,
+    before,
+    after
+  });
+};
+
+function userSummary(user) {
+  return user && user.username ? {
+    id: user._id,
+    username: user.username,
+    firstName: user.firstName || '',
+    lastName: user.lastName || ''
+  } : user;
+}
+
+// Expects `by` and `student` to be populated
+AuditEntrySchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    action: this.action,
+    at: this.at,
+    by: userSummary(this.by),
+    student: userSummary(this.student),
+    revision: this.revision,
+    rolledBackTo: this.rolledBackTo,
+    before: this.before,
+    after: this.after
+  };
+};
+
+// Replays a log, oldest first, into the full name, date and category at
+// each revision. When the log starts with an edit rather than the creation
+// (assignments made before there was a log), what that edit replaced is the
+// earliest revision we know of.
+function revisionsFrom(entries) {
+  const revisions = [];
+  let content = null;
+  entries.filter(entry => entry.revision !== null).forEach(entry => {
+    if (!content) {
+      content = Object.assign({}, entry.before);
+      if (entry.action !== 'create') {
+        revisions.push({revision: entry.revision - 1, at: null, by: null, content});
+      }
+    }
+    content = Object.assign({}, content, entry.after);
+    revisions.push({revision: entry.revision, at: entry.at, by: userSummary(entry.by), content});
+  });
+  return revisions;
+}
+
+const AuditEntry = mongoose.model('AuditEntry', AuditEntrySchema);
+
+module.exports = {AuditEntry, diff, revisionsFrom, ACTIONS};
@@ -0,0 +1,105 @@
+'use strict';
+const {validationError, string, number, date, id, object, list} = require('../validation');
+const {Piece} = require('../repertoire/models');
+const {FREQUENCIES, WEEKDAYS, MAX_OCCURRENCES, occurrenceDates} = require('./series');
+
+const NAME_MAX_LENGTH = 200;
+
+// Validation rules for what a teacher types in when setting an assignment,
+// shared by the routes that create one for a student or a class. Edits may
+// leave fields out and can't change the piece, so they use
+// assignmentFields({required: false}).
+// A new assignment may leave out its name when it is of a repertoire piece;
+// withPiece fills it in. With a `recurrence` rule it repeats, starting on
+// assignmentDate; withRecurrence works out when.
+function assignmentFields({required = true} = {}) {
+  const fields = {
+    assignmentName: string({trim: true, notBlank: true, max: NAME_MAX_LENGTH}),
+    assignmentDate: date({required}),
+    category: id({message: 'No such category'})
+  };
+  if (!required) {
+    return fields;
+  }
+  return Object.assign(fields, {
+    piece: id({message: 'No such piece'}),
+    section: string({trim: true, max: 100}),
+    measureFrom: number({integer: true, min: 1}),
+    measureTo: number({integer: true, min: 1}),
+    recurrence: object({
+      frequency: string({required: true, oneOf: FREQUENCIES}),
+      interval: number({integer: true, min: 1, max: 52}),
+      weekdays: list(string({oneOf: WEEKDAYS}), {max: WEEKDAYS.length}),
+      until: date(),
+      count: number({integer: true, min: 1, max: MAX_OCCURRENCES})
+    })
+  });
+}
+
+function sendProblem(res, message, location) {
+  return res.status(422).json(validationError([{message, location}]));
+}
+
+// Runs after validate(assignmentFields()): loads the piece the assignment is
+// of into req.piece and names the assignment after it if it has no name
+async function withPiece(req, res, next) {
+  const {piece, measureFrom, measureTo} = req.body;
+  if (measureFrom && measureTo && measureTo < measureFrom) {
+    return sendProblem(res, 'Must not come before measureFrom', 'measureTo');
+  }
+  try {
+    req.piece = piece ? await Piece.findById(piece) : null;
+    if (piece && !req.piece) {
+      return sendProblem(res, 'No such piece', 'piece');
+    }
+    if (!req.body.assignmentName) {
+      if (!req.piece) {
+        return sendProblem(res, 'Missing field', 'assignmentName');
+      }
+      req.body.assignmentName = req.piece.assignmentName(req.body);
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({error: 'something went horribly awry'});
+  }
+}
+
+// Runs after validate(assignmentFields()): puts the due dates of a repeating
+// assignment's occurrences in req.occurrences
+function withRecurrence(req, res, next) {
+  const rule = req.body.recurrence;
+  if (!rule) {
+    return next();
+  }
+  if (rule.frequency !== 'weekly' && rule.weekdays && rule.weekdays.length) {
+    return sendProblem(res, 'Only for weekly recurrence', 'recurrence.weekdays');
+  }
+  if (!rule.until && !rule.count) {
+    return sendProblem(res, 'Needs an until date or a count', 'recurrence');
+  }
+  if (rule.until && rule.until < req.body.assignmentDate) {
+    return sendProblem(res, 'Must not come before assignmentDate', 'recurrence.until');
+  }
+  const dates = occurrenceDates(req.body.assignmentDate, rule);
+  if (dates.length > MAX_OCCURRENCES) {
+    return sendProblem(res, `Must make at most ${MAX_OCCURRENCES} occurrences`, 'recurrence.until');
+  }
+  if (!dates.length) {
+    return sendProblem(res, 'Must make at least 1 occurrence', 'recurrence');
+  }
+  req.occurrences = dates;
+  next();
+}
+
+// The fields of a new assignment that come from the piece
+function pieceFields(req) {
+  return {
+    piece: req.piece ? req.piece._id : null,
+    section: req.body.section || '',
+    measureFrom: req.body.measureFrom || null,
+    measureTo: req.body.measureTo || null
+  };
+}
+
+module.exports = {assignmentFields, withPiece, withRecurrence, pieceFields, NAME_MAX_LENGTH};
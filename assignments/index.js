@@ -0,0 +1,23 @@
+'use strict';
+const {Assignment, StudentAssignment, AuditEntry, STATUSES} = require('./models');
+const {assignmentFields, withPiece, withRecurrence, pieceFields} = require('./fields');
+const {Series, createOccurrences, reviseFollowing} = require('./series');
+const {etagOf, isCurrent} = require('./versions');
+const {router} = require('./router');
+
+module.exports = {
+  Assignment,
+  StudentAssignment,
+  AuditEntry,
+  Series,
+  STATUSES,
+  assignmentFields,
+  withPiece,
+  withRecurrence,
+  pieceFields,
+  createOccurrences,
+  reviseFollowing,
+  etagOf,
+  isCurrent,
+  router
+};
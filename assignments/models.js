@@ -0,0 +1,307 @@
+'use strict';
+const mongoose = require('mongoose');
+const uuidv4 = require('uuid/v4');
+const {Attachment} = require('../attachments/models');
+const {AuditEntry, diff} = require('./audit');
+
+mongoose.Promise = global.Promise;
+
+// One piece of work set by a teacher. It can be handed out to any number of
+// students through StudentAssignment records.
+const AssignmentSchema = mongoose.Schema({
+  uuid: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  assignmentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  assignmentDate: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // set when the assignment was given to a whole class
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  // students who join the class later get the assignment too
+  includeNewStudents: {type: Boolean, default: false},
+  // for an assignment targeted at students by profile, the class and filter
+  // it was made for (see assignments/targets.js)
+  target: {type: mongoose.Schema.Types.Mixed, default: null},
+  // gradebook category the assignment's scores count towards
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradeCategory',
+    default: null
+  },
+  // the repertoire piece it was made from, and which part of it
+  piece: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Piece',
+    default: null
+  },
+  section: {type: String, default: '', trim: true},
+  measureFrom: {type: Number, min: 1, default: null},
+  measureTo: {type: Number, min: 1, default: null},
+  // set on each occurrence of a repeating assignment, numbered from 1
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  occurrence: {type: Number, min: 1, default: null},
+  // goes up by one with every edit to the fields in content()
+  revision: {type: Number, default: 1}
+}, {timestamps: true});
+
+// files the teacher attached, kept in the Attachment collection
+AssignmentSchema.virtual('attachments', {
+  ref: 'Attachment',
+  localField: '_id',
+  foreignField: 'assignment'
+});
+
+AssignmentSchema.index({assignmentDate: 1});
+AssignmentSchema.index({class: 1});
+AssignmentSchema.index({createdBy: 1, assignmentDate: 1});
+AssignmentSchema.index({piece: 1});
+AssignmentSchema.index({series: 1, occurrence: 1});
+
+// The fields shared by every student the assignment went to, as the audit
+// log records them
+AssignmentSchema.methods.content = function() {
+  const category = this.category && (this.category._id || this.category);
+  return {
+    assignmentName: this.assignmentName,
+    assignmentDate: formatDate(this.assignmentDate),
+    category: category ? String(category) : null,
+    includeNewStudents: Boolean(this.includeNewStudents)
+  };
+};
+
+// Creates an assignment and starts its log at revision 1. One made from a
+// repertoire piece starts with the piece's attachments.
+AssignmentSchema.statics.createLogged = function(fields) {
+  let assignment;
+  return this.create(fields)
+    .then(created => {
+      assignment = created;
+      return assignment.piece && Attachment.copyFromPiece(assignment.piece, assignment._id);
+    })
+    .then(() => AuditEntry.create({
+      assignment: assignment._id,
+      action: 'create',
+      by: assignment.createdBy,
+      revision: assignment.revision,
+      after: assignment.content()
+    }))
+    .then(() => assignment);
+};
+
+// Applies changes to the shared fields as a new revision, logging what they
+// were before and after. Changes that don't change anything aren't logged.
+// `action` is 'update', or 'rollback' with the revision brought back.
+// The write only goes through if the assignment is still at the revision it
+// was loaded at, so of two teachers saving at once one wins and the other
+// resolves to null and can look at what changed. Either way, reload the
+// assignment rather than reusing this document.
+AssignmentSchema.methods.revise = function(changes, userID, action = 'update', rolledBackTo = null) {
+  const before = this.content();
+  Object.keys(changes)
+    .filter(field => changes[field] !== undefined)
+    .forEach(field => this.set(field, changes[field]));
+  const changed = diff(before, this.content());
+  const fields = Object.keys(changed.after);
+  if (!fields.length) {
+    return Promise.resolve(this);
+  }
+  const revision = this.revision || 1;
+  const $set = {revision: revision + 1};
+  fields.forEach(field => {
+    $set[field] = this.get(field);
+  });
+  return this.constructor.findOneAndUpdate(
+    // assignments made before revisions were counted have none stored
+    {_id: this._id, revision: revision === 1 ? {$in: [1, null]} : revision},
+    {$set},
+    {new: true}
+  ).then(assignment => {
+    if (!assignment) {
+      return null;
+    }
+    return AuditEntry.create({
+      assignment: assignment._id,
+      action,
+      by: userID,
+      revision: assignment.revision,
+      rolledBackTo,
+      before: changed.before,
+      after: changed.after
+    }).then(() => assignment);
+  });
+};
+
+// The life of a student's assignment, in order
+const STATUSES = ['assigned', 'in_progress', 'submitted', 'reviewed'];
+
+// Allowed moves between statuses and who may make each one
+const TRANSITIONS = {
+  assigned: {in_progress: 'student', submitted: 'student'},
+  in_progress: {submitted: 'student'},
+  submitted: {reviewed: 'teacher', in_progress: 'teacher'},
+  reviewed: {in_progress: 'teacher'}
+};
+
+const StatusChangeSchema = mongoose.Schema({
+  status: {type: String, enum: STATUSES, required: true},
+  at: {type: Date, default: Date.now},
+  by: {type: mongoose.Schema.Types.ObjectId, ref: 'User'}
+}, {_id: false});
+
+// Links an assignment to one student. Its uuid is the `id` clients see in
+// a student's `Assignments` list.
+const StudentAssignmentSchema = mongoose.Schema({
+  uuid: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  status: {type: String, enum: STATUSES, default: 'assigned'},
+  statusHistory: {type: [StatusChangeSchema], default: []},
+  // set while the record sits in the student's trash
+  deletedAt: {type: Date, default: null}
+}, {timestamps: true});
+
+StudentAssignmentSchema.index({student: 1, assignment: 1}, {unique: true});
+StudentAssignmentSchema.index({assignment: 1});
+
+// Dates travel as YYYY-MM-DD, the format of the dashboard's date inputs
+function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : '';
+}
+
+// The piece's id, or its title and composer when populated
+function serializePiece(piece) {
+  if (!piece || !piece.title) {
+    return piece || null;
+  }
+  return {id: piece._id, title: piece.title, composer: piece.composer || '', arranger: piece.arranger || ''};
+}
+
+// The series the occurrence is in, described when populated
+function serializeSeries(series, occurrence) {
+  if (!series || !series.serialize) {
+    return series || null;
+  }
+  return Object.assign(series.serialize(), {occurrence});
+}
+
+// Expects `assignment` to be populated. If its `createdBy`, `piece` or
+// `series` are populated too, the teacher's name, the piece's title and how
+// the assignment repeats are included.
+StudentAssignmentSchema.methods.serialize = function() {
+  const assignment = this.assignment || {};
+  const createdBy = assignment.createdBy;
+  const teacher = createdBy && createdBy.username ? {
+    id: createdBy._id,
+    username: createdBy.username,
+    firstName: createdBy.firstName || '',
+    lastName: createdBy.lastName || ''
+  } : null;
+  return {
+    id: this.uuid,
+    assignmentID: assignment.uuid,
+    assignmentName: assignment.assignmentName || '',
+    assignmentDate: formatDate(assignment.assignmentDate),
+    // send it back when editing, so a save can't undo someone else's
+    revision: assignment.revision || 1,
+    createdBy: teacher ? teacher.id : createdBy,
+    teacher,
+    class: assignment.class || null,
+    target: assignment.target || null,
+    category: assignment.category || null,
+    piece: serializePiece(assignment.piece),
+    section: assignment.section || '',
+    measureFrom: assignment.measureFrom || null,
+    measureTo: assignment.measureTo || null,
+    series: serializeSeries(assignment.series, assignment.occurrence),
+    attachments: (assignment.attachments || []).map(a => a.serialize()),
+    status: this.status || 'assigned',
+    statusHistory: (this.statusHistory || []).map(change => ({
+      status: change.status,
+      at: change.at,
+      by: change.by
+    }))
+  };
+};
+
+// Returns the role ('student' or 'teacher') allowed to move this record to
+// `status`, or null if that move is not allowed at all
+StudentAssignmentSchema.methods.transitionRole = function(status) {
+  const allowed = TRANSITIONS[this.status || 'assigned'] || {};
+  return allowed[status] || null;
+};
+
+// Moves the record to `status` unless someone else changed it first.
+// Resolves to the updated record, or null on a lost race.
+StudentAssignmentSchema.methods.transitionTo = function(status, userID) {
+  return StudentAssignment.findOneAndUpdate(
+    {_id: this._id, status: this.status},
+    {
+      $set: {status},
+      $push: {statusHistory: {status, at: new Date(), by: userID}}
+    },
+    {new: true}
+  ).then(updated => {
+    if (!updated) {
+      return null;
+    }
+    return AuditEntry.logStudentChange(this, 'status', userID, {status: this.status}, {status})
+      .then(() => updated);
+  });
+};
+
+// Hands an assignment out to each of the given students. Students who
+// already have it keep their record, pulled back out of the trash if needed.
+AssignmentSchema.methods.assignTo = function(studentIDs) {
+  return Promise.all(studentIDs.map(student =>
+    StudentAssignment.findOneAndUpdate(
+      {student, assignment: this._id},
+      {
+        $set: {deletedAt: null},
+        $setOnInsert: {
+          uuid: uuidv4(),
+          status: 'assigned',
+          statusHistory: [{status: 'assigned', at: new Date(), by: this.createdBy}]
+        }
+      },
+      {upsert: true, new: true}
+    )
+  ));
+};
+
+const Assignment = mongoose.model('Assignment', AssignmentSchema);
+const StudentAssignment = mongoose.model('StudentAssignment', StudentAssignmentSchema);
+
+module.exports = {Assignment, StudentAssignment, AuditEntry, formatDate, STATUSES};
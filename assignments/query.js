@@ -0,0 +1,205 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const { Assignment, StudentAssignment, STATUSES } = require('./models');
+const { Class } = require('../classes/models');
+const { string, date, id, custom } = require('../validation');
+const { PAGE_SIZE, escapeRegExp, encodeCursor, decodeCursor, pageFields } = require('../lib/paging');
+
+const GROUPS = ['student', 'assignment'];
+
+// Pages are sorted by due date, so cursors hold the last record's
+function readDue(value) {
+  const due = new Date(value);
+  return typeof value === 'string' && !isNaN(due.getTime()) ? due : undefined;
+}
+
+// The query string GET /api/assignments takes, for
+// validate(assignmentQuery, 'query')
+const assignmentQuery = Object.assign({
+  dueFrom: date(),
+  dueTo: date(),
+  status: custom(status =>
+    typeof status === 'string' && status.split(',').every(s => STATUSES.includes(s))
+      ? { value: status }
+      : { message: `Must be one or more of ${STATUSES.join(', ')}, separated by commas` }
+  ),
+  student: id({ message: 'No such student' }),
+  class: id({ message: 'No such class' }),
+  name: string({ trim: true, max: 200 }),
+  group: string({ oneOf: GROUPS })
+}, pageFields(readDue));
+
+// Turns a query string that passed assignmentQuery into the search
+// findRecords takes, with the defaults the schema leaves out of the link to
+// the next page
+function parseAssignmentQuery(query) {
+  return {
+    dueFrom: query.dueFrom || null,
+    dueTo: query.dueTo || null,
+    statuses: query.status ? query.status.split(',') : null,
+    studentID: query.student || null,
+    classID: query.class || null,
+    name: query.name || '',
+    group: query.group || null,
+    limit: query.limit || PAGE_SIZE.default,
+    after: query.cursor ? decodeCursor(query.cursor, readDue) : null
+  };
+}
+
+// The teacher's assignments that match the date range and name
+function matchingAssignments(teacherID, search) {
+  const filter = { createdBy: teacherID };
+  if (search.dueFrom || search.dueTo) {
+    filter.assignmentDate = {};
+    if (search.dueFrom) {
+      filter.assignmentDate.$gte = new Date(search.dueFrom);
+    }
+    if (search.dueTo) {
+      filter.assignmentDate.$lte = new Date(search.dueTo);
+    }
+  }
+  if (search.name) {
+    filter.assignmentName = new RegExp(escapeRegExp(search.name), 'i');
+  }
+  return Assignment.distinct('_id', filter);
+}
+
+// Conditions on the student records themselves: not trashed, status,
+// student and class roster
+function recordFilter(teacherID, search, assignmentIDs) {
+  const conditions = [{ assignment: { $in: assignmentIDs } }, { deletedAt: null }];
+  if (search.statuses) {
+    conditions.push({ status: { $in: search.statuses } });
+  }
+  if (search.studentID) {
+    conditions.push({ student: mongoose.Types.ObjectId(search.studentID) });
+  }
+  const roster = search.classID
+    ? Class.distinct('students', { _id: search.classID, teacher: teacherID })
+    : Promise.resolve(null);
+  return roster.then(studentIDs => {
+    if (studentIDs) {
+      conditions.push({ student: { $in: studentIDs } });
+    }
+    return { $and: conditions };
+  });
+}
+
+function populated(query) {
+  return query
+    .populate('assignment')
+    .populate('student', 'username firstName lastName');
+}
+
+// Resolves to {records, next}: one page of the teacher's students' records,
+// soonest due first, and the cursor of the next page (or null)
+function findRecords(teacherID, search) {
+  return matchingAssignments(teacherID, search)
+    .then(assignmentIDs => recordFilter(teacherID, search, assignmentIDs))
+    .then(filter => {
+      const pipeline = [
+        { $match: filter },
+        {
+          $lookup: {
+            from: Assignment.collection.name,
+            localField: 'assignment',
+            foreignField: '_id',
+            as: 'assignment'
+          }
+        },
+        { $unwind: '$assignment' },
+        { $project: { due: '$assignment.assignmentDate' } }
+      ];
+      if (search.after) {
+        const afterID = mongoose.Types.ObjectId(search.after.id);
+        pipeline.push({
+          $match: {
+            $or: [
+              { due: { $gt: search.after.value } },
+              { due: search.after.value, _id: { $gt: afterID } }
+            ]
+          }
+        });
+      }
+      // one extra tells us whether there is a next page
+      pipeline.push({ $sort: { due: 1, _id: 1 } }, { $limit: search.limit + 1 });
+      return StudentAssignment.aggregate(pipeline);
+    })
+    .then(rows => {
+      const page = rows.slice(0, search.limit);
+      const last = page[page.length - 1];
+      const next = rows.length > search.limit ? encodeCursor(last.due.toISOString(), last._id) : null;
+      return populated(StudentAssignment.find({ _id: { $in: page.map(row => row._id) } }))
+        .then(records => {
+          const byID = new Map(records.map(record => [String(record._id), record]));
+          return { records: page.map(row => byID.get(String(row._id))).filter(Boolean), next };
+        });
+    });
+}
+
+// Every matching record, for the grouped views
+function findAllRecords(teacherID, search) {
+  return matchingAssignments(teacherID, search)
+    .then(assignmentIDs => recordFilter(teacherID, search, assignmentIDs))
+    .then(filter => populated(StudentAssignment.find(filter)));
+}
+
+function studentSummary(student) {
+  return {
+    id: student._id,
+    username: student.username,
+    firstName: student.firstName || '',
+    lastName: student.lastName || ''
+  };
+}
+
+// One row of the list: the student's copy plus who the student is
+function serializeRecord(record) {
+  return Object.assign(record.serialize(), { student: studentSummary(record.student) });
+}
+
+function countStatuses(records) {
+  const counts = {};
+  STATUSES.forEach(status => {
+    counts[status] = records.filter(record => (record.status || 'assigned') === status).length;
+  });
+  return counts;
+}
+
+// Groups records by student or by assignment, each group with how many of
+// its records are at each status. Groups come soonest due first.
+function groupRecords(records, group) {
+  const sorted = records
+    .filter(record => record.assignment && record.student)
+    .sort((a, b) => a.assignment.assignmentDate - b.assignment.assignmentDate);
+  const groups = new Map();
+  sorted.forEach(record => {
+    const key = String(group === 'student' ? record.student._id : record.assignment._id);
+    if (!groups.has(key)) {
+      groups.set(key, { record, members: [] });
+    }
+    groups.get(key).members.push(record);
+  });
+
+  return Array.from(groups.values()).map(({ record, members }) => {
+    if (group === 'student') {
+      return {
+        student: studentSummary(record.student),
+        counts: countStatuses(members),
+        Assignments: members.map(member => member.serialize())
+      };
+    }
+    const { assignmentID, assignmentName, assignmentDate } = record.serialize();
+    return {
+      assignment: { id: assignmentID, assignmentName, assignmentDate, class: record.assignment.class },
+      counts: countStatuses(members),
+      students: members.map(member => Object.assign(studentSummary(member.student), {
+        recordID: member.uuid,
+        status: member.status || 'assigned'
+      }))
+    };
+  });
+}
+
+module.exports = { assignmentQuery, parseAssignmentQuery, findRecords, findAllRecords, serializeRecord, groupRecords };
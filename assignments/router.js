@@ -0,0 +1,209 @@
+'use strict';
+const express = require('express');
+const querystring = require('querystring');
+const bodyParser = require('body-parser');
+
+const { policy } = require('../auth');
+const { GradeCategory } = require('../grades/models');
+const { levelRangeProblem } = require('../users/profile');
+const { validate, validationError, number } = require('../validation');
+const { Assignment, StudentAssignment, formatDate } = require('./models');
+const { AuditEntry, revisionsFrom } = require('./audit');
+const { etagOf, isCurrent } = require('./versions');
+const { assignmentFields, withPiece, withRecurrence, pieceFields } = require('./fields');
+const { createOccurrences } = require('./series');
+const { targetFields, targetOf, studentsMatching } = require('./targets');
+const { assignmentQuery, parseAssignmentQuery, findRecords, findAllRecords, serializeRecord, groupRecords } = require('./query');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+// The teacher's assignments across all their students, one row per student
+// copy, soonest due first. Narrow it down with dueFrom and dueTo (inclusive
+// YYYY-MM-DD), status (comma separated), student, class and name (part of
+// the assignment name). Pages hold `limit` rows; the Link header points at
+// the next one. With group=student or group=assignment every match comes
+// back at once, grouped, with a count of each status.
+router.get('/', policy.teacher, validate(assignmentQuery, 'query'), async (req, res) => {
+  const search = parseAssignmentQuery(req.query)
+
+  try {
+    if (search.group) {
+      const records = await findAllRecords(req.user.id, search)
+      return res.json(groupRecords(records, search.group))
+    }
+    const { records, next } = await findRecords(req.user.id, search)
+    if (next) {
+      const query = querystring.stringify(Object.assign({}, req.query, { cursor: next }))
+      res.links({ next: `${req.baseUrl}?${query}` })
+    }
+    res.json(records.map(serializeRecord))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const targetedAssignment = validate(Object.assign(assignmentFields(), { target: targetFields }))
+
+function sendProblem(res, message, location) {
+  return res.status(422).json(validationError([{ message, location }]))
+}
+
+// Creates an assignment for the teacher's students whose profile matches
+// `target`, e.g. every clarinet of level 2 and up in one class. The filter
+// picks the students once, now; students who match it later don't get the
+// assignment.
+router.post('/', policy.teacher, jsonParser, targetedAssignment, withPiece, withRecurrence, async (req, res) => {
+  const target = targetOf(req.body.target)
+  if (!Object.keys(target).some(field => field !== 'class')) {
+    return sendProblem(res, 'Needs at least one of instrument, chair, part, minLevel and maxLevel', 'target')
+  }
+  const levels = levelRangeProblem(target, 'target.')
+  if (levels) {
+    return res.status(422).json(validationError([levels]))
+  }
+
+  try {
+    let category = null
+    if (req.body.category) {
+      category = await GradeCategory.findOwned(req.body.category, req.user.id)
+      if (!category) {
+        return sendProblem(res, 'No such category', 'category')
+      }
+    }
+    const students = await studentsMatching(req.user.id, target)
+    if (!students.length) {
+      return sendProblem(res, 'No students of yours match', 'target')
+    }
+
+    const assignments = await createOccurrences(Object.assign({
+      assignmentName: req.body.assignmentName,
+      assignmentDate: req.body.assignmentDate,
+      createdBy: req.user.id,
+      target,
+      category: category && category._id
+    }, pieceFields(req)), req.body.recurrence, req.occurrences)
+    await Promise.all(assignments.map(a => a.assignTo(students)))
+    const [assignment] = assignments
+    res.status(201).json({
+      id: assignment.uuid,
+      assignmentName: assignment.assignmentName,
+      assignmentDate: formatDate(assignment.assignmentDate),
+      target,
+      category: assignment.category,
+      piece: assignment.piece,
+      assignedTo: students,
+      // one for a single assignment, or one per occurrence
+      occurrences: assignments.map(a => ({ id: a.uuid, assignmentDate: formatDate(a.assignmentDate) }))
+    })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Loads the assignment named in the URL into req.assignment. The assigning
+// teacher may see all of it, a student it went to only their own copy.
+async function loadAssignment(req, res, next) {
+  try {
+    const assignment = await Assignment.findOne({ uuid: req.params.assignmentID })
+    if (!assignment) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    req.isAssigningTeacher = String(assignment.createdBy) === req.user.id
+    if (!req.isAssigningTeacher) {
+      const count = await StudentAssignment.count({ assignment: assignment._id, student: req.user.id })
+      if (!count) {
+        return res.status(403).json({ message: 'Only the assigning teacher and its students can see this' })
+      }
+    }
+    req.assignment = assignment
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// The name, date and category, with the revision they are at
+function currentState(assignment) {
+  return { id: assignment.uuid, revision: assignment.revision || 1, content: assignment.content() }
+}
+
+// The assignment as it is now. The ETag goes in If-Match when editing it.
+router.get('/:assignmentID', policy.loggedIn, loadAssignment, (req, res) => {
+  res.set('ETag', etagOf(req.assignment))
+  res.json(currentState(req.assignment))
+});
+
+function historyOf(assignment) {
+  return AuditEntry
+    .find({ assignment: assignment._id })
+    .sort({ at: 1, _id: 1 })
+    .populate('by', 'username firstName lastName')
+    .populate('student', 'username firstName lastName')
+}
+
+// Every change to the assignment, oldest first, plus the full name, date and
+// category at each revision
+router.get('/:assignmentID/history', policy.loggedIn, loadAssignment, async (req, res) => {
+  try {
+    const entries = await historyOf(req.assignment)
+    // students don't see what happened to their classmates' copies
+    const visible = req.isAssigningTeacher
+      ? entries
+      : entries.filter(entry => !entry.student || String(entry.student._id) === req.user.id)
+    res.json({
+      id: req.assignment.uuid,
+      revision: req.assignment.revision,
+      entries: visible.map(entry => entry.serialize()),
+      revisions: revisionsFrom(entries)
+    })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Puts the name, date and category back the way they were at an earlier
+// revision. The rollback is itself a new revision, so it can be undone too.
+// Like edits, it honours If-Match.
+const rollback = validate({ revision: number({ required: true, integer: true, min: 1 }) })
+
+router.post('/:assignmentID/rollback', policy.teacher, jsonParser, loadAssignment, rollback, async (req, res) => {
+  if (!req.isAssigningTeacher) {
+    return res.status(403).json({ message: 'Only the assigning teacher can change this assignment' })
+  }
+
+  try {
+    const { revision } = req.body
+    const target = revisionsFrom(await historyOf(req.assignment)).find(r => r.revision === revision)
+    if (!target) {
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: 'No such revision',
+        location: 'revision'
+      });
+    }
+    const assignment = isCurrent(req, req.assignment)
+      && await req.assignment.revise(target.content, req.user.id, 'rollback', revision)
+    if (!assignment) {
+      const current = await Assignment.findById(req.assignment._id)
+      res.set('ETag', etagOf(current))
+      return res.status(409).json({
+        message: 'Someone else changed this assignment in the meantime',
+        current: currentState(current)
+      })
+    }
+    res.set('ETag', etagOf(assignment))
+    res.json(currentState(assignment))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,170 @@
+'use strict';
+const mongoose = require('mongoose');
+const uuidv4 = require('uuid/v4');
+
+const {Assignment, formatDate} = require('./models');
+
+mongoose.Promise = global.Promise;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A rule can't make more occurrences than this
+const MAX_OCCURRENCES = 100;
+
+// How an assignment repeats: every `interval` days, or every `interval`
+// weeks on `weekdays`, until a date or for `count` occurrences
+const RuleSchema = mongoose.Schema({
+  frequency: {type: String, enum: FREQUENCIES, required: true},
+  interval: {type: Number, min: 1, default: 1},
+  weekdays: {type: [{type: String, enum: WEEKDAYS}], default: []},
+  until: {type: Date, default: null},
+  count: {type: Number, min: 1, max: MAX_OCCURRENCES, default: null}
+}, {_id: false});
+
+// A repeating assignment. Each occurrence is an Assignment of its own, with
+// its own due date and, for every student, its own status.
+const SeriesSchema = mongoose.Schema({
+  uuid: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {type: RuleSchema, required: true},
+  // how many occurrences the rule made
+  occurrences: {type: Number, required: true}
+}, {timestamps: true});
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY);
+}
+
+// The due dates a rule makes starting at `startDate` (YYYY-MM-DD), one more
+// than MAX_OCCURRENCES at most so callers can tell when it makes too many
+function occurrenceDates(startDate, rule) {
+  const start = new Date(startDate);
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || Infinity, MAX_OCCURRENCES + 1);
+  const interval = rule.interval || 1;
+  const done = date => until && date > until;
+  const dates = [];
+
+  if (rule.frequency === 'daily') {
+    for (let date = start; !done(date) && dates.length < limit; date = addDays(date, interval)) {
+      dates.push(formatDate(date));
+    }
+    return dates;
+  }
+
+  // weekly: the chosen weekdays of every `interval`th week, counting from
+  // the week the start date is in
+  const days = rule.weekdays && rule.weekdays.length
+    ? Array.from(new Set(rule.weekdays.map(day => WEEKDAYS.indexOf(day)))).sort()
+    : [start.getUTCDay()];
+  const firstWeek = addDays(start, -start.getUTCDay());
+  for (let week = firstWeek; !done(week) && dates.length < limit; week = addDays(week, 7 * interval)) {
+    for (let i = 0; i < days.length && dates.length < limit; i++) {
+      const date = addDays(week, days[i]);
+      if (done(date)) {
+        break;
+      }
+      if (date >= start) {
+        dates.push(formatDate(date));
+      }
+    }
+  }
+  return dates;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// "Every day, 10 times", "Every 2 weeks on Mon, Thu until 2018-12-21"
+function describeRule(rule) {
+  const interval = rule.interval || 1;
+  const unit = rule.frequency === 'daily' ? 'day' : 'week';
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  if (rule.frequency === 'weekly' && rule.weekdays && rule.weekdays.length) {
+    text += ` on ${rule.weekdays.map(capitalize).join(', ')}`;
+  }
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (rule.until) {
+    text += ` until ${formatDate(rule.until)}`;
+  }
+  return text;
+}
+
+SeriesSchema.methods.serialize = function() {
+  return {
+    id: this.uuid,
+    description: describeRule(this.rule),
+    occurrences: this.occurrences
+  };
+};
+
+const Series = mongoose.model('Series', SeriesSchema);
+
+// Creates an assignment from `fields`, or with a rule one per date in
+// `dates`, numbered in order. Resolves to the assignments created.
+function createOccurrences(fields, rule = null, dates = []) {
+  if (!rule) {
+    return Assignment.createLogged(fields).then(assignment => [assignment]);
+  }
+  return Series.create({createdBy: fields.createdBy, rule, occurrences: dates.length})
+    .then(series => dates.reduce((made, assignmentDate, i) => made.then(assignments =>
+      Assignment.createLogged(Object.assign({}, fields, {assignmentDate, series: series._id, occurrence: i + 1}))
+        .then(assignment => assignments.concat([assignment]))
+    ), Promise.resolve([])));
+}
+
+const MAX_TRIES = 3;
+
+// Revises the latest version of an assignment, reloading it if someone
+// else saves in between
+function reviseLatest(assignmentID, changes, userID, tries = MAX_TRIES) {
+  return Assignment.findById(assignmentID)
+    .then(assignment => assignment && assignment.revise(changes, userID))
+    .then(revised => {
+      if (revised || tries <= 1) {
+        return revised;
+      }
+      return reviseLatest(assignmentID, changes, userID, tries - 1);
+    });
+}
+
+// Carries an edit of one occurrence over to the ones after it: the same
+// name, and due dates moved by as many days as the edited one's was.
+// `previousDate` is the edited occurrence's due date before the edit.
+// Resolves to the revised occurrences.
+function reviseFollowing(edited, previousDate, changes, userID) {
+  const shift = changes.assignmentDate
+    ? new Date(changes.assignmentDate) - previousDate
+    : 0;
+  return Assignment.find({series: edited.series, occurrence: {$gt: edited.occurrence}})
+    .sort({occurrence: 1})
+    .then(following => following.reduce((revised, assignment) => revised.then(done =>
+      reviseLatest(assignment._id, {
+        assignmentName: changes.assignmentName,
+        assignmentDate: shift ? formatDate(new Date(assignment.assignmentDate.getTime() + shift)) : undefined
+      }, userID).then(latest => latest ? done.concat([latest]) : done)
+    ), Promise.resolve([])));
+}
+
+module.exports = {
+  Series,
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  occurrenceDates,
+  createOccurrences,
+  reviseFollowing
+};
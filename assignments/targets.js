@@ -0,0 +1,33 @@
+'use strict';
+const { Class } = require('../classes/models');
+const { User } = require('../users/models');
+const { profileFilter, profileConditions, pickProfileFilter } = require('../users/profile');
+const { id, object } = require('../validation');
+
+// Who a targeted assignment goes to: the teacher's students, or one class
+// of theirs, whose profile matches, like {instrument: 'clarinet', minLevel: 2}
+const targetFields = object(
+  Object.assign({ class: id({ message: 'No such class' }) }, profileFilter),
+  { required: true }
+);
+
+// The target as stored on the assignment: the class and filter it was made
+// for, leaving out what wasn't set
+function targetOf(body) {
+  return Object.assign(body.class ? { class: body.class } : {}, pickProfileFilter(body));
+}
+
+// Resolves to the ids of the students the target matches right now
+function studentsMatching(teacherID, target) {
+  const classes = target.class ? { _id: target.class, teacher: teacherID } : { teacher: teacherID };
+  return Class.distinct('students', classes)
+    .then(studentIDs => User.find({
+      $and: [
+        { _id: { $in: studentIDs } },
+        { isAdmin: { $ne: true }, isGuardian: { $ne: true } }
+      ].concat(profileConditions(target))
+    }).select('_id'))
+    .then(students => students.map(student => student._id));
+}
+
+module.exports = { targetFields, targetOf, studentsMatching };
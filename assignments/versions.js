@@ -0,0 +1,26 @@
+'use strict';
+
+// Edits to an assignment's shared fields are checked against the revision
+// the editor last saw. Each revision has its own ETag: clients send it back
+// in If-Match, or send the revision number along with the changes, and get a
+// 409 with the current state if someone else saved in between.
+
+function etagOf(assignment) {
+  return `"${assignment.uuid}.${assignment.revision || 1}"`;
+}
+
+// Whether the request was made against the assignment's current revision.
+// If-Match wins over a revision in the body; with neither, the edit applies
+// to whatever is there now.
+function isCurrent(req, assignment, revision) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return ifMatch.trim() === '*' || ifMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(etagOf(assignment));
+  }
+  return revision === undefined || revision === (assignment.revision || 1);
+}
+
+module.exports = {etagOf, isCurrent};
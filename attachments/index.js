@@ -0,0 +1,5 @@
+'use strict';
+const {Attachment} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Attachment, router};
@@ -0,0 +1,97 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const {string} = require('../validation');
+
+mongoose.Promise = global.Promise;
+
+// What a teacher can attach to an assignment
+const KINDS = ['sheet_music', 'recording', 'accompaniment'];
+
+// Sheet music comes as PDF, everything else as audio
+const CONTENT_TYPES = [
+  'application/pdf',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/aac',
+  'audio/ogg',
+  'audio/webm',
+  'audio/wav',
+  'audio/wave',
+  'audio/x-wav'
+];
+
+// the form fields sent along with the file
+const uploadFields = {kind: string({required: true, oneOf: KINDS})};
+
+// A file uploaded for an assignment, or for a repertoire piece to start
+// its assignments with. The bytes live in UPLOAD_DIR under `storageKey`;
+// copies made for each assignment of a piece share them.
+const AttachmentSchema = mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: function() {
+      return !this.piece;
+    }
+  },
+  piece: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Piece',
+    default: null
+  },
+  kind: {type: String, enum: KINDS, required: true},
+  originalName: {type: String, required: true},
+  contentType: {type: String, enum: CONTENT_TYPES, required: true},
+  size: {type: Number, required: true},
+  storageKey: {type: String, required: true},
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {timestamps: true});
+
+AttachmentSchema.index({assignment: 1});
+AttachmentSchema.index({piece: 1});
+AttachmentSchema.index({storageKey: 1});
+
+AttachmentSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    kind: this.kind,
+    originalName: this.originalName,
+    contentType: this.contentType,
+    size: this.size,
+    url: `/api/attachments/${this._id}`
+  };
+};
+
+// Copies the piece's attachments onto an assignment made from it
+AttachmentSchema.statics.copyFromPiece = function(pieceID, assignmentID) {
+  return this.find({piece: pieceID}).then(files => {
+    if (!files.length) {
+      return [];
+    }
+    return this.insertMany(files.map(file => ({
+      assignment: assignmentID,
+      kind: file.kind,
+      originalName: file.originalName,
+      contentType: file.contentType,
+      size: file.size,
+      storageKey: file.storageKey,
+      uploadedBy: file.uploadedBy
+    })));
+  });
+};
+
+// Whether any attachment still uses the stored file, so it can't be removed
+AttachmentSchema.statics.isStored = function(storageKey) {
+  return this.count({storageKey}).then(count => count > 0);
+};
+
+const Attachment = mongoose.model('Attachment', AttachmentSchema);
+
+module.exports = {Attachment, KINDS, CONTENT_TYPES, uploadFields};
@@ -0,0 +1,131 @@
+'use strict';
+const express = require('express');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Attachment, CONTENT_TYPES, uploadFields } = require('./models');
+// registers the model piece attachments are populated from
+require('../repertoire/models');
+const { receiveFile, removeStoredFile, sendStoredFile } = require('./storage');
+const { checkFields, validationError } = require('../validation');
+
+const router = express.Router();
+
+const receiveAttachment = receiveFile(CONTENT_TYPES, 'a PDF or an audio file');
+
+// Loads the assignment named in the URL into req.assignment, as long as the
+// logged in teacher created it
+async function loadOwnAssignment(req, res, next) {
+  try {
+    const assignment = await Assignment.findOne({ uuid: req.params.assignmentID })
+    if (!assignment) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    if (String(assignment.createdBy) !== req.user.id) {
+      return res.status(403).json({ message: 'Only the assigning teacher can do this' })
+    }
+    req.assignment = assignment
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// The assigning teacher and the students it was handed to may see a file.
+// A repertoire piece's files are for every teacher.
+async function canDownload(user, attachment) {
+  if (attachment.piece) {
+    return user.isAdmin
+  }
+  const { assignment } = attachment
+  if (!assignment) {
+    return false
+  }
+  if (String(assignment.createdBy) === user.id) {
+    return true
+  }
+  const count = await StudentAssignment.count({
+    assignment: assignment._id,
+    student: user.id,
+    deletedAt: null
+  })
+  return count > 0
+}
+
+// the teacher who added the piece or made the assignment
+function ownerOf(attachment) {
+  const owner = attachment.piece || attachment.assignment
+  return owner && String(owner.createdBy)
+}
+
+router.post('/:assignmentID', policy.teacher, loadOwnAssignment, receiveAttachment, async (req, res) => {
+  const { file } = req
+  const { value, errors } = checkFields(uploadFields, req.body)
+  if (errors.length) {
+    removeStoredFile(file.filename)
+    return res.status(422).json(validationError(errors));
+  }
+  const { kind } = value
+
+  try {
+    const attachment = await Attachment.create({
+      assignment: req.assignment._id,
+      kind,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storageKey: file.filename,
+      uploadedBy: req.user.id
+    })
+    res.status(201).json(attachment.serialize())
+  } catch (err) {
+    removeStoredFile(file.filename)
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.get('/:attachmentID', policy.loggedIn, async (req, res) => {
+  try {
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.attachmentID)
+      && await Attachment.findById(req.params.attachmentID).populate('assignment')
+    if (!attachment) {
+      return res.status(404).json({ message: 'No such attachment' })
+    }
+    if (!await canDownload(req.user, attachment)) {
+      return res.status(403).json({ message: 'This file is not for you' })
+    }
+    sendStoredFile(res, attachment)
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/:attachmentID', policy.teacher, async (req, res) => {
+  try {
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.attachmentID) && await Attachment
+      .findById(req.params.attachmentID)
+      .populate('assignment')
+      .populate('piece')
+    if (!attachment) {
+      return res.status(404).json({ message: 'No such attachment' })
+    }
+    if (ownerOf(attachment) !== req.user.id) {
+      return res.status(403).json({ message: 'Only the assigning teacher can do this' })
+    }
+    await attachment.remove()
+    // assignments made from a piece share its files
+    if (!await Attachment.isStored(attachment.storageKey)) {
+      removeStoredFile(attachment.storageKey)
+    }
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
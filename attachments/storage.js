@@ -0,0 +1,86 @@
+'use strict';
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const uuidv4 = require('uuid/v4');
+
+const { UPLOAD_DIR, MAX_UPLOAD_MB } = require('../config');
+
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  // stored under a random name, the original one is kept in the database
+  filename: (req, file, callback) => callback(null, uuidv4())
+});
+
+// the media type without parameters such as `;codecs=opus`
+function baseType(mimetype) {
+  return mimetype.split(';')[0].trim().toLowerCase();
+}
+
+function storedFilePath(storageKey) {
+  return path.join(UPLOAD_DIR, storageKey);
+}
+
+function removeStoredFile(storageKey) {
+  fs.unlink(storedFilePath(storageKey), err => {
+    if (err && err.code !== 'ENOENT') {
+      console.error(err);
+    }
+  });
+}
+
+// Builds middleware that stores the single `file` field of a multipart
+// request in UPLOAD_DIR, answering with our 422 format when the file is
+// missing, too big or not one of `contentTypes`
+function receiveFile(contentTypes, typeDescription) {
+  const upload = multer({
+    storage,
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!contentTypes.includes(baseType(file.mimetype))) {
+        return callback({ code: 'UNSUPPORTED_TYPE' });
+      }
+      callback(null, true);
+    }
+  }).single('file');
+
+  return function(req, res, next) {
+    upload(req, res, err => {
+      let message = null
+      if (err && err.code === 'LIMIT_FILE_SIZE') {
+        message = `Must be at most ${MAX_UPLOAD_MB} MB`
+      } else if (err && err.code === 'UNSUPPORTED_TYPE') {
+        message = `Must be ${typeDescription}`
+      } else if (err) {
+        console.error(err);
+        return res.status(500).json({ error: 'something went horribly awry' });
+      } else if (!req.file) {
+        message = 'Missing file'
+      }
+      if (message) {
+        return res.status(422).json({
+          code: 422,
+          reason: 'ValidationError',
+          message,
+          location: 'file'
+        });
+      }
+      req.file.mimetype = baseType(req.file.mimetype)
+      next()
+    })
+  }
+}
+
+// Sends a stored file with its original name and type
+function sendStoredFile(res, file) {
+  res.attachment(file.originalName)
+  res.set('Content-Type', file.contentType)
+  res.sendFile(storedFilePath(file.storageKey), err => {
+    if (err && !res.headersSent) {
+      console.error(err);
+      res.status(404).json({ message: 'File is missing' })
+    }
+  })
+}
+
+module.exports = { receiveFile, removeStoredFile, storedFilePath, sendStoredFile };
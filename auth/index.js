@@ -1,5 +1,22 @@
 'use strict';
 const {router} = require('./router');
 const {localStrategy, jwtStrategy} = require('./strategies');
+const {requireTeacher} = require('./middleware');
+const {PasswordReset, Session} = require('./models');
+const {startSession} = require('./tokens');
+const {clearLoginFailures, memoryStore, setStore} = require('./throttle');
+const policy = require('./policies');
 
-module.exports = {router, localStrategy, jwtStrategy};
+module.exports = {
+  router,
+  localStrategy,
+  jwtStrategy,
+  requireTeacher,
+  policy,
+  PasswordReset,
+  Session,
+  startSession,
+  clearLoginFailures,
+  memoryStore,
+  setStore
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+// Rejects requests from users who are not teachers. Must run after jwtAuth.
+function requireTeacher(req, res, next) {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'You must be a teacher' });
+  }
+  next();
+}
+
+// Rejects requests from users who are not guardians. Must run after jwtAuth.
+function requireGuardian(req, res, next) {
+  if (!req.user.isGuardian) {
+    return res.status(403).json({ message: 'You must be a guardian' });
+  }
+  next();
+}
+
+module.exports = { requireTeacher, requireGuardian };
@@ -0,0 +1,148 @@
+'use strict';
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const uuidv4 = require('uuid/v4');
+
+mongoose.Promise = global.Promise;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A forgot-password link. Only a hash of the token is stored, so a leaked
+// database can't be used to take over accounts.
+const PasswordResetSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {type: String, required: true, unique: true},
+  expiresAt: {type: Date, required: true},
+  usedAt: {type: Date, default: null}
+}, {timestamps: true});
+
+// Makes a reset for the user, resolving to the plain token to mail out
+PasswordResetSchema.statics.issue = function(userID, minutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return this.create({
+    user: userID,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  }).then(() => token);
+};
+
+// Uses up a token. Resolves to the reset, or null if the token is unknown,
+// expired or already used.
+PasswordResetSchema.statics.redeem = function(token) {
+  return this.findOneAndUpdate(
+    {tokenHash: hashToken(token), usedAt: null, expiresAt: {$gt: new Date()}},
+    {$set: {usedAt: new Date()}},
+    {new: true}
+  );
+};
+
+const PasswordReset = mongoose.model('PasswordReset', PasswordResetSchema);
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// One logged in device. Access tokens name it in their `sid` claim, and its
+// refresh token is swapped for a new one on every use.
+const SessionSchema = mongoose.Schema({
+  uuid: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {type: String, required: true, unique: true},
+  // the last few refresh tokens, so one coming back can be caught as stolen
+  usedTokenHashes: {type: [String], default: [], index: true},
+  userAgent: {type: String, default: ''},
+  ip: {type: String, default: ''},
+  lastUsedAt: {type: Date, default: Date.now},
+  expiresAt: {type: Date, required: true},
+  revokedAt: {type: Date, default: null},
+  // logout, signed_out, reuse or password
+  revokedReason: {type: String, default: null}
+}, {timestamps: true});
+
+SessionSchema.index({user: 1, revokedAt: 1});
+
+const USED_TOKENS_KEPT = 50;
+
+SessionSchema.methods.serialize = function(currentSessionID) {
+  return {
+    id: this.uuid,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    current: this.uuid === currentSessionID
+  };
+};
+
+function activeQuery() {
+  return {revokedAt: null, expiresAt: {$gt: new Date()}};
+}
+
+// Resolves to {session, refreshToken} for a new login
+SessionSchema.statics.start = function(userID, days, {userAgent = '', ip = ''} = {}) {
+  const refreshToken = newRefreshToken();
+  return this.create({
+    user: userID,
+    tokenHash: hashToken(refreshToken),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  }).then(session => ({session, refreshToken}));
+};
+
+// Swaps a refresh token for a new one. Resolves to {session, refreshToken},
+// to {reused: true} after revoking the session if the token was already
+// swapped once (someone else has a copy), or to null if it is unknown.
+SessionSchema.statics.rotate = function(refreshToken) {
+  const oldHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  return this.findOneAndUpdate(
+    Object.assign({tokenHash: oldHash}, activeQuery()),
+    {
+      $set: {tokenHash: hashToken(nextToken), lastUsedAt: new Date()},
+      $push: {usedTokenHashes: {$each: [oldHash], $slice: -USED_TOKENS_KEPT}}
+    },
+    {new: true}
+  ).then(session => {
+    if (session) {
+      return {session, refreshToken: nextToken};
+    }
+    return this.findOneAndUpdate(
+      {usedTokenHashes: oldHash, revokedAt: null},
+      {$set: {revokedAt: new Date(), revokedReason: 'reuse'}}
+    ).then(reused => reused ? {reused: true} : null);
+  });
+};
+
+SessionSchema.statics.findActive = function(sessionID) {
+  return this.findOne(Object.assign({uuid: sessionID}, activeQuery()));
+};
+
+SessionSchema.statics.revoke = function(conditions, reason) {
+  return this.updateMany(
+    Object.assign({}, conditions, {revokedAt: null}),
+    {$set: {revokedAt: new Date(), revokedReason: reason}}
+  );
+};
+
+SessionSchema.statics.listActive = function(userID) {
+  return this.find(Object.assign({user: userID}, activeQuery())).sort({lastUsedAt: -1});
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = {PasswordReset, Session};
@@ -0,0 +1,63 @@
+'use strict';
+const mongoose = require('mongoose');
+const passport = require('passport');
+
+const { Class } = require('../classes/models');
+const { requireTeacher, requireGuardian } = require('./middleware');
+
+// Route policies. Each one is a middleware (or a list of them) that runs the
+// JWT check first, so a missing or bad token is always a 401 and a logged in
+// user who may not do something is always a 403.
+
+const jwtAuth = passport.authenticate('jwt', { session: false });
+
+// Resolves to whether the student is on one of the teacher's class rosters
+function teachesStudent(teacherID, studentID) {
+  if (!mongoose.Types.ObjectId.isValid(studentID)) {
+    return Promise.resolve(false);
+  }
+  return Class.count({ teacher: teacherID, students: studentID }).then(count => count > 0);
+}
+
+function isTeacherOf(req, param) {
+  return req.user.isAdmin ? teachesStudent(req.user.id, req.params[param]) : false;
+}
+
+// Builds a policy from a check on the request that may return a promise
+function allowIf(check, message) {
+  return [jwtAuth, (req, res, next) => {
+    Promise.resolve(check(req))
+      .then(allowed => allowed ? next() : res.status(403).json({ message }))
+      .catch(err => {
+        console.error(err);
+        res.status(500).json({ error: 'something went horribly awry' });
+      });
+  }];
+}
+
+// open to everyone, for routes like registration
+function anyone(req, res, next) {
+  next();
+}
+
+const loggedIn = jwtAuth;
+
+const teacher = [jwtAuth, requireTeacher];
+
+const guardian = [jwtAuth, requireGuardian];
+
+// the user named by the URL parameter themselves
+const self = param =>
+  allowIf(req => req.params[param] === req.user.id, 'You can only do this for yourself');
+
+// a teacher with the student named by the URL parameter in one of their classes
+const teacherOf = param =>
+  allowIf(req => isTeacherOf(req, param), 'This student is not in any of your classes');
+
+const selfOrTeacherOf = param =>
+  allowIf(
+    req => req.params[param] === req.user.id || isTeacherOf(req, param),
+    'This student is not in any of your classes'
+  );
+
+module.exports = { anyone, loggedIn, teacher, guardian, self, teacherOf, selfOrTeacherOf, teachesStudent };
@@ -2,39 +2,282 @@
 const express = require('express');
 const passport = require('passport');
 const bodyParser = require('body-parser');
-const jwt = require('jsonwebtoken');
 
 const config = require('../config');
+const {User} = require('../users/models');
+const {newPassword, emailAddress} = require('../users/passwords');
+const {validate, string} = require('../validation');
+const {sendMail, canSendMail} = require('../mail');
+const {PasswordReset, Session} = require('./models');
+const {createAuthToken, startSession} = require('./tokens');
+const {checkLoginThrottle, recordLoginFailure, clearLoginFailures} = require('./throttle');
 const router = express.Router();
 
-const createAuthToken = function(user) {
-  return jwt.sign({user}, config.JWT_SECRET, {
-    subject: user.username,
-    expiresIn: config.JWT_EXPIRY,
-    algorithm: 'HS256'
-  });
-};
+// what we know about the device a session was started from
+function deviceOf(req) {
+  return {userAgent: req.get('user-agent') || '', ip: req.ip || ''};
+}
 
-const localAuth = passport.authenticate('local', {session: false});
 router.use(bodyParser.json());
-// The user provides a username and password to login
-router.post('/login', localAuth, (req, res) => {
-  const authToken = createAuthToken(req.user.serialize());
-  res.json({
-    username:req.user.username,
-    authToken,
-    isAdmin: req.user.isAdmin
-  });
+// The user provides a username and password to login, and gets a short
+// lived access token plus a refresh token for this device. Wrong passwords
+// slow down further attempts and eventually lock the account for a while.
+router.post('/login', checkLoginThrottle, (req, res) => {
+  passport.authenticate('local', {session: false}, (err, user, info) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).json({error: 'something went horribly awry'});
+    }
+    if (!user) {
+      // missing credentials never reach the password check
+      if (!info || info.reason !== 'LoginError') {
+        return res.status(400).json(info);
+      }
+      return recordLoginFailure(req.ip, req.body.username)
+        .then(() => res.status(401).json(info))
+        .catch(err => {
+          console.error(err);
+          res.status(500).json({error: 'something went horribly awry'});
+        });
+    }
 
-  
+    return clearLoginFailures(user.username, req.ip)
+      .then(() => startSession(user, deviceOf(req)))
+      .then(({authToken, refreshToken}) => {
+        res.json({
+          username: user.username,
+          authToken,
+          refreshToken,
+          isAdmin: user.isAdmin,
+          isGuardian: user.isGuardian
+        });
+      })
+      .catch(err => {
+        console.error(err);
+        res.status(500).json({error: 'something went horribly awry'});
+      });
+  })(req, res);
 });
 
 const jwtAuth = passport.authenticate('jwt', {session: false});
 
-// The user exchanges a valid JWT for a new one with a later expiration
-router.post('/refresh', jwtAuth, (req, res) => {
-  const authToken = createAuthToken(req.user);
-  res.json({authToken});
+// The user exchanges a refresh token for a new access token and a new
+// refresh token. Each refresh token works once; if an old one comes back
+// somebody copied it, so the whole session is signed out.
+router.post('/refresh', (req, res) => {
+  const {refreshToken} = req.body;
+  if (typeof refreshToken !== 'string') {
+    return res.status(401).json({message: 'Unauthorized'});
+  }
+
+  return Session.rotate(refreshToken)
+    .then(rotated => {
+      if (!rotated) {
+        return res.status(401).json({message: 'Unauthorized'});
+      }
+      if (rotated.reused) {
+        return res.status(401).json({message: 'This session was signed out because its refresh token was used twice'});
+      }
+      // roles can change between logins, so the access token comes from
+      // the stored user rather than the old token
+      return User.findById(rotated.session.user).then(user => {
+        if (!user) {
+          return res.status(401).json({message: 'Unauthorized'});
+        }
+        res.json({
+          authToken: createAuthToken(user.serialize(), rotated.session.uuid),
+          refreshToken: rotated.refreshToken
+        });
+      });
+    })
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// Signs out the session the access token belongs to
+router.post('/logout', jwtAuth, (req, res) => {
+  return Session.revoke({uuid: req.authInfo.sessionID}, 'logout')
+    .then(() => res.status(204).end())
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// The devices the user is logged in on
+router.get('/sessions', jwtAuth, (req, res) => {
+  return Session.listActive(req.user.id)
+    .then(sessions => res.json(sessions.map(s => s.serialize(req.authInfo.sessionID))))
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// Signs out every other device
+router.delete('/sessions', jwtAuth, (req, res) => {
+  return Session.revoke({user: req.user.id, uuid: {$ne: req.authInfo.sessionID}}, 'signed_out')
+    .then(() => res.status(204).end())
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+router.delete('/sessions/:sessionID', jwtAuth, (req, res) => {
+  return Session.revoke({user: req.user.id, uuid: req.params.sessionID}, 'signed_out')
+    .then(result => {
+      if (!result.n) {
+        return res.status(404).json({message: 'No such session'});
+      }
+      res.status(204).end();
+    })
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// Change your password while logged in, confirming the current one
+const changePassword = validate({
+  currentPassword: string({required: true}),
+  newPassword
+});
+
+router.post('/password', jwtAuth, changePassword, (req, res) => {
+  const {currentPassword, newPassword} = req.body;
+
+  let user;
+  return User.findById(req.user.id)
+    .then(_user => {
+      user = _user;
+      return user && user.validatePassword(currentPassword);
+    })
+    .then(isValid => {
+      if (!isValid) {
+        return Promise.reject({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'is incorrect',
+          location: 'currentPassword'
+        });
+      }
+      return User.hashPassword(newPassword);
+    })
+    .then(hash => User.updateOne({_id: user._id}, {$set: {password: hash}}))
+    // other devices have to log in with the new password
+    .then(() => Session.revoke({user: user._id, uuid: {$ne: req.authInfo.sessionID}}, 'password'))
+    .then(() => res.status(204).end())
+    .catch(err => {
+      if (err.reason === 'ValidationError') {
+        return res.status(err.code).json(err);
+      }
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// Set the address reset links go to, confirming the current password
+// an empty address stops reset mails
+const changeEmail = validate({
+  email: emailAddress({required: true}),
+  currentPassword: string({required: true})
+});
+
+router.post('/email', jwtAuth, changeEmail, (req, res) => {
+  const {email, currentPassword} = req.body;
+
+  return User.findById(req.user.id)
+    .then(user => user && user.validatePassword(currentPassword))
+    .then(isValid => {
+      if (!isValid) {
+        return res.status(422).json({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'is incorrect',
+          location: 'currentPassword'
+        });
+      }
+      return User.updateOne({_id: req.user.id}, {$set: {email}})
+        .then(() => res.json({email}));
+    })
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+function resetMail(user, token) {
+  const link = `${config.APP_URL}/reset-password.html?token=${token}`;
+  return {
+    to: user.email,
+    subject: 'Reset your Music Assignment Tracker password',
+    text: `Someone asked to reset the password for ${user.username}.\n\n` +
+      `To choose a new one, open this link within ${config.RESET_TOKEN_MINUTES} minutes:\n${link}\n\n` +
+      'If it wasn\'t you, you can ignore this message.'
+  };
+}
+
+// Mails a reset link to every account using the address. The answer is the
+// same whether or not any do, so it can't be used to look up addresses.
+router.post('/forgot', validate({email: emailAddress({required: true, notBlank: true})}), (req, res) => {
+  if (!canSendMail() || !config.APP_URL) {
+    return res.status(503).json({message: 'Password reset by mail is not set up on this server'});
+  }
+  const {email} = req.body;
+
+  return User.find({email})
+    .then(users => Promise.all(users.map(user =>
+      PasswordReset.issue(user._id, config.RESET_TOKEN_MINUTES)
+        .then(token => sendMail(resetMail(user, token)))
+    )))
+    .then(() => res.status(202).json({message: 'If that address has an account, a reset link is on its way'}))
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
+});
+
+// the password is checked before the token is redeemed, so a typo doesn't
+// burn the token
+const resetPassword = validate({
+  token: string({required: true}),
+  newPassword
+});
+
+// Choose a new password with the token from a reset link
+router.post('/reset', resetPassword, (req, res) => {
+  const {token, newPassword} = req.body;
+
+  let reset;
+  return PasswordReset.redeem(token)
+    .then(_reset => {
+      reset = _reset;
+      if (!reset) {
+        return Promise.reject({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'is invalid or expired',
+          location: 'token'
+        });
+      }
+      return User.hashPassword(newPassword);
+    })
+    .then(hash => User.updateOne({_id: reset.user}, {$set: {password: hash}}))
+    // any other links that were mailed out stop working too
+    .then(() => PasswordReset.updateMany({user: reset.user, usedAt: null}, {$set: {usedAt: new Date()}}))
+    // and whoever had the old password is signed out everywhere
+    .then(() => Session.revoke({user: reset.user}, 'password'))
+    .then(() => res.status(204).end())
+    .catch(err => {
+      if (err.reason === 'ValidationError') {
+        return res.status(err.code).json(err);
+      }
+      console.error(err);
+      res.status(500).json({error: 'something went horribly awry'});
+    });
 });
 
 module.exports = {router};
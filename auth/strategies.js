@@ -6,6 +6,7 @@ const { Strategy: LocalStrategy } = require('passport-local');
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 
 const { User } = require('../users/models');
+const { Session } = require('./models');
 const { JWT_SECRET } = require('../config');
 
 const localStrategy = new LocalStrategy((username, password, callback) => {
@@ -52,7 +53,19 @@ const jwtStrategy = new JwtStrategy(
     algorithms: ['HS256']
   },
   (payload, done) => {
-    done(null, payload.user);
+    // tokens for signed out sessions, or from before sessions existed, are
+    // turned away even if they haven't expired yet
+    if (!payload.sid) {
+      return done(null, false);
+    }
+    Session.findActive(payload.sid)
+      .then(session => {
+        if (!session) {
+          return done(null, false);
+        }
+        done(null, payload.user, { sessionID: payload.sid });
+      })
+      .catch(err => done(err, false));
   }
 );
 
@@ -0,0 +1,153 @@
+'use strict';
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES
+} = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+// failures a username is allowed before each attempt has to wait, and the
+// longest wait
+const FREE_FAILURES = 2;
+const MAX_DELAY_MS = 30 * 1000;
+
+// A store keeps one record per key and forgets it after ttlMs. Every method
+// returns a promise, so a shared store (e.g. Redis) can stand in for this one
+// when there is more than one server.
+function memoryStore() {
+  const records = new Map();
+
+  const sweep = now => {
+    records.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        records.delete(key);
+      }
+    });
+  };
+
+  return {
+    get(key) {
+      const entry = records.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return Promise.resolve(null);
+      }
+      return Promise.resolve(entry.value);
+    },
+    set(key, value, ttlMs) {
+      const now = Date.now();
+      if (records.size >= 10000) {
+        sweep(now);
+      }
+      records.set(key, { value, expiresAt: now + ttlMs });
+      return Promise.resolve();
+    },
+    delete(key) {
+      records.delete(key);
+      return Promise.resolve();
+    }
+  };
+}
+
+let store = memoryStore();
+
+// Swaps the store at runtime, e.g. for a shared one or a fresh one in tests
+function setStore(newStore) {
+  store = newStore;
+}
+
+const ipKey = ip => `ip:${ip}`;
+const userKey = username => `user:${username}`;
+
+// How long, in ms, before whoever a record is about may try again, once
+// they are past their free failures
+function waitFor(record, now, freeFailures) {
+  if (!record) {
+    return 0;
+  }
+  if (record.lockedUntil > now) {
+    return record.lockedUntil - now;
+  }
+  if (record.failures <= freeFailures) {
+    return 0;
+  }
+  // 1s after the first failure past the free ones, 2s after the next and so on
+  const delay = Math.min(1000 * Math.pow(2, record.failures - freeFailures - 1), MAX_DELAY_MS);
+  return Math.max(0, record.lastFailureAt + delay - now);
+}
+
+// Counts a failure against a key, locking it once there are maxFailures in
+// the window, or never without maxFailures. A lock starts the count over, so
+// it lasts exactly as long as the lockout. `fields` are kept on the record.
+function addFailure(key, maxFailures, fields = {}) {
+  return store.get(key).then(record => {
+    const now = Date.now();
+    const failures = (record ? record.failures : 0) + 1;
+    if (maxFailures && failures >= maxFailures) {
+      const lockoutMs = LOGIN_LOCKOUT_MINUTES * MINUTE_MS;
+      return store.set(key, Object.assign({ failures: 0, lastFailureAt: now, lockedUntil: now + lockoutMs }, fields), lockoutMs);
+    }
+    return store.set(key, Object.assign({ failures, lastFailureAt: now, lockedUntil: 0 }, fields), LOGIN_FAILURE_WINDOW_MINUTES * MINUTE_MS);
+  });
+}
+
+// Runs before the login route checks the password. Turns the attempt away
+// while the username is locked, or it or the address it comes from hasn't
+// waited long enough since its last failure.
+function checkLoginThrottle(req, res, next) {
+  const { username } = req.body;
+  return Promise.all([
+    store.get(ipKey(req.ip)),
+    typeof username === 'string' ? store.get(userKey(username)) : null
+  ])
+    .then(([ipRecord, userRecord]) => {
+      const now = Date.now();
+      const wait = Math.max(
+        waitFor(ipRecord, now, LOGIN_MAX_IP_FAILURES),
+        waitFor(userRecord, now, FREE_FAILURES)
+      );
+      if (!wait) {
+        return next();
+      }
+      const retryAfter = Math.ceil(wait / 1000);
+      const locked = Boolean(userRecord && userRecord.lockedUntil > now);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        code: 429,
+        reason: 'LoginError',
+        message: locked
+          ? 'This account is locked after too many failed logins. Try again later or ask your teacher to unlock it'
+          : `Too many failed logins. Try again in ${retryAfter} seconds`,
+        locked,
+        retryAfter
+      });
+    })
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({ error: 'something went horribly awry' });
+    });
+}
+
+// Failures count against both the username and the address, so guessing one
+// account's password and trying one password on many accounts both slow down.
+// Only usernames get locked: a whole school may share one address, so an
+// address only ever has to wait. The username's record notes the address so
+// unlocking the account can let that address go too.
+function recordLoginFailure(ip, username) {
+  return Promise.all([
+    addFailure(ipKey(ip), null),
+    typeof username === 'string' ? addFailure(userKey(username), LOGIN_MAX_FAILURES, { ip }) : null
+  ]);
+}
+
+// After a good login from `ip`, or when a teacher unlocks the account
+function clearLoginFailures(username, ip) {
+  return store.get(userKey(username)).then(record => Promise.all([
+    store.delete(userKey(username)),
+    ip ? store.delete(ipKey(ip)) : null,
+    record && record.ip && record.ip !== ip ? store.delete(ipKey(record.ip)) : null
+  ]));
+}
+
+module.exports = { memoryStore, setStore, checkLoginThrottle, recordLoginFailure, clearLoginFailures };
@@ -0,0 +1,25 @@
+'use strict';
+const jwt = require('jsonwebtoken');
+
+const config = require('../config');
+const {Session} = require('./models');
+
+// A short lived access token for the session
+const createAuthToken = function(user, sessionID) {
+  return jwt.sign({user, sid: sessionID}, config.JWT_SECRET, {
+    subject: user.username,
+    expiresIn: config.JWT_EXPIRY,
+    algorithm: 'HS256'
+  });
+};
+
+// Logs a user in on a new device. Resolves to {authToken, refreshToken}.
+const startSession = function(user, device) {
+  return Session.start(user._id, config.REFRESH_TOKEN_DAYS, device)
+    .then(({session, refreshToken}) => ({
+      authToken: createAuthToken(user.serialize(), session.uuid),
+      refreshToken
+    }));
+};
+
+module.exports = {createAuthToken, startSession};
@@ -0,0 +1,80 @@
+'use strict';
+// Builds iCalendar (RFC 5545) text for a student's assignments
+
+const PRODID = '-//music-assignment-tracker//Assignments//EN';
+const UID_DOMAIN = 'music-assignment-tracker';
+
+// Escapes TEXT values: backslash, semicolon, comma and newlines
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 2018-09-14 -> 20180914
+function formatDay(day) {
+  return day.replace(/-/g, '');
+}
+
+// the day after a YYYY-MM-DD day, for all-day DTEND values
+function nextDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return formatDay(date.toISOString().slice(0, 10));
+}
+
+// 20180914T120000Z
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// `events` are {id, assignmentName, assignmentDate, description, updatedAt}.
+// The UID comes from the assignment id, so calendar apps update an event
+// when its assignment changes instead of adding a second one.
+function buildCalendar(name, events, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatTimestamp(now)}`,
+      `LAST-MODIFIED:${formatTimestamp(event.updatedAt || now)}`,
+      `DTSTART;VALUE=DATE:${formatDay(event.assignmentDate)}`,
+      `DTEND;VALUE=DATE:${nextDay(event.assignmentDate)}`,
+      `SUMMARY:${escapeText(event.assignmentName)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {buildCalendar, escapeText, foldLine};
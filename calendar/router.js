@@ -0,0 +1,86 @@
+'use strict';
+const express = require('express');
+const crypto = require('crypto');
+
+const { APP_URL } = require('../config');
+const { policy } = require('../auth');
+const { User } = require('../users/models');
+const { buildCalendar } = require('./ics');
+
+const router = express.Router();
+
+// Calendar apps can't send a Bearer header, so feeds are found by a secret
+// in the URL. Only its hash is stored.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function feedURL(token) {
+  return `${APP_URL}/api/calendar/${token}.ics`
+}
+
+function describeEvent(record) {
+  const serialized = record.serialize()
+  const lines = []
+  if (serialized.teacher) {
+    const { firstName, lastName, username } = serialized.teacher
+    lines.push(`From ${`${firstName} ${lastName}`.trim() || username}`)
+  }
+  lines.push(`Status: ${serialized.status.replace('_', ' ')}`)
+  return Object.assign(serialized, {
+    description: lines.join('\n'),
+    updatedAt: record.assignment.updatedAt
+  })
+}
+
+// creates a feed URL for the logged in user, revoking any earlier one
+router.post('/token', policy.loggedIn, async (req, res) => {
+  if (!APP_URL) {
+    return res.status(503).json({ message: 'Calendar feeds are not set up on this server' })
+  }
+  try {
+    const token = crypto.randomBytes(24).toString('hex')
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: { calendarTokenHash: hashToken(token) } })
+    if (!user) {
+      return res.status(404).json({ message: 'No such user' })
+    }
+    res.status(201).json({ url: feedURL(token) })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/token', policy.loggedIn, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $set: { calendarTokenHash: null } })
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// the feed itself; the token is the only credential
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User
+      .findOne({ calendarTokenHash: hashToken(req.params.token) })
+      .withAssignments()
+    if (!user) {
+      return res.status(404).json({ message: 'Not Found' })
+    }
+    const name = `${user.firstName || user.username}'s assignments`
+    const events = user.Assignments
+      .filter(record => record.assignment)
+      .map(describeEvent)
+    res.set('Content-Type', 'text/calendar; charset=utf-8')
+    res.set('Content-Disposition', 'inline; filename="assignments.ics"')
+    res.send(buildCalendar(name, events))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,5 @@
+'use strict';
+const {Class} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Class, router};
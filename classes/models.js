@@ -0,0 +1,60 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const {Assignment} = require('../assignments/models');
+
+mongoose.Promise = global.Promise;
+
+// An ensemble or studio run by one teacher
+const ClassSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {timestamps: true});
+
+ClassSchema.index({teacher: 1, name: 1});
+ClassSchema.index({students: 1});
+
+ClassSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    teacher: this.teacher,
+    // a populated roster serializes to short student summaries
+    students: this.students.map(student =>
+      student && student.username ? {
+        id: student._id,
+        username: student.username,
+        firstName: student.firstName || '',
+        lastName: student.lastName || ''
+      } : student
+    )
+  };
+};
+
+ClassSchema.methods.isTaughtBy = function(userID) {
+  return String(this.teacher) === String(userID);
+};
+
+// Adds a student to the roster and hands them the class assignments meant
+// for students who join later
+ClassSchema.methods.enroll = function(studentID) {
+  return Class.updateOne({_id: this._id}, {$addToSet: {students: studentID}})
+    .then(() => Assignment.find({class: this._id, includeNewStudents: true}))
+    .then(assignments => Promise.all(assignments.map(a => a.assignTo([studentID]))));
+};
+
+const Class = mongoose.model('Class', ClassSchema);
+
+module.exports = {Class};
@@ -0,0 +1,217 @@
+'use strict';
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { teachesStudent } = require('../auth/policies');
+const { Invite } = require('../invites/models');
+const { User } = require('../users/models');
+const { assignmentFields, withPiece, withRecurrence, pieceFields, createOccurrences } = require('../assignments');
+const { formatDate } = require('../assignments/models');
+const { GradeCategory } = require('../grades/models');
+const { classGradebook } = require('../grades/gradebook');
+const { validate, validationError, string, boolean, id } = require('../validation');
+const { Class } = require('./models');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+// A student who already has an account joins a class with a student invite
+// code from its teacher. New students use the code to register instead.
+router.post('/join', policy.loggedIn, jsonParser, validate({ code: string({ required: true, trim: true }) }), async (req, res) => {
+  if (req.user.isAdmin || req.user.isGuardian) {
+    return res.status(403).json({ message: 'Only students join classes' })
+  }
+  try {
+    const invite = await Invite.redeem(req.body.code, 'student')
+    const found = invite && invite.class && await Class.findById(invite.class)
+    if (!found) {
+      return res.status(422).json(validationError([{ message: 'is invalid or expired', location: 'code' }]));
+    }
+    await found.enroll(req.user.id)
+    res.json({ id: found._id, name: found.name })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// every other class route is for teachers only
+router.use(policy.teacher);
+
+// Loads the class named in the URL into req.class, as long as it belongs to
+// the logged in teacher
+async function loadOwnClass(req, res, next) {
+  try {
+    const found = mongoose.Types.ObjectId.isValid(req.params.classID)
+      && await Class.findById(req.params.classID)
+    if (!found) {
+      return res.status(404).json({ message: 'No such class' })
+    }
+    if (!found.isTaughtBy(req.user.id)) {
+      return res.status(403).json({ message: 'This is not your class' })
+    }
+    req.class = found
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+function findClassWithRoster(classID) {
+  return Class.findById(classID).populate('students')
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const classes = await Class
+      .find({ teacher: req.user.id })
+      .sort({ name: 1 })
+      .populate('students')
+    res.json(classes.map(c => c.serialize()))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const newClass = validate({ name: string({ required: true, trim: true, notBlank: true, max: 100 }) })
+
+router.post('/', jsonParser, newClass, async (req, res) => {
+  const { name } = req.body
+  try {
+    const created = await Class.create({ name, teacher: req.user.id })
+    res.status(201).json(created.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.get('/:classID', loadOwnClass, async (req, res) => {
+  try {
+    const found = await findClassWithRoster(req.class._id)
+    res.json(found.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/:classID', loadOwnClass, async (req, res) => {
+  try {
+    await req.class.remove()
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Moves a student you already teach into another of your classes, handing
+// them the class assignments meant for late joiners. Students who aren't on
+// any of your rosters yet join with a student invite code, so no teacher can
+// get at a student's records without the student's say.
+const enrollment = validate({ studentID: id({ required: true, message: 'No such student' }) })
+
+router.post('/:classID/students', jsonParser, loadOwnClass, enrollment, async (req, res) => {
+  const { studentID } = req.body
+  try {
+    const student = await User.findById(studentID)
+    if (!student || student.isAdmin || student.isGuardian) {
+      return res.status(404).json({ message: 'No such student' })
+    }
+    if (!await teachesStudent(req.user.id, student._id)) {
+      return res.status(403).json({ message: 'This student is not in any of your classes' })
+    }
+
+    await req.class.enroll(student._id)
+
+    const updated = await findClassWithRoster(req.class._id)
+    res.status(200).json(updated.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// takes a student off the roster; assignments they already have stay put
+router.delete('/:classID/students/:studentID', loadOwnClass, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.studentID)) {
+    return res.status(404).json({ message: 'No such student' })
+  }
+  try {
+    await Class.updateOne(
+      { _id: req.class._id },
+      { $pull: { students: req.params.studentID } }
+    )
+    const updated = await findClassWithRoster(req.class._id)
+    res.status(200).json(updated.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const classAssignment = validate(Object.assign(assignmentFields(), {
+  includeNewStudents: boolean({ default: false })
+}))
+
+// creates one assignment, or one per occurrence of a repeating one, and
+// hands it to everyone on the roster
+router.post('/:classID/assignments', jsonParser, loadOwnClass, classAssignment, withPiece, withRecurrence, async (req, res) => {
+  try {
+    let category = null
+    if (req.body.category) {
+      category = await GradeCategory.findOwned(req.body.category, req.user.id)
+      if (!category) {
+        return res.status(422).json({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'No such category',
+          location: 'category'
+        });
+      }
+    }
+    const assignments = await createOccurrences(Object.assign({
+      assignmentName: req.body.assignmentName,
+      assignmentDate: req.body.assignmentDate,
+      createdBy: req.user.id,
+      class: req.class._id,
+      includeNewStudents: req.body.includeNewStudents,
+      category: category && category._id
+    }, pieceFields(req)), req.body.recurrence, req.occurrences)
+    const [assignment] = assignments
+    const [records] = await Promise.all(assignments.map(a => a.assignTo(req.class.students)))
+    res.status(201).json({
+      id: assignment.uuid,
+      assignmentName: assignment.assignmentName,
+      assignmentDate: formatDate(assignment.assignmentDate),
+      class: req.class._id,
+      includeNewStudents: assignment.includeNewStudents,
+      category: assignment.category,
+      piece: assignment.piece,
+      assignedTo: records.map(r => r.student),
+      // one for a single assignment, or one per occurrence
+      occurrences: assignments.map(a => ({ id: a.uuid, assignmentDate: formatDate(a.assignmentDate) }))
+    })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// every student on the roster against every class assignment
+router.get('/:classID/gradebook', loadOwnClass, async (req, res) => {
+  try {
+    res.json(await classGradebook(req.class))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -4,5 +4,48 @@ require('dotenv').config();
 exports.DATABASE_URL = process.env.DATABASE_URL;
 exports.TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
 exports.PORT = process.env.PORT || 8080;
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const LOCAL = ['development', 'test'].includes(NODE_ENV);
+// Where the app is served from, for links that leave it: reset mails and
+// calendar feeds. Never taken from a request's Host header, which whoever
+// sends the request chooses. Only development and tests default to this
+// server.
+exports.APP_URL = (process.env.APP_URL || (LOCAL ? `http://localhost:${exports.PORT}` : ''))
+  .replace(/\/+$/, '') || null;
+
 exports.JWT_SECRET = process.env.JWT_SECRET;
-exports.JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
\ No newline at end of file
+// Access tokens are short lived; logins last as long as their refresh token
+exports.JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+exports.REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// How long a deleted assignment stays in a student's trash before it is purged
+exports.TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Where uploaded assignment files are kept, and how big they may be
+exports.UPLOAD_DIR = require('path').resolve(process.env.UPLOAD_DIR || 'uploads');
+exports.MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 20;
+
+// Lets the very first teacher invite be made before any teacher exists
+exports.BOOTSTRAP_SECRET = process.env.BOOTSTRAP_SECRET;
+exports.INVITE_DEFAULT_DAYS = Number(process.env.INVITE_DEFAULT_DAYS) || 7;
+
+// How mail goes out: 'outbox' writes each message to a JSON file in
+// MAIL_OUTBOX_DIR, 'console' prints it, and anything else is the path of a
+// module exporting send(message). Only development and tests fall back to
+// the outbox; anywhere else nothing is mailed until one is set.
+exports.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (LOCAL ? 'outbox' : null);
+exports.MAIL_OUTBOX_DIR = require('path').resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+exports.MAIL_FROM = process.env.MAIL_FROM || 'Music Assignment Tracker <no-reply@localhost>';
+exports.RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+
+// Failed logins: a username is locked for LOGIN_LOCKOUT_MINUTES after
+// LOGIN_MAX_FAILURES failures within LOGIN_FAILURE_WINDOW_MINUTES. An address
+// is never locked, but past LOGIN_MAX_IP_FAILURES across all usernames each
+// attempt from it has to wait a little longer.
+exports.LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+exports.LOGIN_MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+exports.LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+exports.LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// How many proxies sit in front of the app (1 on Heroku), so failed logins
+// are counted against the caller's address rather than the proxy's
+exports.TRUST_PROXY = Number(process.env.TRUST_PROXY) || 0;
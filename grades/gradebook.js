@@ -0,0 +1,114 @@
+'use strict';
+const { User } = require('../users/models');
+const { Assignment, StudentAssignment, formatDate } = require('../assignments/models');
+const { computeAverages, toPercent } = require('./models');
+
+function serializeCategory(category) {
+  return category ? category.serialize() : null;
+}
+
+function serializeGrade(grade) {
+  return {
+    score: grade.score,
+    maxScore: grade.maxScore,
+    percent: toPercent(grade.score, grade.maxScore),
+    gradedBy: grade.gradedBy,
+    gradedAt: grade.gradedAt
+  };
+}
+
+// A student's scores with their running averages, leaving out grades on
+// assignments that were trashed or purged
+async function studentGradebook(userID) {
+  const user = await User
+    .findById(userID)
+    .populate({
+      path: 'Grades.assignment',
+      populate: { path: 'assignment', populate: { path: 'category' } }
+    });
+  if (!user) {
+    return null;
+  }
+
+  const grades = user.Grades
+    .filter(grade => grade.assignment && !grade.assignment.deletedAt)
+    .map(grade => {
+      const assignment = grade.assignment.assignment;
+      return Object.assign(serializeGrade(grade), {
+        id: grade.assignment.uuid,
+        assignmentName: assignment.assignmentName,
+        assignmentDate: formatDate(assignment.assignmentDate),
+        category: serializeCategory(assignment.category)
+      });
+    })
+    .sort((a, b) => a.assignmentDate.localeCompare(b.assignmentDate));
+
+  return Object.assign({ student: user._id, grades }, computeAverages(grades));
+}
+
+// A grid of every student on a class roster against every assignment given
+// to the class, with each student's averages over those assignments
+async function classGradebook(cls) {
+  const assignments = await Assignment
+    .find({ class: cls._id })
+    .sort({ assignmentDate: 1 })
+    .populate('category');
+  const records = await StudentAssignment.find({
+    assignment: { $in: assignments.map(a => a._id) },
+    student: { $in: cls.students },
+    deletedAt: null
+  });
+  const students = await User
+    .find({ _id: { $in: cls.students } })
+    .sort({ lastName: 1, firstName: 1, username: 1 });
+
+  const assignmentsByID = {};
+  assignments.forEach(a => {
+    assignmentsByID[a._id] = a;
+  });
+
+  const rows = students.map(student => {
+    const gradesByRecord = {};
+    student.Grades.forEach(grade => {
+      gradesByRecord[grade.assignment] = grade;
+    });
+
+    const scores = {};
+    const entries = [];
+    records
+      .filter(record => String(record.student) === String(student._id))
+      .forEach(record => {
+        const assignment = assignmentsByID[record.assignment];
+        const grade = gradesByRecord[record._id];
+        scores[assignment.uuid] = grade ? serializeGrade(grade) : null;
+        if (grade) {
+          entries.push({
+            score: grade.score,
+            maxScore: grade.maxScore,
+            category: serializeCategory(assignment.category)
+          });
+        }
+      });
+
+    return Object.assign({
+      id: student._id,
+      username: student.username,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      scores
+    }, computeAverages(entries));
+  });
+
+  return {
+    class: { id: cls._id, name: cls.name },
+    assignments: assignments.map(a => ({
+      id: a.uuid,
+      assignmentName: a.assignmentName,
+      assignmentDate: formatDate(a.assignmentDate),
+      category: serializeCategory(a.category)
+    })),
+    students: rows
+  };
+}
+
+module.exports = { studentGradebook, classGradebook };
@@ -0,0 +1,5 @@
+'use strict';
+const {GradeCategory} = require('./models');
+const {router} = require('./router');
+
+module.exports = {GradeCategory, router};
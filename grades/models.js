@@ -0,0 +1,109 @@
+'use strict';
+const mongoose = require('mongoose');
+
+mongoose.Promise = global.Promise;
+
+// Weights are relative to each other, e.g. practice 1, theory 1, playing
+// tests 2. Grades on assignments without a category count with weight 1.
+const UNCATEGORIZED_WEIGHT = 1;
+
+// A teacher's weighted bucket of assignments (practice, theory, ...)
+const GradeCategorySchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {timestamps: true});
+
+GradeCategorySchema.index({teacher: 1, name: 1}, {unique: true});
+
+GradeCategorySchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    weight: this.weight
+  };
+};
+
+// Resolves to the category if it exists and belongs to the teacher
+GradeCategorySchema.statics.findOwned = function(categoryID, teacherID) {
+  if (!mongoose.Types.ObjectId.isValid(categoryID)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({_id: categoryID, teacher: teacherID});
+};
+
+// One score, kept in the student's `Grades` list
+const GradeSchema = mongoose.Schema({
+  // the student's StudentAssignment record
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentAssignment',
+    required: true
+  },
+  score: {type: Number, required: true, min: 0},
+  maxScore: {type: Number, default: 100, min: 1},
+  gradedBy: {type: mongoose.Schema.Types.ObjectId, ref: 'User'},
+  gradedAt: {type: Date, default: Date.now}
+}, {_id: false});
+
+function toPercent(score, maxScore) {
+  return Math.round(score / maxScore * 1000) / 10;
+}
+
+// Works out running averages from a list of
+// {score, maxScore, category: {id, name, weight} | null} entries.
+// Returns the per-category averages and the weighted overall average, with
+// null averages where nothing has been graded yet.
+function computeAverages(entries) {
+  const buckets = {};
+  entries.forEach(entry => {
+    const key = entry.category ? String(entry.category.id) : 'uncategorized';
+    if (!buckets[key]) {
+      buckets[key] = {
+        id: entry.category ? entry.category.id : null,
+        name: entry.category ? entry.category.name : 'Uncategorized',
+        weight: entry.category ? entry.category.weight : UNCATEGORIZED_WEIGHT,
+        score: 0,
+        maxScore: 0,
+        count: 0
+      };
+    }
+    buckets[key].score += entry.score;
+    buckets[key].maxScore += entry.maxScore;
+    buckets[key].count++;
+  });
+
+  const categories = Object.keys(buckets).map(key => {
+    const bucket = buckets[key];
+    return {
+      id: bucket.id,
+      name: bucket.name,
+      weight: bucket.weight,
+      count: bucket.count,
+      average: toPercent(bucket.score, bucket.maxScore)
+    };
+  });
+
+  const totalWeight = categories.reduce((sum, c) => sum + c.weight, 0);
+  const average = totalWeight
+    ? Math.round(categories.reduce((sum, c) => sum + c.average * c.weight, 0) / totalWeight * 10) / 10
+    : null;
+
+  return {categories, average};
+}
+
+const GradeCategory = mongoose.model('GradeCategory', GradeCategorySchema);
+
+module.exports = {GradeCategory, GradeSchema, computeAverages, toPercent};
@@ -0,0 +1,157 @@
+'use strict';
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { User } = require('../users/models');
+const { StudentAssignment } = require('../assignments');
+const { GradeCategory } = require('./models');
+const { studentGradebook } = require('./gradebook');
+const { validate, string, number } = require('../validation');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const validateCategory = validate({
+  name: string({ required: true, trim: true, notBlank: true, max: 100 }),
+  weight: number({ required: true, min: 0 })
+})
+
+// maxScore defaults to a percentage
+const validateGrade = validate({
+  score: number({ required: true, min: 0 }),
+  maxScore: number({ min: 1, default: 100 })
+})
+
+router.get('/categories', policy.teacher, async (req, res) => {
+  try {
+    const categories = await GradeCategory
+      .find({ teacher: req.user.id })
+      .sort({ name: 1 })
+    res.json(categories.map(c => c.serialize()))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.post('/categories', policy.teacher, jsonParser, validateCategory, async (req, res) => {
+  try {
+    const { name, weight } = req.body
+    const existing = await GradeCategory.count({ teacher: req.user.id, name })
+    if (existing) {
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: 'already exists',
+        location: 'name'
+      });
+    }
+    const created = await GradeCategory.create({ name, weight, teacher: req.user.id })
+    res.status(201).json(created.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.put('/categories/:categoryID', policy.teacher, jsonParser, validateCategory, async (req, res) => {
+  try {
+    const category = await GradeCategory.findOwned(req.params.categoryID, req.user.id)
+    if (!category) {
+      return res.status(404).json({ message: 'No such category' })
+    }
+    category.name = req.body.name
+    category.weight = req.body.weight
+    await category.save()
+    res.json(category.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// a student's scores and averages, for that student or one of their teachers
+router.get('/:userID', policy.selfOrTeacherOf('userID'), async (req, res) => {
+  const { userID } = req.params
+  try {
+    const gradebook = await studentGradebook(userID)
+    if (!gradebook) {
+      return res.status(404).json({ message: 'No such user' })
+    }
+    res.json(gradebook)
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Loads the student's assignment record into req.record, as long as the
+// logged in teacher is the one who assigned it
+async function loadOwnRecord(req, res, next) {
+  try {
+    const record = mongoose.Types.ObjectId.isValid(req.params.userID) && await StudentAssignment
+      .findOne({ uuid: req.params.assignmentID, student: req.params.userID, deletedAt: null })
+      .populate('assignment')
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    if (String(record.assignment.createdBy) !== req.user.id) {
+      return res.status(403).json({ message: 'Only the assigning teacher can grade this' })
+    }
+    req.record = record
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// scores one assignment, replacing any earlier score
+router.put('/:userID/:assignmentID', policy.teacherOf('userID'), jsonParser, loadOwnRecord, validateGrade, async (req, res) => {
+  const { userID } = req.params
+  const { score, maxScore } = req.body
+
+  try {
+    const grade = {
+      assignment: req.record._id,
+      score,
+      maxScore,
+      gradedBy: req.user.id,
+      gradedAt: new Date()
+    }
+    // only pushes while the student has no grade for the assignment, so
+    // saves racing each other can't both add one; the losers replace it
+    const added = await User.updateOne(
+      { _id: userID, 'Grades.assignment': { $ne: req.record._id } },
+      { $push: { Grades: grade } }
+    )
+    if (!added.n) {
+      await User.updateOne(
+        { _id: userID, 'Grades.assignment': req.record._id },
+        { $set: { 'Grades.$': grade } }
+      )
+    }
+    res.json(await studentGradebook(userID))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/:userID/:assignmentID', policy.teacherOf('userID'), loadOwnRecord, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.params.userID },
+      { $pull: { Grades: { assignment: req.record._id } } }
+    )
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
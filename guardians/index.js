@@ -0,0 +1,4 @@
+'use strict';
+const {router} = require('./router');
+
+module.exports = {router};
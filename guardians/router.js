@@ -0,0 +1,143 @@
+'use strict';
+const express = require('express');
+const mongoose = require('mongoose');
+const bodyParser = require('body-parser');
+
+const { policy } = require('../auth');
+const { User } = require('../users/models');
+const { Invite } = require('../invites/models');
+const { PracticeSession, summarizePractice } = require('../practice/models');
+const { validate, string } = require('../validation');
+const { INVITE_DEFAULT_DAYS } = require('../config');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loads the (non teacher, non guardian) user named in the URL into req.student
+async function loadStudent(req, res, next) {
+  try {
+    const student = await User.findById(req.params.userID)
+    if (!student || student.isAdmin || student.isGuardian) {
+      return res.status(404).json({ message: 'No such student' })
+    }
+    req.student = student
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// What a guardian sees of one student: assignments, statuses and practice
+async function studentOverview(student) {
+  const sessions = await PracticeSession.findForStudent(student._id)
+  const { id, username, firstName, lastName, Assignments } = student.serialize()
+  return {
+    id,
+    username,
+    firstName,
+    lastName,
+    Assignments,
+    practice: summarizePractice(sessions.map(s => s.serialize()))
+  }
+}
+
+async function linkedStudents(guardianID) {
+  const guardian = await User.findById(guardianID)
+  const students = await User.find({ _id: { $in: guardian ? guardian.guardianOf : [] } }).withAssignments()
+  return Promise.all(students.map(studentOverview))
+}
+
+// the guardian's dashboard
+router.get('/students', policy.guardian, async (req, res) => {
+  try {
+    res.json(await linkedStudents(req.user.id))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// a guardian who already has an account adds another student with a code
+router.post('/link', policy.guardian, jsonParser, validate({ code: string({ required: true, trim: true }) }), async (req, res) => {
+  try {
+    const invite = await Invite.redeem(req.body.code, 'guardian')
+    if (!invite) {
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: 'is invalid or expired',
+        location: 'code'
+      });
+    }
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { guardianOf: invite.student } })
+    res.json(await linkedStudents(req.user.id))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// a single-use code a parent can sign up or link with, made by the student
+// or one of their teachers
+router.post('/students/:userID/codes', policy.selfOrTeacherOf('userID'), loadStudent, async (req, res) => {
+  try {
+    const invite = await Invite.create({
+      role: 'guardian',
+      student: req.student._id,
+      maxUses: 1,
+      remainingUses: 1,
+      expiresAt: new Date(Date.now() + INVITE_DEFAULT_DAYS * DAY_MS),
+      createdBy: req.user.id
+    })
+    res.status(201).json(invite.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// teachers link a guardian who already has an account by username
+const guardianLink = validate({ username: string({ required: true, trim: true, notBlank: true }) })
+
+router.post('/students/:userID/guardians', policy.teacherOf('userID'), jsonParser, loadStudent, guardianLink, async (req, res) => {
+  try {
+    const guardian = await User.findOneAndUpdate(
+      { username: req.body.username, isGuardian: true },
+      { $addToSet: { guardianOf: req.student._id } }
+    )
+    if (!guardian) {
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: 'No such guardian',
+        location: 'username'
+      });
+    }
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/students/:userID/guardians/:guardianID', policy.selfOrTeacherOf('userID'), async (req, res) => {
+  try {
+    const guardian = mongoose.Types.ObjectId.isValid(req.params.guardianID) && await User.findOneAndUpdate(
+      { _id: req.params.guardianID, guardianOf: req.params.userID },
+      { $pull: { guardianOf: req.params.userID } }
+    )
+    if (!guardian) {
+      return res.status(404).json({ message: 'No such guardian' })
+    }
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,5 @@
+'use strict';
+const {Invite} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Invite, router};
@@ -0,0 +1,99 @@
+'use strict';
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+mongoose.Promise = global.Promise;
+
+// What registering with a code makes you
+const ROLES = ['teacher', 'student', 'guardian'];
+
+// no 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+// Codes are typed by hand, so ignore case and stray spaces or dashes
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+// A code that lets someone register as a teacher, or as a student enrolled
+// in a class
+const InviteSchema = mongoose.Schema({
+  code: {
+    type: String,
+    default: generateCode,
+    unique: true
+  },
+  role: {type: String, enum: ROLES, required: true},
+  // student codes may enroll the new student in a class
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  maxUses: {type: Number, required: true, min: 1},
+  remainingUses: {type: Number, required: true, min: 0},
+  expiresAt: {type: Date, required: true},
+  revokedAt: {type: Date, default: null},
+  // guardian codes link the new guardian to this student
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // null for codes made with the bootstrap secret
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {timestamps: true});
+
+InviteSchema.index({createdBy: 1, createdAt: -1});
+
+InviteSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    code: this.code,
+    role: this.role,
+    class: this.class,
+    student: this.student,
+    maxUses: this.maxUses,
+    uses: this.maxUses - this.remainingUses,
+    expiresAt: this.expiresAt,
+    revoked: !!this.revokedAt
+  };
+};
+
+// Uses up one use of a code, optionally only one for the given role.
+// Resolves to the invite, or null if the code is unknown, expired, revoked or
+// used up.
+InviteSchema.statics.redeem = function(code, role) {
+  const query = {
+    code: normalizeCode(code),
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+    remainingUses: {$gt: 0}
+  };
+  if (role) {
+    query.role = role;
+  }
+  return this.findOneAndUpdate(
+    query,
+    {$inc: {remainingUses: -1}},
+    {new: true}
+  );
+};
+
+const Invite = mongoose.model('Invite', InviteSchema);
+
+module.exports = {Invite, ROLES};
@@ -0,0 +1,124 @@
+'use strict';
+const express = require('express');
+const mongoose = require('mongoose');
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
+
+const { policy } = require('../auth');
+const { Class } = require('../classes/models');
+const { Invite } = require('./models');
+const { validate, validationError, string, number, id } = require('../validation');
+const { BOOTSTRAP_SECRET, INVITE_DEFAULT_DAYS } = require('../config');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_USES = 500;
+const MAX_DAYS = 90;
+
+// how many people may use a code and for how long, both optional
+const limits = {
+  maxUses: number({ integer: true, min: 1, max: MAX_USES, default: 1 }),
+  expiresInDays: number({ integer: true, min: 1, max: MAX_DAYS, default: INVITE_DEFAULT_DAYS })
+}
+
+function createInvite(fields, body) {
+  const { maxUses, expiresInDays } = body
+  return Invite.create(Object.assign({
+    maxUses,
+    remainingUses: maxUses,
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+  }, fields))
+}
+
+function sameSecret(given, expected) {
+  const a = Buffer.from(String(given))
+  const b = Buffer.from(String(expected))
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Makes a teacher code without logging in, for setting up a new school.
+// Only works when BOOTSTRAP_SECRET is configured.
+function checkBootstrapSecret(req, res, next) {
+  if (!BOOTSTRAP_SECRET || !sameSecret(req.body.secret || '', BOOTSTRAP_SECRET)) {
+    return res.status(401).json({ message: 'Unauthorized' })
+  }
+  next()
+}
+
+router.post('/bootstrap', jsonParser, checkBootstrapSecret, validate(limits), async (req, res) => {
+  try {
+    const invite = await createInvite({ role: 'teacher' }, req.body)
+    res.status(201).json(invite.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.use(policy.teacher);
+
+router.get('/', async (req, res) => {
+  try {
+    const invites = await Invite.find({ createdBy: req.user.id }).sort({ createdAt: -1 })
+    res.json(invites.map(i => i.serialize()))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const newInvite = validate(Object.assign({
+  role: string({ required: true, oneOf: ['teacher', 'student'], message: 'Must be teacher or student' }),
+  classID: id({ message: 'No such class' })
+}, limits))
+
+// teacher codes, or student codes that enroll in one of your classes
+router.post('/', jsonParser, newInvite, async (req, res) => {
+  const { role, classID } = req.body
+  if (role === 'student' && !classID) {
+    return res.status(422).json(validationError([{ message: 'Missing field', location: 'classID' }]));
+  }
+
+  try {
+    const fields = { role, createdBy: req.user.id }
+    if (role === 'student') {
+      const found = await Class.findById(classID)
+      if (!found || !found.isTaughtBy(req.user.id)) {
+        return res.status(422).json({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'No such class',
+          location: 'classID'
+        });
+      }
+      fields.class = found._id
+    }
+    const invite = await createInvite(fields, req.body)
+    res.status(201).json(invite.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// revokes a code; people who already registered with it keep their accounts
+router.delete('/:inviteID', async (req, res) => {
+  try {
+    const invite = mongoose.Types.ObjectId.isValid(req.params.inviteID) && await Invite.findOneAndUpdate(
+      { _id: req.params.inviteID, createdBy: req.user.id },
+      { $set: { revokedAt: new Date() } }
+    )
+    if (!invite) {
+      return res.status(404).json({ message: 'No such invite' })
+    }
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,51 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const { number, custom } = require('../validation');
+
+// What the paged lists (users, assignments, the repertoire catalog) share:
+// page sizes, cursors and matching the text searched for
+
+const PAGE_SIZE = { default: 50, max: 200 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cursors are opaque to clients: the sort value and id of the last item on
+// the page, so the next page starts right after it even if items were added
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString('base64');
+}
+
+// Sort values are strings unless the list reads them some other way
+function readString(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+// Resolves a cursor to {value, id}, or null if it isn't one. readValue turns
+// the stored sort value back into what the list sorts by, returning
+// undefined for values that can't be right.
+function decodeCursor(cursor, readValue = readString) {
+  try {
+    const [stored, id] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    const value = readValue(stored);
+    return value !== undefined && mongoose.Types.ObjectId.isValid(id) ? { value, id } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The limit and cursor fields of a list's query string
+function pageFields(readValue = readString) {
+  return {
+    limit: number({ integer: true, min: 1, max: PAGE_SIZE.max }),
+    cursor: custom(cursor =>
+      typeof cursor === 'string' && decodeCursor(cursor, readValue)
+        ? { value: cursor }
+        : { message: 'is not a cursor from a previous page' }
+    )
+  };
+}
+
+module.exports = { PAGE_SIZE, escapeRegExp, encodeCursor, decodeCursor, pageFields };
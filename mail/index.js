@@ -0,0 +1,40 @@
+'use strict';
+const path = require('path');
+
+const { outboxTransport, consoleTransport } = require('./transports');
+const { MAIL_TRANSPORT, MAIL_OUTBOX_DIR, MAIL_FROM } = require('../config');
+
+function createTransport(name) {
+  if (name === 'outbox') {
+    return outboxTransport(MAIL_OUTBOX_DIR)
+  }
+  if (name === 'console') {
+    return consoleTransport
+  }
+  return require(path.resolve(name))
+}
+
+let transport = null
+
+// Swaps the transport at runtime, e.g. for one backed by a mail service
+function setTransport(newTransport) {
+  transport = newTransport
+}
+
+// Whether mail can go out at all. Live servers have no transport until one
+// is set, so password reset links never end up in files there.
+function canSendMail() {
+  return Boolean(transport || MAIL_TRANSPORT)
+}
+
+function sendMail(message) {
+  if (!canSendMail()) {
+    return Promise.reject(new Error('Set MAIL_TRANSPORT to say how mail goes out, e.g. the path of a module exporting send(message)'))
+  }
+  if (!transport) {
+    transport = createTransport(MAIL_TRANSPORT)
+  }
+  return transport.send(Object.assign({ from: MAIL_FROM }, message))
+}
+
+module.exports = { sendMail, canSendMail, setTransport };
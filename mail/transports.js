@@ -0,0 +1,28 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A transport is any object with send(message) returning a promise, where a
+// message is {from, to, subject, text}
+
+// Writes each message to its own JSON file, for local development and tests
+function outboxTransport(dir) {
+  return {
+    send(message) {
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`
+      const body = JSON.stringify(Object.assign({ sentAt: new Date() }, message), null, 2)
+      return fs.promises.mkdir(dir, { recursive: true })
+        .then(() => fs.promises.writeFile(path.join(dir, fileName), body))
+    }
+  }
+}
+
+const consoleTransport = {
+  send(message) {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`)
+    return Promise.resolve()
+  }
+}
+
+module.exports = { outboxTransport, consoleTransport };
@@ -0,0 +1,5 @@
+'use strict';
+const {PracticeSession} = require('./models');
+const {router} = require('./router');
+
+module.exports = {PracticeSession, router};
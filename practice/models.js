@@ -0,0 +1,124 @@
+'use strict';
+const mongoose = require('mongoose');
+
+mongoose.Promise = global.Promise;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One sitting of practice a student logged
+const PracticeSessionSchema = mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // the calendar day practiced, stored as UTC midnight
+  date: {type: Date, required: true},
+  minutes: {type: Number, required: true, min: 1, max: 24 * 60},
+  // the StudentAssignment record practiced for, if any
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentAssignment',
+    default: null
+  },
+  notes: {type: String, default: '', trim: true}
+}, {timestamps: true});
+
+PracticeSessionSchema.index({student: 1, date: -1});
+
+// A student's log, newest first, populated for serialize()
+PracticeSessionSchema.statics.findForStudent = function(userID) {
+  return this
+    .find({student: userID})
+    .sort({date: -1, createdAt: -1})
+    .populate({path: 'assignment', populate: {path: 'assignment'}});
+};
+
+function dayString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Expects `assignment` to be populated down to its Assignment
+PracticeSessionSchema.methods.serialize = function() {
+  const record = this.assignment;
+  return {
+    id: this._id,
+    date: dayString(this.date),
+    minutes: this.minutes,
+    assignment: record && record.assignment ? {
+      id: record.uuid,
+      assignmentName: record.assignment.assignmentName
+    } : null,
+    notes: this.notes
+  };
+};
+
+// Monday of the (UTC) week the day falls in
+function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const sinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - sinceMonday * DAY_MS);
+}
+
+// Totals, weekly totals for the last `weeks` weeks and practice streaks for
+// a list of serialized sessions. A streak counts consecutive days with any
+// practice; the current one may end yesterday, since today isn't over yet.
+function summarizePractice(sessions, today = new Date(), weeks = 8) {
+  const minutesByDay = {};
+  const byAssignment = {};
+  let totalMinutes = 0;
+
+  sessions.forEach(session => {
+    totalMinutes += session.minutes;
+    minutesByDay[session.date] = (minutesByDay[session.date] || 0) + session.minutes;
+    if (session.assignment) {
+      const entry = byAssignment[session.assignment.id] ||
+        Object.assign({minutes: 0}, session.assignment);
+      entry.minutes += session.minutes;
+      byAssignment[session.assignment.id] = entry;
+    }
+  });
+
+  const thisWeek = weekStart(today);
+  const weeklyTotals = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = new Date(thisWeek.getTime() - i * 7 * DAY_MS);
+    let minutes = 0;
+    for (let d = 0; d < 7; d++) {
+      minutes += minutesByDay[dayString(new Date(start.getTime() + d * DAY_MS))] || 0;
+    }
+    weeklyTotals.push({weekStart: dayString(start), minutes});
+  }
+
+  const days = Object.keys(minutesByDay).sort();
+  let longestStreak = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    const followsPrevious = i > 0 &&
+      new Date(day).getTime() - new Date(days[i - 1]).getTime() === DAY_MS;
+    run = followsPrevious ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  let currentStreak = 0;
+  let cursor = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  if (!minutesByDay[dayString(cursor)]) {
+    cursor = new Date(cursor.getTime() - DAY_MS);
+  }
+  while (minutesByDay[dayString(cursor)]) {
+    currentStreak++;
+    cursor = new Date(cursor.getTime() - DAY_MS);
+  }
+
+  return {
+    totalMinutes,
+    weeklyTotals,
+    currentStreak,
+    longestStreak,
+    byAssignment: Object.keys(byAssignment).map(id => byAssignment[id])
+  };
+}
+
+const PracticeSession = mongoose.model('PracticeSession', PracticeSessionSchema);
+
+module.exports = {PracticeSession, summarizePractice};
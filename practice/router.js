@@ -0,0 +1,112 @@
+'use strict';
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { StudentAssignment } = require('../assignments');
+const { PracticeSession, summarizePractice } = require('./models');
+const { validate, string, number, date } = require('../validation');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const MAX_NOTES_LENGTH = 1000;
+
+function requireStudent(req, res, next) {
+  if (req.user.isAdmin || req.user.isGuardian) {
+    return res.status(403).json({ message: 'Only students log practice' })
+  }
+  next()
+}
+
+const practiceEntry = validate({
+  date: date({ required: true }),
+  minutes: number({
+    required: true,
+    integer: true,
+    min: 1,
+    max: 24 * 60,
+    message: 'Must be a whole number of minutes between 1 and 1440'
+  }),
+  assignment: string(),
+  notes: string({ max: MAX_NOTES_LENGTH, default: '' })
+})
+
+// students log their own practice
+router.post('/', policy.loggedIn, requireStudent, jsonParser, practiceEntry, async (req, res) => {
+  const { minutes, assignment, notes } = req.body
+  const day = new Date(req.body.date)
+
+  try {
+    let record = null
+    if (assignment) {
+      record = await StudentAssignment.findOne({ uuid: assignment, student: req.user.id, deletedAt: null })
+      if (!record) {
+        return res.status(422).json({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'No such assignment',
+          location: 'assignment'
+        });
+      }
+    }
+
+    const created = await PracticeSession.create({
+      student: req.user.id,
+      date: day,
+      minutes,
+      assignment: record && record._id,
+      notes
+    })
+    const session = await PracticeSession
+      .findById(created._id)
+      .populate({ path: 'assignment', populate: { path: 'assignment' } })
+    res.status(201).json(session.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// a student's log is readable by that student and by their teachers
+router.get('/:userID', policy.selfOrTeacherOf('userID'), async (req, res) => {
+  const { userID } = req.params
+  try {
+    const sessions = await PracticeSession.findForStudent(userID)
+    res.json(sessions.map(s => s.serialize()))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// weekly totals, streaks and per-assignment totals
+router.get('/:userID/summary', policy.selfOrTeacherOf('userID'), async (req, res) => {
+  const { userID } = req.params
+  try {
+    const sessions = await PracticeSession.findForStudent(userID)
+    res.json(summarizePractice(sessions.map(s => s.serialize())))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/:userID/:sessionID', policy.self('userID'), async (req, res) => {
+  const { userID, sessionID } = req.params
+  try {
+    const removed = mongoose.Types.ObjectId.isValid(sessionID)
+      && await PracticeSession.findOneAndRemove({ _id: sessionID, student: userID })
+    if (!removed) {
+      return res.status(404).json({ message: 'No such practice session' })
+    }
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
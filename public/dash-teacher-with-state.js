@@ -1,21 +1,145 @@
 const STATE = {
+    // full records, with assignments, of the students opened so far
     users: [],
+    // what the student search last found, without assignments
+    students: [],
+    classes: [],
+    categories: [],
+    invites: [],
+    // the repertoire catalog, with how often each piece was assigned
+    pieces: [],
+    // the teacher's assignment templates
+    templates: [],
+    // gradebooks by student id
+    gradebooks: {},
+    // practice summaries by student id
+    practice: {},
     loggedInUser: null,
 }
 
-function loadUsers() {
-
-    // return a promise
+//Students whose name or username contains `text`, for the picker
+function searchStudents(text) {
     return $.ajax({
         type: "GET",
         url: '/api/users',
-    }).then(usersArr => {
-        STATE.users = usersArr
+        data: { q: text, role: 'student', fields: 'summary', sort: 'lastName', limit: 20 },
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(students => {
+        STATE.students = students
+    })
+}
+
+//One student with their assignments, kept in STATE.users
+function loadUser(userID) {
+    return $.ajax({
+        type: "GET",
+        url: `/api/users/${userID}`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(userObj => {
+        STATE.users = STATE.users.filter(user => user.id !== userObj.id).concat([userObj])
+        return userObj
+    })
+}
+
+function loadClasses() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/classes',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(classesArr => {
+        STATE.classes = classesArr
+    })
+}
+
+function loadCategories() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/grades/categories',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(categoriesArr => {
+        STATE.categories = categoriesArr
+    })
+}
+
+function loadInvites() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/invites',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(invitesArr => {
+        STATE.invites = invitesArr
     })
 }
 
+function loadPieces() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/repertoire',
+        data: { limit: 200 },
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(piecesArr => {
+        STATE.pieces = piecesArr
+    })
+}
+
+function loadTemplates() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/templates',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(templatesArr => {
+        STATE.templates = templatesArr
+    })
+}
+
+function loadGradebook(userID) {
+    return $.ajax({
+        type: "GET",
+        url: `/api/grades/${userID}`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(gradebook => {
+        STATE.gradebooks[userID] = gradebook
+    })
+}
+
+function loadPracticeSummary(userID) {
+    return $.ajax({
+        type: "GET",
+        url: `/api/practice/${userID}/summary`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(summary => {
+        STATE.practice[userID] = summary
+    })
+}
+
+function getGrade(userID, assgnID) {
+    const gradebook = STATE.gradebooks[userID]
+    if (!gradebook) {
+        return null
+    }
+    return gradebook.grades.find(g => g.id === assgnID) || null
+}
+
 function getStudents() {
-    return STATE.users.filter(user => !user.isAdmin)
+    return STATE.students
 }
 
 function getAssignmentByID(userObj, id) {
@@ -51,34 +175,689 @@ function addAssignment(userID, data) {
     })
 }
 
+function addClassAssignment(classID, data) {
+    return $.ajax({
+        type: "POST",
+        url: `/api/classes/${classID}/assignments`,
+        data: JSON.stringify(data),
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+        contentType: 'application/json'
+    }).then(() => refreshSelectedStudent())
+}
+
+// reloads everyone after a class-wide change and redraws the picked student
+function refreshSelectedStudent() {
+    const userID = $('#username').val()
+    if (!userID) {
+        return Promise.resolve()
+    }
+    return loadUser(userID).then(displayAssignments)
+}
+
+// How the new assignment repeats, from the form
+function repeatRule(frequency) {
+    const rule = { frequency, interval: Number($('#js-repeat-interval').val()) || 1 }
+    if (frequency === 'weekly') {
+        rule.weekdays = $('.js-repeat-weekday:checked').map((i, box) => box.value).get()
+    }
+    const until = $('#js-repeat-until').val()
+    const count = $('#js-repeat-count').val()
+    if (count) {
+        rule.count = Number(count)
+    } else if (until) {
+        rule.until = until
+    }
+    return rule
+}
+
+//Gives one assignment to the students whose profile matches, in the picked
+//class or all of them
+function addTargetedAssignment(data) {
+    return $.ajax({
+        type: "POST",
+        url: '/api/assignments',
+        data: JSON.stringify(data),
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+        contentType: 'application/json'
+    }).then(result => {
+        $('.js-errorsTargeted').text(`Given to ${result.assignedTo.length} students`)
+        return refreshSelectedStudent()
+    }).catch(err => {
+        $('.js-errorsTargeted').text(`${err.responseJSON.location}: ${err.responseJSON.message}`)
+    })
+}
+
+function setupProfileButtons() {
+    $('body').on('click', '.saveProfile', ev => {
+        ev.preventDefault()
+        const form$ = $(ev.target).parents('form')
+        const userID = form$.attr('data-user-id')
+        const profile = {
+            instrument: form$.find('.js-profile-instrument').val(),
+            chair: form$.find('.js-profile-chair').val(),
+            part: form$.find('.js-profile-part').val()
+        }
+        const level = form$.find('.js-profile-level').val()
+        if (level) {
+            profile.level = Number(level)
+        }
+        $.ajax({
+            type: "PUT",
+            url: `/api/users/${userID}/profile`,
+            data: JSON.stringify(profile),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => loadUser(userID))
+            .then(displayAssignments)
+    })
+}
+
 function setupAddButton() {
-    $('body').on('click', '.submitAssignment', ev => {
+    $('body').on('click', '.submitAssignment, .submitTargeted', ev => {
 
         //TODO validate here
         const data = {
             assignmentName: $("#js-assignment-name").val(),
             assignmentDate: $("#js-assignment-date").val()
         }
+        const category = $('#js-assignment-category').val()
+        if (category) {
+            data.category = category
+        }
+        const frequency = $('#js-repeat').val()
+        if (frequency) {
+            data.recurrence = repeatRule(frequency)
+        }
+        const piece = $('#js-assignment-piece').val()
+        if (piece) {
+            data.piece = piece
+            data.section = $('#js-assignment-section').val()
+            const measureFrom = $('#js-assignment-measure-from').val()
+            const measureTo = $('#js-assignment-measure-to').val()
+            if (measureFrom) {
+                data.measureFrom = Number(measureFrom)
+            }
+            if (measureTo) {
+                data.measureTo = Number(measureTo)
+            }
+        }
+        const classID = $('#classID').val()
+        if ($(ev.target).hasClass('submitTargeted')) {
+            data.target = {
+                instrument: $('#js-target-instrument').val(),
+                part: $('#js-target-part').val()
+            }
+            const minLevel = $('#js-target-level').val()
+            if (minLevel) {
+                data.target.minLevel = Number(minLevel)
+            }
+            if (classID) {
+                data.target.class = classID
+            }
+            return addTargetedAssignment(data)
+        }
+        if (classID) {
+            data.includeNewStudents = $('#js-include-new-students').is(':checked')
+            return addClassAssignment(classID, data)
+        }
         const userID = $('#username').val()
         addAssignment(userID, data)
     })
 }
 
+function populateClassSelect() {
+    const list = [`<option value="">No class (single student)</option>`];
+    for (let i = 0; i < STATE.classes.length; i++) {
+        const cls = STATE.classes[i]
+        list.push(`<option value="${cls.id}">${cls.name} (${cls.students.length})</option>`);
+    }
+    $(".showClasses-js").html(list);
+}
+
+function populateCategorySelect() {
+    const list = [`<option value="">No category</option>`];
+    for (let i = 0; i < STATE.categories.length; i++) {
+        const category = STATE.categories[i]
+        list.push(`<option value="${category.id}">${category.name} (weight ${category.weight})</option>`);
+    }
+    $(".showCategories-js").html(list);
+}
+
+function pieceLabel(piece) {
+    const by = [piece.composer, piece.arranger && `arr. ${piece.arranger}`].filter(Boolean).join(', ')
+    return by ? `${piece.title} (${by})` : piece.title
+}
+
+function populatePieceSelect() {
+    const list = [`<option value="">No piece</option>`];
+    for (let i = 0; i < STATE.pieces.length; i++) {
+        const piece = STATE.pieces[i]
+        list.push(`<option value="${piece.id}">${pieceLabel(piece)}</option>`);
+    }
+    $(".showPieces-js").html(list);
+}
+
+function displayPieces() {
+    $('.showPieces').empty();
+    if (!STATE.pieces.length) {
+        return
+    }
+
+    $('.showPieces').append(`<h3>Repertoire</h3>`);
+    for (let i = 0; i < STATE.pieces.length; i++) {
+        const piece = STATE.pieces[i]
+        const details = [
+            piece.instruments.join(', '),
+            piece.difficulty && `grade ${piece.difficulty}`,
+            piece.book && `${piece.book}${piece.page ? ` p. ${piece.page}` : ''}`
+        ].filter(Boolean).join(' - ')
+        $('.showPieces').append(`
+    <li data-id="${piece.id}">
+    <span><b class="assignmentColor">${pieceLabel(piece)}</b> ${details} Assigned ${piece.usage.assignments} times to ${piece.usage.students} students</span>
+    <button class="piece-played-by button-label">Who played it</button>
+    <div class="playedBy"></div>
+    </li>`);
+    }
+}
+
+function showPlayedBy(li$) {
+    $.ajax({
+        type: "GET",
+        url: `/api/repertoire/${li$.attr('data-id')}/students`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(records => {
+        const rows = records.map(r => `<li>${r.student.username}: ${r.assignmentName}, due ${r.assignmentDate} (${r.status})</li>`)
+        li$.find('.playedBy').html(rows.length ? `<ul>${rows.join('')}</ul>` : 'None of your students yet')
+    })
+}
+
+function setupRepertoireButtons() {
+    $('body').on('click', '.submitPiece', ev => {
+        ev.preventDefault()
+        $('.js-errorsPiece').empty()
+        const data = {
+            title: $('#js-piece-title').val(),
+            composer: $('#js-piece-composer').val(),
+            arranger: $('#js-piece-arranger').val(),
+            instruments: $('#js-piece-instruments').val().split(',').map(s => s.trim()).filter(Boolean),
+            book: $('#js-piece-book').val()
+        }
+        const difficulty = $('#js-piece-difficulty').val()
+        if (difficulty) {
+            data.difficulty = Number(difficulty)
+        }
+        const page = $('#js-piece-page').val()
+        if (page) {
+            data.page = Number(page)
+        }
+        $.ajax({
+            type: "POST",
+            url: '/api/repertoire',
+            data: JSON.stringify(data),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => {
+            $('form[name="js-piece-form"] input').val('')
+            return loadPieces()
+        }).then(() => {
+            populatePieceSelect()
+            displayPieces()
+        }).catch(err => {
+            $('.js-errorsPiece').html(`${err.responseJSON.location}: ${err.responseJSON.message}`)
+        })
+    })
+
+    // the name the assignment gets if the teacher doesn't type one
+    $('body').on('change', '#js-assignment-piece', ev => {
+        const piece = STATE.pieces.find(p => p.id === $(ev.target).val())
+        $('#js-assignment-name').attr('placeholder', piece ? piece.title : 'Assignment #1')
+    })
+
+    $('body').on('click', '.piece-played-by', ev => {
+        ev.preventDefault()
+        showPlayedBy($(ev.target).parents('li'))
+    })
+}
+
+function populateTemplateSelect() {
+    const list = [`<option value="">Pick a template</option>`];
+    for (let i = 0; i < STATE.templates.length; i++) {
+        const template = STATE.templates[i]
+        list.push(`<option value="${template.id}">${template.name} (${template.items.length})</option>`);
+    }
+    $(".showTemplates-js").html(list);
+    displayTemplateItems()
+}
+
+// what the picked template sets, and when
+function displayTemplateItems() {
+    const template = STATE.templates.find(t => t.id === $('#js-template').val())
+    const items = template ? template.items.map(item => `<li>${item.due}: ${item.assignmentName}</li>`) : []
+    $('.js-template-items').html(items)
+}
+
+function showTemplateError(err) {
+    $('.js-errorsTemplate').html(`${err.responseJSON.location || 'Template'}: ${err.responseJSON.message}`)
+}
+
+function reloadTemplates() {
+    return loadTemplates().then(populateTemplateSelect)
+}
+
+function setupTemplateButtons() {
+    $('body').on('change', '#js-template', displayTemplateItems)
+
+    $('body').on('click', '.applyTemplate', ev => {
+        ev.preventDefault()
+        $('.js-errorsTemplate').empty()
+        const templateID = $('#js-template').val()
+        if (!templateID) {
+            return
+        }
+        const data = { startDate: $('#js-template-start').val() }
+        const classID = $('#classID').val()
+        if (classID) {
+            data.classID = classID
+            data.includeNewStudents = $('#js-include-new-students').is(':checked')
+        } else {
+            data.studentID = $('#username').val()
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/templates/${templateID}/apply`,
+            data: JSON.stringify(data),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(refreshSelectedStudent)
+            .catch(showTemplateError)
+    })
+
+    $('body').on('click', '.saveTemplate', ev => {
+        ev.preventDefault()
+        $('.js-errorsTemplate').empty()
+        const userID = $('#username').val()
+        if (!userID) {
+            return
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/templates/from-student/${userID}`,
+            data: JSON.stringify({ name: $('#js-template-name').val() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(template => {
+            $('#js-template-name').val('')
+            return reloadTemplates().then(() => {
+                $('#js-template').val(template.id)
+                displayTemplateItems()
+            })
+        }).catch(showTemplateError)
+    })
+
+    $('body').on('click', '.deleteTemplate', ev => {
+        ev.preventDefault()
+        const templateID = $('#js-template').val()
+        if (!templateID) {
+            return
+        }
+        $.ajax({
+            type: "DELETE",
+            url: `/api/templates/${templateID}`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(reloadTemplates)
+    })
+}
+
+function setupCategoryButton() {
+    $('body').on('click', '.submitCategory', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "POST",
+            url: '/api/grades/categories',
+            data: JSON.stringify({
+                name: $('#js-category-name').val(),
+                weight: Number($('#js-category-weight').val())
+            }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => {
+            $('#js-category-name').val('')
+            return loadCategories()
+        }).then(populateCategorySelect)
+    })
+}
+
+function displayClassGradebook(gradebook) {
+    const headers = gradebook.assignments.map(a => `<th>${a.assignmentName}<br>${a.assignmentDate}</th>`)
+    const rows = gradebook.students.map(student => {
+        const cells = gradebook.assignments.map(a => {
+            const grade = student.scores[a.id]
+            return `<td>${grade ? `${grade.score}/${grade.maxScore}` : '-'}</td>`
+        })
+        const average = student.average === null ? '-' : `${student.average}%`
+        return `<tr><th>${student.username}</th>${cells.join('')}<td>${average}</td></tr>`
+    })
+    $('.showGradebook').html(`
+    <h3>${gradebook.class.name} gradebook</h3>
+    <table>
+        <tr><th>Student</th>${headers.join('')}<th>Average</th></tr>
+        ${rows.join('')}
+    </table>`)
+}
+
+function setupClassGradebookButton() {
+    $('body').on('click', '.showClassGradebook', ev => {
+        ev.preventDefault()
+        const classID = $('#classID').val()
+        if (!classID) {
+            return
+        }
+        $.ajax({
+            type: "GET",
+            url: `/api/classes/${classID}/gradebook`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(displayClassGradebook)
+    })
+}
+
+//Every student's copy of the teacher's assignments matching the overview
+//form, grouped by assignment or by student
+function loadOverview() {
+    const query = { group: $('#js-overview-group').val() }
+    const fields = {
+        dueFrom: $('#js-overview-from').val(),
+        dueTo: $('#js-overview-to').val(),
+        status: $('#js-overview-status').val(),
+        name: $('#js-overview-name').val().trim(),
+        class: $('#classID').val()
+    }
+    Object.keys(fields).filter(key => fields[key]).forEach(key => {
+        query[key] = fields[key]
+    })
+    return $.ajax({
+        type: "GET",
+        url: '/api/assignments',
+        data: query,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(groups => displayOverview(query.group, groups))
+}
+
+function describeCounts(counts) {
+    return Object.keys(counts)
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${STATUS_LABELS[status].toLowerCase()}`)
+        .join(', ')
+}
+
+function displayOverview(group, groups) {
+    const overview$ = $('.overviewResults').empty()
+    overview$.append('<h3>Overview</h3>')
+    if (!groups.length) {
+        return overview$.append('<p>Nothing matches.</p>')
+    }
+    const list$ = $('<ul class="assignmentList">')
+    groups.forEach(entry => {
+        const item$ = $('<li>')
+        if (group === 'student') {
+            item$.append($('<b class="assignmentColor">').text(entry.student.username))
+            item$.append($('<span>').text(` ${describeCounts(entry.counts)}`))
+            const rows = entry.Assignments.map(a => `${a.assignmentName} (${a.assignmentDate}): ${STATUS_LABELS[a.status]}`)
+            item$.append($('<p>').text(rows.join('; ')))
+        } else {
+            item$.append($('<b class="assignmentColor">').text(entry.assignment.assignmentName))
+            item$.append($('<span>').text(` due ${entry.assignment.assignmentDate}: ${describeCounts(entry.counts)}`))
+            const rows = entry.students.map(s => `${s.username}: ${STATUS_LABELS[s.status]}`)
+            item$.append($('<p>').text(rows.join('; ')))
+        }
+        list$.append(item$)
+    })
+    overview$.append(list$)
+}
+
+function setupOverviewButton() {
+    $('body').on('click', '.showOverview', ev => {
+        ev.preventDefault()
+        loadOverview().catch(err => {
+            $('.overviewResults').text(`${err.responseJSON.location} ${err.responseJSON.message}`)
+        })
+    })
+}
+
+function setupClassButtons() {
+    $('body').on('click', '.submitClass', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "POST",
+            url: '/api/classes',
+            data: JSON.stringify({ name: $('#js-class-name').val() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => {
+            $('#js-class-name').val('')
+            return loadClasses()
+        }).then(populateClassSelect)
+    })
+
+    $('body').on('click', '.addToClass', ev => {
+        ev.preventDefault()
+        const classID = $('#classID').val()
+        const userID = $('#username').val()
+        if (!classID || !userID) {
+            return
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/classes/${classID}/students`,
+            data: JSON.stringify({ studentID: userID }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => Promise.all([loadClasses(), searchStudents($('#js-student-search').val())]))
+            .then(() => {
+                populateClassSelect()
+                populateSelect()
+                $('#classID').val(classID)
+                $('#username').val(userID)
+                return refreshSelectedStudent()
+            })
+    })
+}
+
+function displayInvites() {
+    $('.showInvites').empty();
+    const active = STATE.invites.filter(invite => !invite.revoked && invite.uses < invite.maxUses)
+    if (!active.length) {
+        return
+    }
+
+    $('.showInvites').append(`<h3>Invite codes</h3>`);
+    for (let i = 0; i < active.length; i++) {
+        const invite = active[i]
+        const cls = STATE.classes.find(c => c.id === invite.class)
+        const student = STATE.users.concat(STATE.students).find(u => u.id === invite.student)
+        const forWhom = {
+            teacher: 'Teacher',
+            student: `Student in ${cls ? cls.name : 'a class'}`,
+            guardian: `Parent of ${student ? student.username : 'a student'}`,
+        }[invite.role]
+        const expires = new Date(invite.expiresAt).toLocaleDateString()
+        $('.showInvites').append(`
+    <li data-id="${invite.id}">
+    <span><b class="assignmentColor">${invite.code}</b> ${forWhom}, used ${invite.uses} of ${invite.maxUses}, expires ${expires}</span>
+    <button class="invite-revoke button-label">Revoke</button>
+    </li>`);
+    }
+}
+
+function setupInviteButtons() {
+    $('body').on('click', '.submitInvite', ev => {
+        ev.preventDefault()
+        const role = $('#js-invite-role').val()
+        $('.js-errorsInvite').empty()
+        $.ajax({
+            type: "POST",
+            url: '/api/invites',
+            data: JSON.stringify({
+                role,
+                classID: role === 'student' ? $('#classID').val() : undefined,
+                maxUses: Number($('#js-invite-uses').val())
+            }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(loadInvites)
+            .then(displayInvites)
+            .catch(err => {
+                const location = err.responseJSON.location === 'classID' ? 'Class' : err.responseJSON.location
+                $('.js-errorsInvite').html(`${location}: ${err.responseJSON.message}`)
+            })
+    })
+
+    $('body').on('click', '.invite-revoke', ev => {
+        ev.preventDefault()
+        const inviteID = $(ev.target).parents('li').attr('data-id')
+        $.ajax({
+            type: "DELETE",
+            url: `/api/invites/${inviteID}`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(loadInvites)
+            .then(displayInvites)
+    })
+}
+
+function setupGuardianButtons() {
+    $('body').on('click', '.linkGuardian', ev => {
+        ev.preventDefault()
+        const userID = $('#username').val()
+        if (!userID) {
+            return
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/guardians/students/${userID}/guardians`,
+            data: JSON.stringify({ username: $('#js-guardian-username').val().trim() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => {
+            $('#js-guardian-username').val('')
+            $('.js-guardian-result').text('Linked')
+        }).catch(err => {
+            $('.js-guardian-result').text(err.responseJSON.message)
+        })
+    })
+
+    $('body').on('click', '.makeGuardianCode', ev => {
+        ev.preventDefault()
+        const userID = $('#username').val()
+        if (!userID) {
+            return
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/guardians/students/${userID}/codes`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(invite => {
+            $('.js-guardian-result').html(`Parent code: <b class="assignmentColor">${invite.code}</b>`)
+            return loadInvites()
+        }).then(displayInvites)
+    })
+}
+
+//After too many wrong passwords a student's login is locked for a while
+function setupUnlockButton() {
+    $('body').on('click', '.unlockStudent', ev => {
+        ev.preventDefault()
+        const userID = $('#username').val()
+        if (!userID) {
+            return
+        }
+        $.ajax({
+            type: "POST",
+            url: `/api/users/${userID}/unlock`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(() => {
+            $('.js-unlock-result').text('They can log in again')
+        }).catch(err => {
+            $('.js-unlock-result').text(err.responseJSON.message)
+        })
+    })
+}
+
 function populateSelect() {
     const students = getStudents()
-    const list = [`<option value="">Please select </option>`];
+    const list = [`<option value="">${students.length ? 'Please select' : 'No students found'}</option>`];
     for (let i = 0; i < students.length; i++) {
-        list.push(`<option value="${students[i].id}">${students[i].username}</option>`);
+        const name = [students[i].firstName, students[i].lastName].join(' ').trim()
+        list.push(`<option value="${students[i].id}">${students[i].username}${name ? ` (${name})` : ''}</option>`);
     }
     $(".showStudents-js").html(list);
 }
 
+//Type-ahead: the picker fills with matches as the teacher types
+function setupStudentSearch() {
+    let timer = null
+    $('body').on('input', '#js-student-search', ev => {
+        clearTimeout(timer)
+        const text = $(ev.target).val().trim()
+        timer = setTimeout(() => {
+            searchStudents(text).then(() => {
+                populateSelect()
+                // a single match is picked straight away
+                if (STATE.students.length === 1) {
+                    $('#username').val(STATE.students[0].id).trigger('change')
+                }
+            })
+        }, 250)
+    })
+}
+
 function setupUserSelect() {
     $('body').on('change', '#username', ev => {
 
         const userID = $('#username').val()
-        const userObj = getUserByID(userID)
-        displayAssignments(userObj)
+        if (!userID) {
+            return
+        }
+        loadUser(userID).then(userObj => {
+            displayAssignments(userObj)
+            return Promise.all([loadGradebook(userID), loadPracticeSummary(userID)])
+                .then(() => displayAssignments(userObj))
+        })
+        loadTrash(userID)
         $(".showStudents-js").show();
     })
 }
@@ -88,30 +867,209 @@ function displayAssignments(userObj) {
 
     $('.showAssignment').empty();
 
-    $('.showAssignment').append(`<h3>${userObj.username}</h3>`);
+    const gradebook = STATE.gradebooks[userObj.id]
+    const average = gradebook && gradebook.average !== null ? ` - average ${gradebook.average}%` : ''
+    $('.showAssignment').append(`<h3>${userObj.username}${average}</h3>`);
+    const profile$ = $(`
+    <form class="assignmentForm js-profile-form" data-user-id="${userObj.id}">
+        <p class="js-profile-summary"></p>
+        <input type="text" class="forDashboard js-profile-instrument" placeholder="Instrument">
+        <input type="text" class="forDashboard js-profile-chair" placeholder="Chair">
+        <input type="text" class="forDashboard js-profile-part" placeholder="Part">
+        <input type="number" class="forDashboard js-profile-level" min="1" max="8" placeholder="Level">
+        <button class="saveProfile button-label">Save profile</button>
+    </form>`);
+    // students type these themselves, so they go in as text, never as HTML
+    profile$.find('.js-profile-summary').text(describeProfile(userObj));
+    profile$.find('.js-profile-instrument').val(userObj.instrument || '');
+    profile$.find('.js-profile-chair').val(userObj.chair || '');
+    profile$.find('.js-profile-part').val(userObj.part || '');
+    profile$.find('.js-profile-level').val(userObj.level || '');
+    $('.showAssignment').append(profile$);
+    const practice = STATE.practice[userObj.id]
+    if (practice) {
+        $('.showAssignment').append(`<p class="practiceSummary">${describePractice(practice)}</p>`);
+    }
+    const practiceOf = assgn => practice && practice.byAssignment.find(p => p.id === assgn.id)
+    const groups = groupSeries(userObj.Assignments)
     for (let j = 0; j < userObj.Assignments.length; j++) {
         const assgn = userObj.Assignments[j]
-        const formNameID = `assignment-list-entry-${assgn.id}`
-        const formDateID = `assignment-list-entry-${assgn.id}`
+        if (!assgn.series) {
+            $('.showAssignment').append(assignmentItem(userObj, assgn, practiceOf(assgn)))
+        }
+    }
+    // each repeating assignment as one group, its occurrences after it
+    groups.forEach(group => {
         $('.showAssignment').append(`
+    <li class="seriesHeader">
+    <span>Repeating: <b class="assignmentColor">${group.assignmentName}</b> ${describeSeries(group)}</span>
+    </li>`)
+        group.occurrences.forEach(assgn => {
+            $('.showAssignment').append(assignmentItem(userObj, assgn, practiceOf(assgn)))
+        })
+    })
+}
+
+// One of a student's assignments, with the teacher's buttons and forms
+function assignmentItem(userObj, assgn, practiced) {
+    const grade = getGrade(userObj.id, assgn.id)
+    const formNameID = `assignment-list-entry-${assgn.id}`
+    const formDateID = `assignment-list-entry-${assgn.id}`
+    return `
     <li
     data-user-id="${userObj.id}" 
     data-id="${assgn.id}"
     >
-    <span>Assignment: <b class="assignmentColor">${userObj.Assignments[j].assignmentName}</b> Due Date: <b class="assignmentColor">${userObj.Assignments[j].assignmentDate}</b></span>
-    
+    <span>Assignment: <b class="assignmentColor">${assgn.assignmentName}</b> Due Date: <b class="assignmentColor">${assgn.assignmentDate}</b> Status: ${describeStatus(assgn)}${practiced ? ` Practiced: ${practiced.minutes} min` : ''}</span>
+    ${statusButtons(assgn)}
+    <span class="attachments">${attachmentLinks(assgn)}</span>
+    <button class="assignment-item-recordings button-label">Recordings</button>
+    <div class="submissions"></div>
+    <span class="attachmentUpload">
+        <select class="js-attachment-kind forDashboard">
+            <option value="sheet_music">Sheet music (PDF)</option>
+            <option value="recording">Reference recording</option>
+            <option value="accompaniment">Accompaniment</option>
+        </select>
+        <input type="file" class="js-attachment-file" accept="application/pdf,audio/*">
+        <button class="assignment-item-attach button-label">Attach</button>
+    </span>
+    <span class="gradeEntry">
+        Score <input type="number" class="js-grade-score forDashboard" min="0" value="${grade ? grade.score : ''}">
+        / <input type="number" class="js-grade-max forDashboard" min="1" value="${grade ? grade.maxScore : 100}">
+        <button class="assignment-item-grade button-label">Save grade</button>
+    </span>
     <button class="assignment-item-delete button-label">Delete</button>
     <button class="js-show-hide-edit-form button-label">Edit</button>    
+    <button class="assignment-item-history button-label">History</button>
+    <div class="history"></div>
+    <div class="merge"></div>
     <form class="js-hidden">
         <label for="${formNameID}">Assignment Name</label>
         <input type="text" class="js-edit-name forDashboard" id="${formNameID}" placeholder="Assignment #1">      
         <label for="${formDateID}">Date</label>
         <input type="date" class="js-edit-date forDashboard forDates" id="${formDateID}">
+        ${assgn.series ? `<select class="js-edit-scope forDashboard">
+            <option value="this">This occurrence</option>
+            <option value="future">This and future occurrences</option>
+        </select>` : ''}
         <button class="assignment-item-update button-label">Save</button>
     </form>    
 
-    </li>`);
+    </li>`
+}
+
+// the moves a teacher can make from the current status
+function statusButtons(assgn) {
+    const buttons = []
+    if (assgn.status === 'submitted') {
+        buttons.push(`<button class="assignment-item-status button-label" data-status="reviewed">Mark reviewed</button>`)
+    }
+    if (assgn.status === 'submitted' || assgn.status === 'reviewed') {
+        buttons.push(`<button class="assignment-item-status button-label" data-status="in_progress">Send back</button>`)
     }
+    return buttons.join('')
+}
+
+function setupAttachButtons() {
+    $('body').on('click', '.assignment-item-attach', ev => {
+        ev.preventDefault()
+        const li$ = $(ev.target).parents('li')
+        const userID = li$.attr('data-user-id')
+        const assgnID = li$.attr('data-id')
+        const userObj = getUserByID(userID)
+        const assgnObj = getAssignmentByID(userObj, assgnID)
+        const file = li$.find('.js-attachment-file')[0].files[0]
+        if (!file) {
+            return
+        }
+        const data = new FormData()
+        data.append('kind', li$.find('.js-attachment-kind').val())
+        data.append('file', file)
+        $.ajax({
+            type: "POST",
+            url: `/api/attachments/${assgnObj.assignmentID}`,
+            data,
+            processData: false,
+            contentType: false,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(() => refreshSelectedStudent())
+    })
+}
+
+function showRecordings(li$) {
+    const userID = li$.attr('data-user-id')
+    const assgnID = li$.attr('data-id')
+    return loadSubmissions(userID, assgnID)
+        .then(submissions => renderSubmissions(li$.find('.submissions'), submissions, true))
+}
+
+function setupRecordingButtons() {
+    $('body').on('click', '.assignment-item-recordings', ev => {
+        ev.preventDefault()
+        showRecordings($(ev.target).parents('li').first())
+    })
+
+    $('body').on('click', '.submission-comment', ev => {
+        ev.preventDefault()
+        const take$ = $(ev.target).parents('.submission')
+        const li$ = take$.parents('li').first()
+        const userID = li$.attr('data-user-id')
+        const assgnID = li$.attr('data-id')
+        const version = $(ev.target).attr('data-version')
+        $.ajax({
+            type: "POST",
+            url: `/api/submissions/${userID}/${assgnID}/${version}/comments`,
+            data: JSON.stringify({
+                at: Math.round(take$.find('audio')[0].currentTime * 10) / 10,
+                text: take$.find('.js-comment-text').val()
+            }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => showRecordings(li$))
+    })
+}
+
+function setupGradeButtons() {
+    $('body').on('click', '.assignment-item-grade', ev => {
+        ev.preventDefault()
+        const li$ = $(ev.target).parents('li')
+        const userID = li$.attr('data-user-id')
+        const assgnID = li$.attr('data-id')
+        $.ajax({
+            type: "PUT",
+            url: `/api/grades/${userID}/${assgnID}`,
+            data: JSON.stringify({
+                score: Number(li$.find('.js-grade-score').val()),
+                maxScore: Number(li$.find('.js-grade-max').val())
+            }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(gradebook => {
+            STATE.gradebooks[userID] = gradebook
+            displayAssignments(getUserByID(userID))
+        })
+    })
+}
+
+function setupStatusButtons() {
+    $('body').on('click', '.assignment-item-status', ev => {
+        ev.preventDefault()
+        const userID = $(ev.target).parents('li').attr('data-user-id')
+        const assgnID = $(ev.target).parents('li').attr('data-id')
+        const status = $(ev.target).attr('data-status')
+        const userObj = getUserByID(userID)
+        changeStatus(userID, assgnID, status).then(newUserObj => {
+            userObj.Assignments = newUserObj.Assignments
+            displayAssignments(userObj)
+        })
+    })
 }
 
 function setupShowHideEditForm() {
@@ -134,12 +1092,13 @@ function setupShowHideEditForm() {
     })
 }
 
-function saveAssignment(userID, assgnObj) {
+// `scope` is 'future' to change the later occurrences of a series too
+function saveAssignment(userID, assgnObj, scope = 'this') {
     return $.ajax({
         contentType: 'application/json',
         type: "PUT",
         url: '/api/users/' + userID,
-        data: JSON.stringify({ assignment: assgnObj }),
+        data: JSON.stringify({ assignment: assgnObj, scope }),
         headers: {
             Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
         },
@@ -151,35 +1110,260 @@ function clickedEditButton() {
         setupEditButtons()
     })
 }
+
+// Saves the edit, or when someone else saved first, asks how to merge
+function submitEdit(li$, mine, scope) {
+    const userID = li$.attr('data-user-id')
+    const userObj = getUserByID(userID)
+    return saveAssignment(userID, mine, scope).then(newUserObj => {
+        userObj.Assignments = newUserObj.Assignments
+        displayAssignments(userObj)
+    }).catch(err => {
+        if (err.status !== 409) {
+            throw err
+        }
+        showMergePrompt(li$, mine, err.responseJSON.current, scope)
+    })
+}
+
+const MERGE_FIELDS = [['assignmentName', 'Name'], ['assignmentDate', 'Due date']]
+
+// Someone else changed the assignment while it was being edited: for each
+// field both of them set differently, pick whose value to keep
+function showMergePrompt(li$, mine, current, scope) {
+    const merge$ = li$.find('.merge').empty()
+    merge$.append($('<p>').text('Someone else changed this assignment while you were editing it. Choose what to keep:'))
+    MERGE_FIELDS
+        .filter(([field]) => mine[field] !== current[field])
+        .forEach(([field, label]) => {
+            const name = `merge-${current.id}-${field}`
+            const choice$ = $('<p>').text(`${label}: `)
+            choice$.append($('<label>').text(` ${current[field]} (theirs) `).prepend(`<input type="radio" name="${name}" value="theirs" checked>`))
+            choice$.append($('<label>').text(` ${mine[field]} (yours)`).prepend(`<input type="radio" name="${name}" value="mine">`))
+            merge$.append(choice$)
+        })
+    merge$.append('<button class="assignment-item-merge button-label">Save these</button>')
+    merge$.append('<button class="assignment-item-merge-discard button-label">Keep theirs</button>')
+    merge$.data('merge', { mine, current, scope })
+}
+
 function setupSaveEditsButtons() {
     $('body').on('click', '.assignment-item-update', ev => {
         ev.preventDefault()
         const form$ = $(ev.target).parents('form')
+        const li$ = $(ev.target).parents('li')
+        const userObj = getUserByID(li$.attr('data-user-id'))
+        const assgnObj = getAssignmentByID(userObj, li$.attr('data-id'))
+        submitEdit(li$, {
+            id: assgnObj.id,
+            // the revision the form was filled in from
+            revision: assgnObj.revision,
+            assignmentName: form$.find('.js-edit-name').val(),
+            assignmentDate: form$.find('.js-edit-date').val()
+        }, form$.find('.js-edit-scope').val())
+    })
+
+    $('body').on('click', '.assignment-item-merge', ev => {
+        ev.preventDefault()
+        const li$ = $(ev.target).parents('li[data-user-id]').first()
+        const { mine, current, scope } = li$.find('.merge').data('merge')
+        const merged = { id: current.id, revision: current.revision }
+        MERGE_FIELDS.forEach(([field]) => {
+            const choice = li$.find(`input[name="merge-${current.id}-${field}"]:checked`).val()
+            merged[field] = choice === 'mine' ? mine[field] : current[field]
+        })
+        submitEdit(li$, merged, scope)
+    })
+
+    $('body').on('click', '.assignment-item-merge-discard', ev => {
+        ev.preventDefault()
+        refreshSelectedStudent()
+    })
+}
+
+//What each audit entry did, in a few words
+function describeChange(entry) {
+    const who = entry.by ? entry.by.username : 'someone'
+    const fields = Object.keys(entry.after || entry.before || {})
+        .map(field => `${field}: ${(entry.before || {})[field]} → ${(entry.after || {})[field]}`)
+        .join(', ')
+    const student = entry.student ? ` for ${entry.student.username}` : ''
+    const rollback = entry.rolledBackTo ? ` (back to revision ${entry.rolledBackTo})` : ''
+    return `${new Date(entry.at).toLocaleString()} ${who} ${entry.action}${student}${rollback} ${fields}`
+}
+
+function loadHistory(assignmentID) {
+    return $.ajax({
+        type: "GET",
+        url: `/api/assignments/${assignmentID}/history`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    })
+}
+
+function showHistory(li$) {
+    const userObj = getUserByID(li$.attr('data-user-id'))
+    const assgnObj = getAssignmentByID(userObj, li$.attr('data-id'))
+    return loadHistory(assgnObj.assignmentID).then(history => {
+        const history$ = li$.find('.history').empty()
+        const list$ = $('<ul class="assignmentList">')
+        history.entries.forEach(entry => {
+            list$.append($('<li>').text(describeChange(entry)))
+        })
+        history.revisions
+            .filter(r => r.revision !== history.revision)
+            .forEach(r => {
+                const item$ = $('<li>').text(`Revision ${r.revision}: ${r.content.assignmentName}, due ${r.content.assignmentDate}`)
+                item$.append(`<button class="assignment-item-rollback button-label" data-revision="${r.revision}">Roll back to this</button>`)
+                list$.append(item$)
+            })
+        history$.append(list$)
+    })
+}
+
+function setupHistoryButtons() {
+    $('body').on('click', '.assignment-item-history', ev => {
+        ev.preventDefault()
+        showHistory($(ev.target).parents('li').first())
+    })
+
+    $('body').on('click', '.assignment-item-rollback', ev => {
+        ev.preventDefault()
+        const li$ = $(ev.target).parents('li[data-user-id]').first()
+        const userObj = getUserByID(li$.attr('data-user-id'))
+        const assgnObj = getAssignmentByID(userObj, li$.attr('data-id'))
+        $.ajax({
+            type: "POST",
+            url: `/api/assignments/${assgnObj.assignmentID}/rollback`,
+            data: JSON.stringify({ revision: Number($(ev.target).attr('data-revision')) }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => refreshSelectedStudent())
+    })
+}
+
+function deleteAssignment(userID, assgnID) {
+    return $.ajax({
+        type: "DELETE",
+        url: `/api/users/${userID}/assignments/${assgnID}`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    })
+}
+
+function setupDeleteButtons() {
+    $('body').on('click', '.assignment-item-delete', ev => {
+        ev.preventDefault()
         const userID = $(ev.target).parents('li').attr('data-user-id')
         const assgnID = $(ev.target).parents('li').attr('data-id')
         const userObj = getUserByID(userID)
-        const assgnObj = Object.assign({}, getAssignmentByID(userObj, assgnID))
-        const assgnName = form$.find('.js-edit-name').val()
-        const assgnDate = form$.find('.js-edit-date').val()
-        assgnObj.assignmentName = assgnName
-        assgnObj.assignmentDate = assgnDate
-        
-        //assgnObj.assignmentName = assgnObj.assignmentName + ' edited ' //this needs to be a inputted value
-        saveAssignment(userID, assgnObj).then(newUserObj => {
+        deleteAssignment(userID, assgnID).then(newUserObj => {
             userObj.Assignments = newUserObj.Assignments
             displayAssignments(userObj)
+            loadTrash(userID)
         })
     })
 }
 
-function setupDeleteButtons() {
+function loadTrash(userID) {
+    return $.ajax({
+        type: "GET",
+        url: `/api/users/${userID}/trash`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(entries => displayTrash(userID, entries))
+}
 
+function displayTrash(userID, entries) {
+    $('.showTrash').empty();
+    if (!entries.length) {
+        return
+    }
+
+    $('.showTrash').append(`<h3>Trash</h3>`);
+    for (let j = 0; j < entries.length; j++) {
+        const entry = entries[j]
+        const expires = new Date(entry.expiresAt).toLocaleDateString()
+        $('.showTrash').append(`
+    <li
+    data-user-id="${userID}" 
+    data-id="${entry.id}"
+    >
+    <span>Assignment: <b class="assignmentColor">${entry.assignmentName}</b> Due Date: <b class="assignmentColor">${entry.assignmentDate}</b> Removed for good on ${expires}</span>
+
+    <button class="trash-item-restore button-label">Restore</button>
+    <button class="trash-item-purge button-label">Delete forever</button>
+    </li>`);
+    }
 }
+
+function setupTrashButtons() {
+    $('body').on('click', '.trash-item-restore', ev => {
+        ev.preventDefault()
+        const userID = $(ev.target).parents('li').attr('data-user-id')
+        const assgnID = $(ev.target).parents('li').attr('data-id')
+        const userObj = getUserByID(userID)
+        $.ajax({
+            type: "POST",
+            url: `/api/users/${userID}/trash/${assgnID}/restore`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(newUserObj => {
+            userObj.Assignments = newUserObj.Assignments
+            displayAssignments(userObj)
+            loadTrash(userID)
+        })
+    })
+
+    $('body').on('click', '.trash-item-purge', ev => {
+        ev.preventDefault()
+        const userID = $(ev.target).parents('li').attr('data-user-id')
+        const assgnID = $(ev.target).parents('li').attr('data-id')
+        $.ajax({
+            type: "DELETE",
+            url: `/api/users/${userID}/trash/${assgnID}`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(() => loadTrash(userID))
+    })
+}
+
 $(() => {
-    loadUsers().then(() => {
+    APP.ready.then(() => Promise.all([searchStudents(''), loadClasses(), loadCategories(), loadInvites(), loadPieces(), loadTemplates()])).then(() => {
         setupAddButton()
+        setupClassButtons()
+        setupInviteButtons()
+        setupGuardianButtons()
+        setupUnlockButton()
+        setupCategoryButton()
+        setupRepertoireButtons()
+        setupTemplateButtons()
+        setupProfileButtons()
+        setupClassGradebookButton()
+        setupOverviewButton()
+        setupGradeButtons()
+        setupAttachButtons()
+        setupRecordingButtons()
+        populateClassSelect()
+        populateCategorySelect()
+        populatePieceSelect()
+        populateTemplateSelect()
+        displayPieces()
+        displayInvites()
         setupUserSelect()
+        setupStudentSearch()
         setupSaveEditsButtons()
+        setupDeleteButtons()
+        setupHistoryButtons()
+        setupTrashButtons()
+        setupStatusButtons()
         populateSelect()
         setupShowHideEditForm()
 
@@ -190,4 +1374,3 @@ $(() => {
 
 
 // finish edit button
-//make delete work
@@ -0,0 +1,88 @@
+const GUARDIAN_STATE = {
+    students: [],
+}
+
+function loadStudents() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/guardians/students',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(students => {
+        GUARDIAN_STATE.students = students
+    })
+}
+
+// read-only: no status buttons, uploads or downloads
+function renderStudentAssignments(title, assignments) {
+    const items = assignments.map(assgn => `
+    <li>
+    <span>Assignment: <b class="assignmentColor">${assgn.assignmentName}</b> Due Date: <b class="assignmentColor">${assgn.assignmentDate}</b> From: ${teacherName(assgn)} Status: ${describeStatus(assgn)}</span>
+    </li>`)
+    return `
+    <h4>${title}</h4>
+    <ul class="assignmentList">${items.length ? items.join('') : '<li>Nothing here</li>'}</ul>`
+}
+
+// one line per repeating assignment rather than one per occurrence
+function renderStudentSeries(groups) {
+    if (!groups.length) {
+        return ''
+    }
+    const items = groups.map(group => `
+    <li>
+    <span>Assignment: <b class="assignmentColor">${group.assignmentName}</b> ${describeSeries(group)}</span>
+    </li>`)
+    return `
+    <h4>Repeating</h4>
+    <ul class="assignmentList">${items.join('')}</ul>`
+}
+
+function displayStudents() {
+    const list$ = $('.js-students').empty()
+    if (!GUARDIAN_STATE.students.length) {
+        list$.append(`<p>No students linked yet. Ask your student or their teacher for a code.</p>`)
+        return
+    }
+    GUARDIAN_STATE.students.forEach(student => {
+        const groups = groupAssignments(student.Assignments)
+        list$.append(`
+    <section class="assignmentGroup" data-id="${student.id}">
+    <h3>${`${student.firstName} ${student.lastName}`.trim() || student.username}</h3>
+    <p>${describePractice(student.practice)}</p>
+    ${renderStudentAssignments('Overdue', groups.overdue)}
+    ${renderStudentAssignments('Due this week', groups.thisWeek)}
+    ${renderStudentAssignments('Later', groups.later)}
+    ${renderStudentSeries(groups.repeating)}
+    </section>`)
+    })
+}
+
+function setupLinkForm() {
+    $('body').on('click', '.submitLink', ev => {
+        ev.preventDefault()
+        $('.js-errorsLink').empty()
+        $.ajax({
+            type: "POST",
+            url: '/api/guardians/link',
+            data: JSON.stringify({ code: $('#js-link-code').val() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(students => {
+            $('#js-link-code').val('')
+            GUARDIAN_STATE.students = students
+            displayStudents()
+        }).catch(err => {
+            $('.js-errorsLink').html(`Code ${err.responseJSON.message}!`)
+        })
+    })
+}
+
+$(() => {
+    $('.Greeting').text(`Hi ${APP.LOGIN_INFO.username}!`)
+    setupLinkForm()
+    APP.ready.then(loadStudents).then(displayStudents)
+})
@@ -3,9 +3,232 @@
 // initial app state
 const APP = {
     LOGIN_INFO: {},
-    lastAssignments: []
+    lastAssignments: [],
+    // settles once the access token is good to use, see restoreLoginToken
+    ready: Promise.resolve(),
+    refreshTimer: null
 }
 
+// how assignment statuses read on the dashboards
+const STATUS_LABELS = {
+    assigned: 'Assigned',
+    in_progress: 'In progress',
+    submitted: 'Submitted',
+    reviewed: 'Reviewed'
+};
+
+//Status label plus when it last changed
+const describeStatus = (assgn) => {
+    const label = STATUS_LABELS[assgn.status] || assgn.status;
+    const history = assgn.statusHistory || [];
+    if (!history.length) {
+        return label;
+    }
+    const changedAt = new Date(history[history.length - 1].at).toLocaleString();
+    return `${label} (${changedAt})`;
+};
+
+//One line about a student's practice: this week, streaks, all-time total
+const describePractice = (summary) => {
+    const thisWeek = summary.weeklyTotals[summary.weeklyTotals.length - 1];
+    return `Practice: ${thisWeek.minutes} min this week, ` +
+        `streak ${summary.currentStreak} day(s) (best ${summary.longestStreak}), ` +
+        `${summary.totalMinutes} min total`;
+};
+
+//What a student plays: instrument, chair, part and level, as far as set
+const describeProfile = (user) => {
+    const parts = [user.instrument, user.chair, user.part, user.level && `level ${user.level}`].filter(Boolean);
+    return parts.length ? parts.join(', ') : 'No instrument yet';
+};
+
+// local calendar date as YYYY-MM-DD, the format assignment dates come in
+function toDateString(date) {
+    const pad = n => (n < 10 ? '0' : '') + n
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// splits assignments into overdue / due in the next 7 days / later, with
+// the occurrences of repeating ones kept together under `repeating`
+function groupAssignments(assignments) {
+    const today = new Date()
+    const todayStr = toDateString(today)
+    const weekEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7)
+    const weekEndStr = toDateString(weekEnd)
+
+    const sorted = assignments.slice().sort((a, b) => a.assignmentDate.localeCompare(b.assignmentDate))
+    const single = sorted.filter(a => !a.series)
+    return {
+        overdue: single.filter(a => a.assignmentDate < todayStr),
+        thisWeek: single.filter(a => a.assignmentDate >= todayStr && a.assignmentDate < weekEndStr),
+        later: single.filter(a => a.assignmentDate >= weekEndStr),
+        repeating: groupSeries(sorted),
+    }
+}
+
+// the occurrences of each repeating assignment, as one group per series
+function groupSeries(assignments) {
+    const groups = []
+    assignments.filter(a => a.series).forEach(assgn => {
+        let group = groups.find(g => g.id === assgn.series.id)
+        if (!group) {
+            group = Object.assign({ assignmentName: assgn.assignmentName, occurrences: [] }, assgn.series)
+            groups.push(group)
+        }
+        group.occurrences.push(assgn)
+    })
+    groups.forEach(group => group.occurrences.sort((a, b) => a.series.occurrence - b.series.occurrence))
+    return groups
+}
+
+//How a series repeats and how far along it is
+function describeSeries(group) {
+    const open = group.occurrences.filter(a => a.status !== 'submitted' && a.status !== 'reviewed')
+    const next = open.length ? `, next due ${open[0].assignmentDate}` : ''
+    return `${group.description}: ${group.occurrences.length - open.length} of ${group.occurrences.length} done${next}`
+}
+
+// who handed out an assignment, by name if we have one
+function teacherName(assgn) {
+    const teacher = assgn.teacher
+    if (!teacher) {
+        return ''
+    }
+    const fullName = `${teacher.firstName} ${teacher.lastName}`.trim()
+    return fullName || teacher.username
+}
+
+//Text that is safe to put into HTML, attribute values included. Anything a
+//user typed or named goes through this before it lands in a template.
+const escapeHTML = (text) => {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+const ATTACHMENT_LABELS = {
+    sheet_music: 'Sheet music',
+    recording: 'Reference recording',
+    accompaniment: 'Accompaniment'
+};
+
+//Download links for an assignment's attachments
+const attachmentLinks = (assgn) => {
+    return (assgn.attachments || []).map(file => `
+        <a href="#" class="js-download-attachment" data-url="${file.url}" data-name="${escapeHTML(file.originalName)}">${ATTACHMENT_LABELS[file.kind] || file.kind}: ${escapeHTML(file.originalName)}</a>`
+    ).join(' ');
+};
+
+//Downloads need the Bearer header, so fetch the file and hand it over as a blob
+const downloadAttachment = (url, fileName) => {
+    return fetch(url, {
+        headers: { Authorization: `Bearer ${APP.LOGIN_INFO.authToken}` }
+    })
+        .then(res => {
+            if (!res.ok) {
+                throw new Error(`Download failed with status ${res.status}`);
+            }
+            return res.blob();
+        })
+        .then(blob => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        });
+};
+
+//Seconds as m:ss
+const formatSeconds = (seconds) => {
+    const whole = Math.floor(seconds);
+    const secs = whole % 60;
+    return `${Math.floor(whole / 60)}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+//Every recorded take of a student's assignment, newest first
+const loadSubmissions = (userID, assgnID) => {
+    return $.ajax({
+        type: "GET",
+        url: `/api/submissions/${userID}/${assgnID}`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    });
+};
+
+//Turns in a recording file for a student's assignment
+const uploadSubmission = (userID, assgnID, file) => {
+    const data = new FormData();
+    data.append('file', file);
+    return $.ajax({
+        type: "POST",
+        url: `/api/submissions/${userID}/${assgnID}`,
+        data,
+        processData: false,
+        contentType: false,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    });
+};
+
+//Audio needs the Bearer header too, so players get a blob URL
+const loadAudioInto = (audioEl, url) => {
+    return fetch(url, {
+        headers: { Authorization: `Bearer ${APP.LOGIN_INFO.authToken}` }
+    })
+        .then(res => res.blob())
+        .then(blob => {
+            audioEl.src = URL.createObjectURL(blob);
+        });
+};
+
+//Shows each take with a player and its timestamped comments. Teachers also
+//get a box to comment at the player's current position.
+const renderSubmissions = (container$, submissions, canComment) => {
+    container$.empty();
+    if (!submissions.length) {
+        container$.append(`<p>No recordings yet</p>`);
+        return;
+    }
+    submissions.forEach(sub => {
+        const comments = sub.comments.map(c =>
+            `<li><a href="#" class="js-seek" data-at="${c.at}">[${formatSeconds(c.at)}]</a> ${escapeHTML(c.text)}</li>`
+        ).join('');
+        const commentForm = canComment ? `
+            <input type="text" class="js-comment-text forDashboard" placeholder="Rushing the sixteenths">
+            <button class="submission-comment button-label" data-version="${sub.version}">Comment at current time</button>` : '';
+        const take$ = $(`
+        <div class="submission" data-version="${sub.version}">
+            <p>Take ${sub.version} (${formatSeconds(sub.duration)}), turned in ${new Date(sub.submittedAt).toLocaleString()}</p>
+            <audio controls preload="none"></audio>
+            <ul>${comments}</ul>
+            ${commentForm}
+        </div>`);
+        container$.append(take$);
+        loadAudioInto(take$.find('audio')[0], sub.audioUrl);
+    });
+};
+
+//Moves an assignment to a new status, resolves to the updated student
+const changeStatus = (userID, assgnID, status) => {
+    return $.ajax({
+        type: "POST",
+        url: `/api/users/${userID}/assignments/${assgnID}/status`,
+        data: JSON.stringify({ status }),
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+        contentType: 'application/json'
+    });
+};
+
 //Reloads page to the sign-up screen
 const sendSignUp = () => {
     window.location.href = "sign-up.html";
@@ -37,12 +260,9 @@ const signUpForm = () => {
             password: $("#password").val(),
             firstName: $("#firstName").val(),
             lastName: $("#lastName").val(),
-            isAdmin: $('input[name=isAdmin]:checked').val(),
-            // Assignments will be added by an admin user later
-            Assignments: [{
-                assignmentName: '',
-                assignmentDate: '',
-            }]
+            email: $("#email").val(),
+            // a teacher's invite code decides the role and class, if any
+            inviteCode: $("#inviteCode").val(),
         }),
         // if there is a successful sign up, switch pages to login.html
         success: function success(response) {
@@ -53,14 +273,17 @@ const signUpForm = () => {
         error: function error(err) {
             $('.js-errorsUser').html(`Username ${err.responseJSON.message}!`);
             $('.js-errorsPass').html(`Password ${err.responseJSON.message}!`);
+            $('.js-errorsInvite').html(`Invite code ${err.responseJSON.message}!`);
+            $('.js-errorsEmail').html(`Email ${err.responseJSON.message}!`);
 
-            if (err.responseJSON.location === "username") {
-                $('.js-errorsPass').hide();
-                $('.js-errorsUser').show();
-            } else if (err.responseJSON.location === "password") {
-                $('.js-errorsUser').hide();
-                $('.js-errorsPass').show();
+            const errorFor = {
+                username: '.js-errorsUser',
+                password: '.js-errorsPass',
+                email: '.js-errorsEmail',
+                inviteCode: '.js-errorsInvite',
             }
+            $('.js-errorsUser, .js-errorsPass, .js-errorsEmail, .js-errorsInvite').hide();
+            $(errorFor[err.responseJSON.location]).show();
         },
         contentType: 'application/json'
     });
@@ -82,35 +305,174 @@ const loginForm = () => {
             // response is the JWT of the logged in user
             APP.LOGIN_INFO = response;
             saveLoginToken();
-            const redirectURL = APP.LOGIN_INFO.isAdmin ? '/dash-teacher.html' : 'student-dash.html'
+            const redirectURL = dashboardURL()
             if (window.location.pathname !== redirectURL) {
                 window.location.href = redirectURL
             }
             return
         },
         error: function error(err){
+            //too many failed logins come back with a message saying how long to wait
+            if (err.status === 429) {
+                return $('.js-errorIncorrect').text(err.responseJSON.message);
+            }
             $('.js-errorIncorrect').html('Username or Password is incorrect!');
         }
     })
 };
 
+//Where the logged in user's dashboard lives
+const dashboardURL = () => {
+    if (APP.LOGIN_INFO.isAdmin) {
+        return '/dash-teacher.html';
+    }
+    return APP.LOGIN_INFO.isGuardian ? '/guardian-dash.html' : '/student-dash.html';
+};
+
+//Asks for a reset link for every account on an email address
+const forgotPasswordForm = () => {
+    $.ajax({
+        type: "POST",
+        url: '/api/auth/forgot',
+        data: JSON.stringify({ email: $("#email").val() }),
+        contentType: 'application/json',
+    }).then(response => {
+        $('.js-forgotResult').text(`${response.message}.`);
+    }).catch(err => {
+        $('.js-forgotResult').text(`Email ${err.responseJSON.message}!`);
+    });
+};
+
+//Sets a new password with the token from the reset link
+const resetPasswordForm = () => {
+    const token = new URLSearchParams(window.location.search).get('token');
+    $.ajax({
+        type: "POST",
+        url: '/api/auth/reset',
+        data: JSON.stringify({ token, newPassword: $("#newPassword").val() }),
+        contentType: 'application/json',
+    }).then(() => {
+        $('.js-resetResult').html('Password saved! <a href="login.html">Log in</a>');
+    }).catch(err => {
+        const what = err.responseJSON.location === 'token' ? 'This reset link' : 'Password';
+        $('.js-resetResult').text(`${what} ${err.responseJSON.message}!`);
+    });
+};
+
+//The account forms on each dashboard
+const changePasswordForm = () => {
+    $.ajax({
+        type: "POST",
+        url: '/api/auth/password',
+        data: JSON.stringify({
+            currentPassword: $("#js-current-password").val(),
+            newPassword: $("#js-new-password").val(),
+        }),
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+        contentType: 'application/json',
+    }).then(() => {
+        $('#js-current-password, #js-new-password').val('');
+        $('.js-accountResult').text('Password changed');
+    }).catch(err => {
+        const what = err.responseJSON.location === 'currentPassword' ? 'Current password' : 'New password';
+        $('.js-accountResult').text(`${what} ${err.responseJSON.message}`);
+    });
+};
+
+const changeEmailForm = () => {
+    $.ajax({
+        type: "POST",
+        url: '/api/auth/email',
+        data: JSON.stringify({
+            currentPassword: $("#js-email-password").val(),
+            email: $("#js-account-email").val(),
+        }),
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+        contentType: 'application/json',
+    }).then(() => {
+        $('#js-email-password').val('');
+        $('.js-accountResult').text('Email saved');
+    }).catch(err => {
+        const what = err.responseJSON.location === 'currentPassword' ? 'Current password' : 'Email';
+        $('.js-accountResult').text(`${what} ${err.responseJSON.message}`);
+    });
+};
+
 //To save the JWT token as a cookie 
 const saveLoginToken = () => {
     Cookies.set('APP_TOKEN', JSON.stringify(APP.LOGIN_INFO));
 };
 
+//When an access token runs out, in ms since the epoch
+const tokenExpiry = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload)).exp * 1000;
+    } catch (err) {
+        return 0;
+    }
+};
+
+//Swaps the refresh token for a new pair. Another tab may have done it
+//already, and a refresh token only works once, so the cookie is read first.
+const refreshLogin = () => {
+    const saved = JSON.parse(Cookies.get('APP_TOKEN') || '{}');
+    if (saved.refreshToken && saved.refreshToken !== APP.LOGIN_INFO.refreshToken) {
+        APP.LOGIN_INFO = saved;
+        if (tokenExpiry(saved.authToken) - Date.now() > 60 * 1000) {
+            scheduleRefresh();
+            return Promise.resolve();
+        }
+    }
+    return $.ajax({
+        type: "POST",
+        url: '/api/auth/refresh',
+        data: JSON.stringify({ refreshToken: APP.LOGIN_INFO.refreshToken }),
+        contentType: 'application/json',
+    }).then(response => {
+        Object.assign(APP.LOGIN_INFO, response);
+        saveLoginToken();
+        scheduleRefresh();
+    }, () => {
+        //signed out elsewhere or the session ran out
+        Cookies.remove('APP_TOKEN');
+        window.location.href = '/login.html';
+        return new Promise(() => {});
+    });
+};
+
+//Refreshes a little before the access token runs out. The jitter keeps
+//several open tabs from all trying at the same moment.
+const scheduleRefresh = () => {
+    clearTimeout(APP.refreshTimer);
+    const left = tokenExpiry(APP.LOGIN_INFO.authToken) - Date.now();
+    const wait = Math.max(0, left - 60 * 1000 - Math.random() * 30 * 1000);
+    APP.refreshTimer = setTimeout(refreshLogin, wait);
+};
+
 //To restore the login when page is reloaded.
 const restoreLoginToken = () => {
     const savedTokenJSONStr = Cookies.get('APP_TOKEN')
     if (savedTokenJSONStr) {
         APP.LOGIN_INFO = JSON.parse(savedTokenJSONStr);
         console.log('LOGIN RESTORED, APP IS NOW', APP);
-        const redirectURL = APP.LOGIN_INFO.isAdmin ? '/dash-teacher.html' : '/student-dash.html'
+        const redirectURL = dashboardURL()
         if (window.location.pathname !== redirectURL) {
             window.location.href = redirectURL
+            return
+        }
+        //dashboards wait on APP.ready before their first request
+        if (tokenExpiry(APP.LOGIN_INFO.authToken) - Date.now() < 60 * 1000) {
+            APP.ready = refreshLogin();
+        } else {
+            scheduleRefresh();
         }
     } else {
-        const unathorizedURLs = ['/login.html', '/sign-up.html', '/index.html']
+        const unathorizedURLs = ['/login.html', '/sign-up.html', '/index.html', '/forgot-password.html', '/reset-password.html']
 
         if (!unathorizedURLs.includes(window.location.pathname)) {
             window.location.href = '/index.html'
@@ -118,16 +480,100 @@ const restoreLoginToken = () => {
     }
 };
 
-//enables cookie removal to logout
+//Signs this device's session out on the server, then forgets the tokens
 function logoutFeature() {
+    //keepalive lets the request finish while the Logout link navigates away
+    if (APP.LOGIN_INFO.authToken) {
+        fetch('/api/auth/logout', {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            }
+        });
+    }
+    clearTimeout(APP.refreshTimer);
     Cookies.remove('APP_TOKEN');
 }
 
+//The devices logged in to this account, on each dashboard's Account section
+const loadSessions = () => {
+    return $.ajax({
+        type: "GET",
+        url: '/api/auth/sessions',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(displaySessions);
+};
+
+const displaySessions = (sessions) => {
+    const list$ = $('.js-sessions').empty();
+    sessions.forEach(session => {
+        const li$ = $('<li class="assignment-item">').attr('data-id', session.id);
+        const lastUsed = new Date(session.lastUsedAt).toLocaleString();
+        li$.append($('<span>').text(`${session.userAgent || 'Unknown device'} (${session.ip}), last used ${lastUsed}`));
+        if (session.current) {
+            li$.append($('<span>').text(' - this device'));
+        } else {
+            li$.append('<button class="js-session-signout button-label">Sign out</button>');
+        }
+        list$.append(li$);
+    });
+};
+
+const setupSessionButtons = () => {
+    $('body').on('click', '.js-session-signout', ev => {
+        ev.preventDefault();
+        const sessionID = $(ev.target).parents('li').attr('data-id');
+        $.ajax({
+            type: "DELETE",
+            url: `/api/auth/sessions/${sessionID}`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(loadSessions);
+    });
+
+    $('body').on('click', '.js-signout-others', ev => {
+        ev.preventDefault();
+        $.ajax({
+            type: "DELETE",
+            url: '/api/auth/sessions',
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(loadSessions);
+    });
+};
+
 //For all form submissions
 $(function () {
 
     console.log('APP STARTS', new Date().toLocaleTimeString())
     restoreLoginToken();
+
+    //Logged in devices, on the dashboards that list them
+    if ($('.js-sessions').length) {
+        setupSessionButtons();
+        APP.ready.then(loadSessions);
+    }
+
+    //Clicking a comment's time jumps the player there
+    $('body').on('click', '.js-seek', ev => {
+        ev.preventDefault();
+        const audio = $(ev.target).parents('.submission').find('audio')[0];
+        audio.currentTime = Number($(ev.target).attr('data-at'));
+        audio.play();
+    });
+
+    //Attachment downloads on both dashboards
+    $('body').on('click', '.js-download-attachment', ev => {
+        ev.preventDefault();
+        const link = $(ev.target);
+        downloadAttachment(link.attr('data-url'), link.attr('data-name'))
+            .catch(err => console.error(err));
+    });
     $('body').submit(function (ev) {
         ev.preventDefault();
         const target = $(ev.target)
@@ -140,6 +586,19 @@ $(function () {
         if (target.attr('name') === 'login') {
             loginForm();
         }
+        //Password recovery and account forms
+        if (target.attr('name') === 'forgot') {
+            forgotPasswordForm();
+        }
+        if (target.attr('name') === 'reset') {
+            resetPasswordForm();
+        }
+        if (target.attr('name') === 'change-password') {
+            changePasswordForm();
+        }
+        if (target.attr('name') === 'change-email') {
+            changeEmailForm();
+        }
 
         //Deleting list item
         if (target.attr('name') === 'list-items') {
@@ -0,0 +1,329 @@
+const STUDENT_STATE = {
+    me: null,
+    gradebook: null,
+    practiceLog: [],
+    practiceSummary: null,
+}
+
+function loadMe() {
+    return $.ajax({
+        type: "GET",
+        url: '/api/users/me',
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(userObj => {
+        STUDENT_STATE.me = userObj
+    })
+}
+
+function loadMyGrades() {
+    return $.ajax({
+        type: "GET",
+        url: `/api/grades/${STUDENT_STATE.me.id}`,
+        headers: {
+            Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+        },
+    }).then(gradebook => {
+        STUDENT_STATE.gradebook = gradebook
+    })
+}
+
+function loadMyPractice() {
+    const headers = {
+        Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+    }
+    const userID = STUDENT_STATE.me.id
+    return Promise.all([
+        $.ajax({ type: "GET", url: `/api/practice/${userID}`, headers }),
+        $.ajax({ type: "GET", url: `/api/practice/${userID}/summary`, headers }),
+    ]).then(([log, summary]) => {
+        STUDENT_STATE.practiceLog = log
+        STUDENT_STATE.practiceSummary = summary
+    })
+}
+
+function displayPractice() {
+    $('.js-practice-summary').text(describePractice(STUDENT_STATE.practiceSummary))
+
+    const options = [`<option value="">None</option>`]
+    STUDENT_STATE.me.Assignments.forEach(assgn => {
+        options.push(`<option value="${assgn.id}">${assgn.assignmentName}</option>`)
+    })
+    $('#js-practice-assignment').html(options)
+
+    const list$ = $('.js-practice-log').empty()
+    STUDENT_STATE.practiceLog.forEach(session => {
+        list$.append(`
+    <li data-id="${session.id}">
+    <span>${session.date}: <b class="assignmentColor">${session.minutes} min</b>${session.assignment ? ` on ${session.assignment.assignmentName}` : ''} ${session.notes}</span>
+    <button class="practice-item-delete button-label">Remove</button>
+    </li>`);
+    })
+}
+
+function setupPracticeForm() {
+    $('body').on('click', '.submitPractice', ev => {
+        ev.preventDefault()
+        const data = {
+            date: $('#js-practice-date').val() || toDateString(new Date()),
+            minutes: Number($('#js-practice-minutes').val()),
+            notes: $('#js-practice-notes').val(),
+        }
+        const assignment = $('#js-practice-assignment').val()
+        if (assignment) {
+            data.assignment = assignment
+        }
+        $.ajax({
+            type: "POST",
+            url: '/api/practice',
+            data: JSON.stringify(data),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(() => {
+            $('#js-practice-minutes').val('')
+            $('#js-practice-notes').val('')
+            return loadMyPractice()
+        }).then(displayPractice)
+    })
+
+    $('body').on('click', '.practice-item-delete', ev => {
+        ev.preventDefault()
+        const sessionID = $(ev.target).parents('li').attr('data-id')
+        $.ajax({
+            type: "DELETE",
+            url: `/api/practice/${STUDENT_STATE.me.id}/${sessionID}`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(loadMyPractice).then(displayPractice)
+    })
+}
+
+function displayGrades(gradebook) {
+    const categories = gradebook.categories.map(c => `${c.name}: ${c.average}%`).join(', ')
+    $('.js-grade-average').text(gradebook.average === null
+        ? 'No grades yet'
+        : `Average: ${gradebook.average}% (${categories})`)
+
+    const list$ = $('.js-grades').empty()
+    for (let j = 0; j < gradebook.grades.length; j++) {
+        const grade = gradebook.grades[j]
+        list$.append(`
+    <li data-id="${grade.id}">
+    <span>Assignment: <b class="assignmentColor">${grade.assignmentName}</b> Score: <b class="assignmentColor">${grade.score}/${grade.maxScore}</b> (${grade.percent}%)${grade.category ? ` ${grade.category.name}` : ''}</span>
+    </li>`);
+    }
+}
+
+function renderAssignmentList(selector, assignments) {
+    const list$ = $(selector).empty()
+    if (!assignments.length) {
+        list$.append(`<li>Nothing here</li>`)
+        return
+    }
+    for (let j = 0; j < assignments.length; j++) {
+        list$.append(assignmentItem(assignments[j]))
+    }
+}
+
+// One assignment with the student's buttons
+function assignmentItem(assgn) {
+    return `
+    <li data-id="${assgn.id}">
+    <span>Assignment: <b class="assignmentColor">${assgn.assignmentName}</b> Due Date: <b class="assignmentColor">${assgn.assignmentDate}</b> From: ${teacherName(assgn)} Status: ${describeStatus(assgn)}</span>
+    <span class="attachments">${attachmentLinks(assgn)}</span>
+    ${studentStatusButtons(assgn)}
+    <span class="recordingUpload">
+        <input type="file" class="js-recording-file" accept="audio/webm,audio/ogg,audio/mpeg,audio/wav">
+        <button class="assignment-item-record button-label">Turn in recording</button>
+        <button class="assignment-item-recordings button-label">My recordings</button>
+    </span>
+    <div class="submissions"></div>
+    </li>`
+}
+
+// each repeating assignment as one group, its occurrences after it
+function renderSeriesList(selector, groups) {
+    const list$ = $(selector).empty()
+    if (!groups.length) {
+        list$.append(`<li>Nothing here</li>`)
+        return
+    }
+    groups.forEach(group => {
+        list$.append(`
+    <li class="seriesHeader">
+    <span><b class="assignmentColor">${group.assignmentName}</b> ${describeSeries(group)}</span>
+    </li>`)
+        group.occurrences.forEach(assgn => list$.append(assignmentItem(assgn)))
+    })
+}
+
+// the moves a student can make from the current status
+function studentStatusButtons(assgn) {
+    const buttons = []
+    if (assgn.status === 'assigned') {
+        buttons.push(`<button class="assignment-item-status button-label" data-status="in_progress">Start</button>`)
+    }
+    if (assgn.status === 'assigned' || assgn.status === 'in_progress') {
+        buttons.push(`<button class="assignment-item-status button-label" data-status="submitted">Submit</button>`)
+    }
+    return buttons.join('')
+}
+
+function setupStatusButtons() {
+    $('body').on('click', '.assignment-item-status', ev => {
+        ev.preventDefault()
+        const assgnID = $(ev.target).parents('li').attr('data-id')
+        const status = $(ev.target).attr('data-status')
+        changeStatus(STUDENT_STATE.me.id, assgnID, status).then(userObj => {
+            STUDENT_STATE.me = userObj
+            displayStudentDashboard(userObj)
+        })
+    })
+}
+
+function showMyRecordings(li$) {
+    return loadSubmissions(STUDENT_STATE.me.id, li$.attr('data-id'))
+        .then(submissions => renderSubmissions(li$.find('.submissions'), submissions, false))
+}
+
+function setupRecordingButtons() {
+    $('body').on('click', '.assignment-item-recordings', ev => {
+        ev.preventDefault()
+        showMyRecordings($(ev.target).parents('li').first())
+    })
+
+    $('body').on('click', '.assignment-item-record', ev => {
+        ev.preventDefault()
+        const li$ = $(ev.target).parents('li').first()
+        const file = li$.find('.js-recording-file')[0].files[0]
+        if (!file) {
+            return
+        }
+        uploadSubmission(STUDENT_STATE.me.id, li$.attr('data-id'), file)
+            .then(() => loadMe())
+            .then(() => {
+                displayStudentDashboard(STUDENT_STATE.me)
+                const newLi$ = $(`li[data-id="${li$.attr('data-id')}"]`).first()
+                return showMyRecordings(newLi$)
+            })
+    })
+}
+
+function setupGuardianButton() {
+    $('body').on('click', '.js-guardian-code', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "POST",
+            url: `/api/guardians/students/${STUDENT_STATE.me.id}/codes`,
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(invite => {
+            const expires = new Date(invite.expiresAt).toLocaleDateString()
+            $('.js-guardian-code-text').html(`<b class="assignmentColor">${invite.code}</b> works once, until ${expires}`)
+        })
+    })
+}
+
+function setupCalendarButtons() {
+    $('body').on('click', '.js-calendar-link', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "POST",
+            url: '/api/calendar/token',
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(({ url }) => {
+            const webcal = url.replace(/^https?:/, 'webcal:')
+            $('.js-calendar-url').html(`<a href="${webcal}">Subscribe</a> or copy: <code>${url}</code>`)
+        })
+    })
+
+    $('body').on('click', '.js-calendar-revoke', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "DELETE",
+            url: '/api/calendar/token',
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+        }).then(() => {
+            $('.js-calendar-url').text('Calendar link turned off')
+        })
+    })
+}
+
+// Chair, part and level are up to the teacher; the instrument is the
+// student's to set
+function setupInstrumentForm() {
+    $('body').on('click', '.js-save-instrument', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "PUT",
+            url: `/api/users/${STUDENT_STATE.me.id}/profile`,
+            data: JSON.stringify({ instrument: $('#js-instrument').val() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(profile => {
+            Object.assign(STUDENT_STATE.me, profile)
+            $('.js-profile').text(describeProfile(STUDENT_STATE.me))
+        })
+    })
+}
+
+// Students already signed up join another class with its student code
+function setupJoinForm() {
+    $('body').on('click', '.js-join-class', ev => {
+        ev.preventDefault()
+        $.ajax({
+            type: "POST",
+            url: '/api/classes/join',
+            data: JSON.stringify({ code: $('#js-class-code').val() }),
+            headers: {
+                Authorization: `Bearer ${APP.LOGIN_INFO.authToken}`
+            },
+            contentType: 'application/json'
+        }).then(joined => {
+            $('#js-class-code').val('')
+            $('.js-join-result').text(`You joined ${joined.name}`)
+            return loadMe().then(() => displayStudentDashboard(STUDENT_STATE.me))
+        }, () => {
+            $('.js-join-result').text('That code is invalid or expired')
+        })
+    })
+}
+
+function displayStudentDashboard(userObj) {
+    $('.Greeting').text(`Hi ${userObj.firstName || userObj.username}!`)
+    $('.js-profile').text(describeProfile(userObj))
+    $('#js-instrument').val(userObj.instrument)
+    const groups = groupAssignments(userObj.Assignments)
+    renderAssignmentList('.js-overdue', groups.overdue)
+    renderAssignmentList('.js-due-this-week', groups.thisWeek)
+    renderAssignmentList('.js-due-later', groups.later)
+    renderSeriesList('.js-repeating', groups.repeating)
+}
+
+$(() => {
+    APP.ready.then(loadMe).then(() => {
+        setupStatusButtons()
+        setupPracticeForm()
+        setupRecordingButtons()
+        setupCalendarButtons()
+        setupGuardianButton()
+        setupInstrumentForm()
+        setupJoinForm()
+        displayStudentDashboard(STUDENT_STATE.me)
+        return Promise.all([loadMyGrades(), loadMyPractice()])
+    }).then(() => {
+        displayGrades(STUDENT_STATE.gradebook)
+        displayPractice()
+    })
+})
@@ -0,0 +1,5 @@
+'use strict';
+const {Piece, DIFFICULTY} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Piece, DIFFICULTY, router};
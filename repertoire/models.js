@@ -0,0 +1,78 @@
+'use strict';
+const mongoose = require('mongoose');
+// registers the model the attachments virtual populates from
+require('../attachments/models');
+
+mongoose.Promise = global.Promise;
+
+// Difficulty grades, from beginner to advanced
+const DIFFICULTY = {min: 1, max: 8};
+
+// A piece in the repertoire catalog all teachers share. Assignments made
+// from it keep a reference, so we know who has played it.
+const PieceSchema = mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  composer: {type: String, default: '', trim: true},
+  arranger: {type: String, default: '', trim: true},
+  instruments: {type: [String], default: []},
+  difficulty: {type: Number, min: DIFFICULTY.min, max: DIFFICULTY.max, default: null},
+  // where the music is: a method book and the page it starts on
+  book: {type: String, default: '', trim: true},
+  page: {type: Number, min: 1, default: null},
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {timestamps: true});
+
+// files every assignment made from the piece starts with
+PieceSchema.virtual('attachments', {
+  ref: 'Attachment',
+  localField: '_id',
+  foreignField: 'piece'
+});
+
+PieceSchema.index({title: 1});
+PieceSchema.index({instruments: 1});
+
+// Expects `attachments` to be populated if they should be included.
+// `usage` comes from repertoire/usage.js.
+PieceSchema.methods.serialize = function(usage = null) {
+  return {
+    id: this._id,
+    title: this.title,
+    composer: this.composer || '',
+    arranger: this.arranger || '',
+    instruments: this.instruments || [],
+    difficulty: this.difficulty,
+    book: this.book || '',
+    page: this.page,
+    createdBy: this.createdBy,
+    attachments: (this.attachments || []).map(a => a.serialize()),
+    usage: usage || {assignments: 0, students: 0}
+  };
+};
+
+// The name an assignment of the piece gets when the teacher doesn't type
+// one, e.g. "Canon in D, mm. 1-16"
+PieceSchema.methods.assignmentName = function({section, measureFrom, measureTo}) {
+  const parts = [this.title];
+  if (section) {
+    parts.push(section);
+  }
+  if (measureFrom && measureTo) {
+    parts.push(`mm. ${measureFrom}-${measureTo}`);
+  } else if (measureFrom) {
+    parts.push(`from m. ${measureFrom}`);
+  }
+  return parts.join(', ');
+};
+
+const Piece = mongoose.model('Piece', PieceSchema);
+
+module.exports = {Piece, DIFFICULTY};
@@ -0,0 +1,227 @@
+'use strict';
+const express = require('express');
+const querystring = require('querystring');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { Assignment } = require('../assignments/models');
+const { Attachment, CONTENT_TYPES, uploadFields } = require('../attachments/models');
+const { receiveFile, removeStoredFile } = require('../attachments/storage');
+const { validate, checkFields, validationError, string, number, list } = require('../validation');
+const { PAGE_SIZE, escapeRegExp, encodeCursor, decodeCursor, pageFields } = require('../lib/paging');
+const { Piece, DIFFICULTY } = require('./models');
+const { usageCounts, playedBy } = require('./usage');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+// the catalog is for teachers
+router.use(policy.teacher);
+
+// pages are sorted by title, so cursors hold the last piece's
+const catalogQuery = validate(Object.assign({
+  q: string({ trim: true, max: 100 }),
+  instrument: string({ trim: true, max: 50 }),
+  difficulty: number({ integer: true, min: DIFFICULTY.min, max: DIFFICULTY.max })
+}, pageFields()), 'query');
+
+function catalogFilter(query) {
+  const conditions = [];
+  if (query.q) {
+    const pattern = new RegExp(escapeRegExp(query.q), 'i');
+    conditions.push({ $or: [{ title: pattern }, { composer: pattern }, { arranger: pattern }, { book: pattern }] });
+  }
+  if (query.instrument) {
+    conditions.push({ instruments: new RegExp(`^${escapeRegExp(query.instrument)}$`, 'i') });
+  }
+  if (query.difficulty) {
+    conditions.push({ difficulty: query.difficulty });
+  }
+  const after = query.cursor && decodeCursor(query.cursor);
+  if (after) {
+    conditions.push({
+      $or: [
+        { title: { $gt: after.value } },
+        { title: after.value, _id: { $gt: mongoose.Types.ObjectId(after.id) } }
+      ]
+    });
+  }
+  return conditions.length ? { $and: conditions } : {};
+}
+
+// Pieces with how often they were assigned
+async function serializeWithUsage(pieces) {
+  const usage = await usageCounts(pieces.map(piece => piece._id))
+  return pieces.map(piece => piece.serialize(usage.get(String(piece._id))))
+}
+
+// The catalog by title. Narrow it down with q (part of the title, composer,
+// arranger or book), instrument and difficulty. Pages hold `limit` pieces;
+// the Link header points at the next one.
+router.get('/', catalogQuery, async (req, res) => {
+  const limit = req.query.limit || PAGE_SIZE.default
+  try {
+    // one extra tells us whether there is a next page
+    const pieces = await Piece
+      .find(catalogFilter(req.query))
+      .sort({ title: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate('attachments')
+    const page = pieces.slice(0, limit)
+    if (pieces.length > limit) {
+      const last = page[page.length - 1]
+      const cursor = encodeCursor(last.title, last._id)
+      res.links({ next: `${req.baseUrl}?${querystring.stringify(Object.assign({}, req.query, { cursor }))}` })
+    }
+    res.json(await serializeWithUsage(page))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const validatePiece = validate({
+  title: string({ required: true, trim: true, notBlank: true, max: 150 }),
+  composer: string({ trim: true, max: 100, default: '' }),
+  arranger: string({ trim: true, max: 100, default: '' }),
+  instruments: list(string({ trim: true, notBlank: true, max: 50 }), { max: 20, default: [] }),
+  difficulty: number({ integer: true, min: DIFFICULTY.min, max: DIFFICULTY.max }),
+  book: string({ trim: true, max: 150, default: '' }),
+  page: number({ integer: true, min: 1 })
+})
+
+function pieceFrom(body) {
+  const { title, composer, arranger, instruments, book } = body
+  return {
+    title,
+    composer,
+    arranger,
+    instruments,
+    difficulty: body.difficulty || null,
+    book,
+    page: body.page || null
+  }
+}
+
+router.post('/', jsonParser, validatePiece, async (req, res) => {
+  try {
+    const piece = await Piece.create(Object.assign(pieceFrom(req.body), { createdBy: req.user.id }))
+    res.status(201).json(piece.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Loads the piece named in the URL into req.piece
+async function loadPiece(req, res, next) {
+  try {
+    const piece = mongoose.Types.ObjectId.isValid(req.params.pieceID)
+      && await Piece.findById(req.params.pieceID).populate('attachments')
+    if (!piece) {
+      return res.status(404).json({ message: 'No such piece' })
+    }
+    req.piece = piece
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// Every teacher can use the catalog, only the one who added a piece can
+// change it
+function requireOwnPiece(req, res, next) {
+  if (String(req.piece.createdBy) !== req.user.id) {
+    return res.status(403).json({ message: 'Only the teacher who added this piece can change it' })
+  }
+  next()
+}
+
+router.get('/:pieceID', loadPiece, async (req, res) => {
+  try {
+    const [serialized] = await serializeWithUsage([req.piece])
+    res.json(serialized)
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Assignments already made keep their name and attachments
+router.put('/:pieceID', jsonParser, loadPiece, requireOwnPiece, validatePiece, async (req, res) => {
+  try {
+    req.piece.set(pieceFrom(req.body))
+    await req.piece.save()
+    const [serialized] = await serializeWithUsage([req.piece])
+    res.json(serialized)
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Only pieces nobody was assigned yet can go, so the history stays intact
+router.delete('/:pieceID', loadPiece, requireOwnPiece, async (req, res) => {
+  try {
+    const uses = await Assignment.count({ piece: req.piece._id })
+    if (uses) {
+      return res.status(409).json({ message: `This piece is used by ${uses} assignment${uses === 1 ? '' : 's'}` })
+    }
+    await Attachment.deleteMany({ piece: req.piece._id })
+    await Promise.all(req.piece.attachments.map(async file => {
+      if (!await Attachment.isStored(file.storageKey)) {
+        removeStoredFile(file.storageKey)
+      }
+    }))
+    await req.piece.remove()
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// the teacher's students who were assigned the piece, most recent first
+router.get('/:pieceID/students', loadPiece, async (req, res) => {
+  try {
+    res.json(await playedBy(req.piece._id, req.user.id))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const receiveAttachment = receiveFile(CONTENT_TYPES, 'a PDF or an audio file');
+
+// A file every assignment made from the piece from now on starts with.
+// Remove one with DELETE /api/attachments/:attachmentID.
+router.post('/:pieceID/attachments', loadPiece, requireOwnPiece, receiveAttachment, async (req, res) => {
+  const { file } = req
+  const { value, errors } = checkFields(uploadFields, req.body)
+  if (errors.length) {
+    removeStoredFile(file.filename)
+    return res.status(422).json(validationError(errors));
+  }
+
+  try {
+    const attachment = await Attachment.create({
+      piece: req.piece._id,
+      kind: value.kind,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storageKey: file.filename,
+      uploadedBy: req.user.id
+    })
+    res.status(201).json(attachment.serialize())
+  } catch (err) {
+    removeStoredFile(file.filename)
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,67 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const { Assignment, StudentAssignment } = require('../assignments/models');
+
+function objectIDs(ids) {
+  return ids.map(id => mongoose.Types.ObjectId(String(id)));
+}
+
+// How often each piece was assigned: resolves to a Map from piece id to
+// {assignments, students}, counting every teacher's assignments but not
+// copies in a student's trash. Starts from the page's pieces so only their
+// assignments and records are read.
+function usageCounts(pieceIDs) {
+  return Assignment.aggregate([
+    { $match: { piece: { $in: objectIDs(pieceIDs) } } },
+    {
+      $lookup: {
+        from: StudentAssignment.collection.name,
+        localField: '_id',
+        foreignField: 'assignment',
+        as: 'record'
+      }
+    },
+    { $unwind: '$record' },
+    { $match: { 'record.deletedAt': null } },
+    {
+      $group: {
+        _id: '$piece',
+        assignments: { $addToSet: '$_id' },
+        students: { $addToSet: '$record.student' }
+      }
+    },
+    { $project: { assignments: { $size: '$assignments' }, students: { $size: '$students' } } }
+  ]).then(rows => new Map(rows.map(row => [
+    String(row._id),
+    { assignments: row.assignments, students: row.students }
+  ])));
+}
+
+// Who has played the piece: the teacher's students who were assigned it,
+// most recent first, with when it was due and how far they got
+function playedBy(pieceID, teacherID) {
+  return Assignment.find({ piece: pieceID, createdBy: teacherID })
+    .then(assignments => StudentAssignment
+      .find({ assignment: { $in: assignments.map(a => a._id) }, deletedAt: null })
+      .populate('assignment')
+      .populate('student', 'username firstName lastName'))
+    .then(records => records
+      .filter(record => record.student)
+      .sort((a, b) => b.assignment.assignmentDate - a.assignment.assignmentDate)
+      .map(record => ({
+        student: {
+          id: record.student._id,
+          username: record.student.username,
+          firstName: record.student.firstName || '',
+          lastName: record.student.lastName || ''
+        },
+        recordID: record.uuid,
+        assignmentName: record.assignment.assignmentName,
+        assignmentDate: record.serialize().assignmentDate,
+        section: record.assignment.section || '',
+        status: record.status || 'assigned'
+      })));
+}
+
+module.exports = { usageCounts, playedBy };
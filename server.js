@@ -14,13 +14,26 @@ const passport = require('passport');
 // console.log(bobby); // De Niro - the variable name is bobby, not robert
 const { router: usersRouter } = require('./users');
 const { router: authRouter, localStrategy, jwtStrategy } = require('./auth');
+const { router: classesRouter } = require('./classes');
+const { router: gradesRouter } = require('./grades');
+const { router: practiceRouter } = require('./practice');
+const { router: attachmentsRouter } = require('./attachments');
+const { router: submissionsRouter } = require('./submissions');
+const { router: calendarRouter } = require('./calendar');
+const { router: invitesRouter } = require('./invites');
+const { router: guardiansRouter } = require('./guardians');
+const { router: assignmentsRouter } = require('./assignments');
+const { router: repertoireRouter } = require('./repertoire');
+const { router: templatesRouter } = require('./templates');
 
 mongoose.Promise = global.Promise;
 
-const { PORT, DATABASE_URL, TEST_DATABASE_URL } = require('./config');
+const { PORT, DATABASE_URL, TEST_DATABASE_URL, TRUST_PROXY } = require('./config');
 
 const app = express();
 
+app.set('trust proxy', TRUST_PROXY);
+
 app.use(express.static("public"));
 
 // Logging
@@ -29,7 +42,9 @@ app.use(morgan('common'));
 // CORS
 app.use(function (req, res, next) {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,If-Match');
+  // assignment edits send back the ETag they were made against
+  res.header('Access-Control-Expose-Headers', 'ETag');
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE');
   if (req.method === 'OPTIONS') {
     return res.send(204);
@@ -42,6 +57,17 @@ passport.use(jwtStrategy);
 
 app.use('/api/users/', usersRouter);
 app.use('/api/auth/', authRouter);
+app.use('/api/classes/', classesRouter);
+app.use('/api/grades/', gradesRouter);
+app.use('/api/practice/', practiceRouter);
+app.use('/api/attachments/', attachmentsRouter);
+app.use('/api/submissions/', submissionsRouter);
+app.use('/api/calendar/', calendarRouter);
+app.use('/api/invites/', invitesRouter);
+app.use('/api/guardians/', guardiansRouter);
+app.use('/api/assignments/', assignmentsRouter);
+app.use('/api/repertoire/', repertoireRouter);
+app.use('/api/templates/', templatesRouter);
 
 app.get("/", (req, res) => {
     res.sendFile(__dirname + "/index.html");
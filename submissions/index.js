@@ -0,0 +1,5 @@
+'use strict';
+const {Submission} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Submission, router};
@@ -0,0 +1,83 @@
+'use strict';
+const mongoose = require('mongoose');
+
+mongoose.Promise = global.Promise;
+
+// webm, ogg, mp3 and wav, under the names browsers give them
+const CONTENT_TYPES = [
+  'audio/webm',
+  'audio/ogg',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/wave',
+  'audio/x-wav'
+];
+
+// A teacher's note pinned to a moment of the recording
+const CommentSchema = mongoose.Schema({
+  // seconds into the recording
+  at: {type: Number, required: true, min: 0},
+  text: {type: String, required: true, trim: true},
+  by: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true},
+  createdAt: {type: Date, default: Date.now}
+});
+
+// One recording a student turned in for an assignment. Every new upload is
+// a new version; earlier ones are kept.
+const SubmissionSchema = mongoose.Schema({
+  // the student's StudentAssignment record
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentAssignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {type: Number, required: true, min: 1},
+  originalName: {type: String, required: true},
+  contentType: {type: String, enum: CONTENT_TYPES, required: true},
+  size: {type: Number, required: true},
+  storageKey: {type: String, required: true},
+  // in seconds, read from the file when it was uploaded
+  duration: {type: Number, required: true},
+  codec: {type: String, default: ''},
+  sampleRate: {type: Number, default: null},
+  comments: {type: [CommentSchema], default: []}
+}, {timestamps: true});
+
+SubmissionSchema.index({assignment: 1, version: 1}, {unique: true});
+
+// `recordID` is the public id of the student's assignment, used to build
+// the audio URL
+SubmissionSchema.methods.serialize = function(recordID) {
+  return {
+    id: this._id,
+    version: this.version,
+    originalName: this.originalName,
+    contentType: this.contentType,
+    size: this.size,
+    duration: this.duration,
+    codec: this.codec,
+    sampleRate: this.sampleRate,
+    submittedAt: this.createdAt,
+    audioUrl: `/api/submissions/${this.student}/${recordID}/${this.version}/audio`,
+    comments: this.comments
+      .slice()
+      .sort((a, b) => a.at - b.at)
+      .map(comment => ({
+        id: comment._id,
+        at: comment.at,
+        text: comment.text,
+        by: comment.by,
+        createdAt: comment.createdAt
+      }))
+  };
+};
+
+const Submission = mongoose.model('Submission', SubmissionSchema);
+
+module.exports = {Submission, CONTENT_TYPES};
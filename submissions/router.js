@@ -0,0 +1,163 @@
+'use strict';
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+const mm = require('music-metadata');
+
+const { policy } = require('../auth');
+const { StudentAssignment } = require('../assignments');
+const { receiveFile, removeStoredFile, storedFilePath, sendStoredFile } = require('../attachments/storage');
+const { Submission, CONTENT_TYPES } = require('./models');
+const { validate, string, number } = require('../validation');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const receiveRecording = receiveFile(CONTENT_TYPES, 'a webm, ogg, mp3 or wav recording');
+
+// Loads the student's assignment record named in the URL into req.record and
+// notes whether the logged in user is its student or its assigning teacher
+async function loadRecord(req, res, next) {
+  try {
+    const record = mongoose.Types.ObjectId.isValid(req.params.userID) && await StudentAssignment
+      .findOne({ uuid: req.params.assignmentID, student: req.params.userID, deletedAt: null })
+      .populate('assignment')
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    req.record = record
+    req.isStudent = String(record.student) === req.user.id
+    req.isTeacher = String(record.assignment.createdBy) === req.user.id
+    if (!req.isStudent && !req.isTeacher) {
+      return res.status(403).json({ message: 'These recordings are not for you' })
+    }
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+async function loadSubmission(req, res, next) {
+  try {
+    // versions count up from 1, so anything else names no recording
+    const submission = /^[1-9]\d*$/.test(req.params.version) && await Submission.findOne({
+      assignment: req.record._id,
+      version: Number(req.params.version)
+    })
+    if (!submission) {
+      return res.status(404).json({ message: 'No such recording' })
+    }
+    req.submission = submission
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+// reads duration and format details, resolving to null for unreadable audio
+function readAudioMetadata(file) {
+  return mm.parseFile(storedFilePath(file.filename), { duration: true })
+    .then(metadata => metadata.format.duration ? metadata.format : null)
+    .catch(() => null)
+}
+
+// the student turns in a new take, which also submits the assignment
+router.post('/:userID/:assignmentID', policy.self('userID'), loadRecord, receiveRecording, async (req, res) => {
+  const { file, record } = req
+  try {
+    const format = await readAudioMetadata(file)
+    if (!format) {
+      removeStoredFile(file.filename)
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: 'Could not read this recording',
+        location: 'file'
+      });
+    }
+
+    const latest = await Submission.findOne({ assignment: record._id }).sort({ version: -1 })
+    const submission = await Submission.create({
+      assignment: record._id,
+      student: record.student,
+      version: latest ? latest.version + 1 : 1,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storageKey: file.filename,
+      duration: Math.round(format.duration * 10) / 10,
+      codec: format.codec || '',
+      sampleRate: format.sampleRate || null
+    })
+
+    if (record.transitionRole('submitted') === 'student') {
+      await record.transitionTo('submitted', req.user.id)
+    }
+    res.status(201).json(submission.serialize(record.uuid))
+  } catch (err) {
+    removeStoredFile(file.filename)
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Another recording was turned in at the same time, please try again' })
+    }
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// every take, newest first
+router.get('/:userID/:assignmentID', policy.selfOrTeacherOf('userID'), loadRecord, async (req, res) => {
+  try {
+    const submissions = await Submission
+      .find({ assignment: req.record._id })
+      .sort({ version: -1 })
+    res.json(submissions.map(s => s.serialize(req.record.uuid)))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.get('/:userID/:assignmentID/:version/audio', policy.selfOrTeacherOf('userID'), loadRecord, loadSubmission, (req, res) => {
+  sendStoredFile(res, req.submission)
+});
+
+function requireAssigningTeacher(req, res, next) {
+  if (!req.isTeacher) {
+    return res.status(403).json({ message: 'Only the assigning teacher can comment' })
+  }
+  next()
+}
+
+// comments go somewhere within the take, so the schema depends on its length
+function validateComment(req, res, next) {
+  const { duration } = req.submission
+  return validate({
+    at: number({ required: true, min: 0, max: duration, message: `Must be a number of seconds between 0 and ${duration}` }),
+    text: string({ required: true, trim: true, notBlank: true, max: MAX_COMMENT_LENGTH })
+  })(req, res, next)
+}
+
+// the assigning teacher leaves a note at a moment of the recording
+router.post('/:userID/:assignmentID/:version/comments', policy.teacherOf('userID'), jsonParser, loadRecord, loadSubmission, requireAssigningTeacher, validateComment, async (req, res) => {
+  const { at, text } = req.body
+  const { submission } = req
+
+  try {
+    const updated = await Submission.findByIdAndUpdate(
+      submission._id,
+      { $push: { comments: { at, text, by: req.user.id } } },
+      { new: true }
+    )
+    res.status(201).json(updated.serialize(req.record.uuid))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,5 @@
+'use strict';
+const {Template} = require('./models');
+const {router} = require('./router');
+
+module.exports = {Template, router};
@@ -0,0 +1,157 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const {Assignment, formatDate} = require('../assignments/models');
+const {GradeCategory} = require('../grades/models');
+const {Piece} = require('../repertoire/models');
+
+mongoose.Promise = global.Promise;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far after the start date a template's assignments can be due
+const MAX_OFFSET_DAYS = 365;
+
+// One assignment a template sets, due `offsetDays` after the date the
+// template is applied from
+const TemplateItemSchema = mongoose.Schema({
+  assignmentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  offsetDays: {type: Number, min: 0, max: MAX_OFFSET_DAYS, required: true},
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradeCategory',
+    default: null
+  },
+  piece: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Piece',
+    default: null
+  },
+  section: {type: String, default: '', trim: true},
+  measureFrom: {type: Number, min: 1, default: null},
+  measureTo: {type: Number, min: 1, default: null}
+});
+
+// A teacher's reusable sequence of assignments, like the scales, etudes and
+// theory worksheets of the first weeks of the school year
+const TemplateSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {type: [TemplateItemSchema], default: []}
+}, {timestamps: true});
+
+TemplateSchema.index({createdBy: 1, name: 1});
+
+// "Week 1", "Week 1 +3 days", "Week 2 +1 day"
+function describeOffset(offsetDays) {
+  const week = Math.floor(offsetDays / 7) + 1;
+  const days = offsetDays % 7;
+  if (!days) {
+    return `Week ${week}`;
+  }
+  return `Week ${week} +${days} day${days === 1 ? '' : 's'}`;
+}
+
+// The YYYY-MM-DD date `offsetDays` after `startDate`
+function dueDate(startDate, offsetDays) {
+  return formatDate(new Date(Date.parse(startDate) + offsetDays * DAY));
+}
+
+// Whole days from `startDate` to `date`
+function daysBetween(startDate, date) {
+  return Math.round((date - startDate) / DAY);
+}
+
+TemplateSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    createdBy: this.createdBy,
+    items: this.items.map(item => ({
+      assignmentName: item.assignmentName,
+      offsetDays: item.offsetDays,
+      due: describeOffset(item.offsetDays),
+      category: item.category,
+      piece: item.piece,
+      section: item.section || '',
+      measureFrom: item.measureFrom,
+      measureTo: item.measureTo
+    }))
+  };
+};
+
+TemplateSchema.methods.isOwnedBy = function(userID) {
+  return String(this.createdBy) === String(userID);
+};
+
+// The fields an assignment made from the item shares with it
+function itemFields(item) {
+  return {
+    assignmentName: item.assignmentName,
+    category: item.category,
+    piece: item.piece,
+    section: item.section || '',
+    measureFrom: item.measureFrom,
+    measureTo: item.measureTo
+  };
+}
+
+// Sets every assignment in the template, due counting from `startDate`, and
+// hands them to `students`. Given a `classID` they become class assignments.
+// Categories the teacher has since deleted and pieces gone from the catalog
+// are left off. Resolves to the assignments in the template's order.
+TemplateSchema.methods.apply = function({startDate, students, classID = null, includeNewStudents = false}) {
+  const ids = field => this.items.map(item => item[field]).filter(Boolean);
+  return Promise.all([
+    GradeCategory.find({_id: {$in: ids('category')}, teacher: this.createdBy}),
+    Piece.find({_id: {$in: ids('piece')}})
+  ]).then(([categories, pieces]) => {
+    const stillThere = found => id => id && found.some(doc => doc._id.equals(id)) ? id : null;
+    const category = stillThere(categories);
+    const piece = stillThere(pieces);
+    // one after the other, so they are logged in order
+    return this.items.reduce((made, item) => made.then(assignments =>
+      Assignment.createLogged(Object.assign(itemFields(item), {
+        assignmentDate: dueDate(startDate, item.offsetDays),
+        createdBy: this.createdBy,
+        class: classID,
+        includeNewStudents: Boolean(classID) && includeNewStudents,
+        category: category(item.category),
+        piece: piece(item.piece)
+      }))
+        .then(assignment => assignment.assignTo(students).then(() => assignments.concat([assignment])))
+    ), Promise.resolve([]));
+  });
+};
+
+// Template items from a student's assignments, due relative to `startDate`
+// or, without one, to the first of them. Expects `assignment` to be
+// populated on each record.
+TemplateSchema.statics.itemsFromRecords = function(records, startDate = null) {
+  const assignments = records
+    .map(record => record.assignment)
+    .sort((a, b) => a.assignmentDate - b.assignmentDate);
+  if (!assignments.length) {
+    return [];
+  }
+  const start = startDate ? new Date(startDate) : assignments[0].assignmentDate;
+  return assignments.map(assignment => Object.assign(itemFields(assignment), {
+    offsetDays: daysBetween(start, assignment.assignmentDate)
+  }));
+};
+
+const Template = mongoose.model('Template', TemplateSchema);
+
+module.exports = {Template, MAX_OFFSET_DAYS};
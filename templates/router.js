@@ -0,0 +1,260 @@
+'use strict';
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+
+const { policy } = require('../auth');
+const { teachesStudent } = require('../auth/policies');
+const { StudentAssignment } = require('../assignments');
+const { formatDate } = require('../assignments/models');
+const { NAME_MAX_LENGTH } = require('../assignments/fields');
+const { Class } = require('../classes/models');
+const { GradeCategory } = require('../grades/models');
+const { Piece } = require('../repertoire/models');
+const { validate, validationError, string, number, boolean, date, id, object, list } = require('../validation');
+const { Template, MAX_OFFSET_DAYS } = require('./models');
+
+const router = express.Router();
+
+const jsonParser = bodyParser.json();
+
+const MAX_ITEMS = 100;
+
+// templates are for teachers
+router.use(policy.teacher);
+
+function sendProblems(res, errors) {
+  return res.status(422).json(validationError(errors));
+}
+
+// Loads the template named in the URL into req.template, as long as it
+// belongs to the logged in teacher
+async function loadOwnTemplate(req, res, next) {
+  try {
+    const found = mongoose.Types.ObjectId.isValid(req.params.templateID)
+      && await Template.findById(req.params.templateID)
+    if (!found) {
+      return res.status(404).json({ message: 'No such template' })
+    }
+    if (!found.isOwnedBy(req.user.id)) {
+      return res.status(403).json({ message: 'This is not your template' })
+    }
+    req.template = found
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Template
+      .find({ createdBy: req.user.id })
+      .sort({ name: 1 })
+    res.json(templates.map(t => t.serialize()))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// An item is an assignment like the ones POST /api/users/createassignment
+// makes, with a number of days after the start date in place of its date.
+// Items of a repertoire piece may leave out their name.
+const templateItem = object({
+  assignmentName: string({ trim: true, notBlank: true, max: NAME_MAX_LENGTH }),
+  offsetDays: number({ required: true, integer: true, min: 0, max: MAX_OFFSET_DAYS }),
+  category: id({ message: 'No such category' }),
+  piece: id({ message: 'No such piece' }),
+  section: string({ trim: true, max: 100 }),
+  measureFrom: number({ integer: true, min: 1 }),
+  measureTo: number({ integer: true, min: 1 })
+}, { required: true })
+
+const validateTemplate = validate({
+  name: string({ required: true, trim: true, notBlank: true, max: 100 }),
+  items: list(templateItem, { required: true, max: MAX_ITEMS })
+})
+
+// Runs after validateTemplate: checks the items' categories are the
+// teacher's and their pieces are in the catalog, and names the items of a
+// piece that have no name
+async function checkItems(req, res, next) {
+  const { items } = req.body
+  if (!items.length) {
+    return sendProblems(res, [{ message: 'Must have at least 1 item', location: 'items' }])
+  }
+  try {
+    const [categories, pieces] = await Promise.all([
+      GradeCategory.find({ _id: { $in: items.map(item => item.category).filter(Boolean) }, teacher: req.user.id }),
+      Piece.find({ _id: { $in: items.map(item => item.piece).filter(Boolean) } })
+    ])
+    const errors = []
+    items.forEach((item, i) => {
+      const problem = (message, field) => errors.push({ message, location: `items.${i}.${field}` })
+      const piece = item.piece && pieces.find(p => p._id.equals(item.piece))
+      if (item.measureFrom && item.measureTo && item.measureTo < item.measureFrom) {
+        problem('Must not come before measureFrom', 'measureTo')
+      }
+      if (item.category && !categories.some(c => c._id.equals(item.category))) {
+        problem('No such category', 'category')
+      }
+      if (item.piece && !piece) {
+        problem('No such piece', 'piece')
+      }
+      if (!item.assignmentName) {
+        if (piece) {
+          item.assignmentName = piece.assignmentName(item)
+        } else if (!item.piece) {
+          problem('Missing field', 'assignmentName')
+        }
+      }
+    })
+    if (errors.length) {
+      return sendProblems(res, errors)
+    }
+    next()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+}
+
+router.post('/', jsonParser, validateTemplate, checkItems, async (req, res) => {
+  try {
+    const template = await Template.create({
+      name: req.body.name,
+      createdBy: req.user.id,
+      items: req.body.items
+    })
+    res.status(201).json(template.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// Which of a student's assignments to save: the ones due between `from` and
+// `to`, counting from `from` (or the first of them)
+const savedRange = validate({
+  name: string({ required: true, trim: true, notBlank: true, max: 100 }),
+  from: date(),
+  to: date()
+})
+
+// saves the assignments the teacher gave a student as a new template
+router.post('/from-student/:studentID', jsonParser, savedRange, async (req, res) => {
+  const { name, from, to } = req.body
+  if (from && to && to < from) {
+    return sendProblems(res, [{ message: 'Must not come before from', location: 'to' }])
+  }
+  try {
+    if (!await teachesStudent(req.user.id, req.params.studentID)) {
+      return res.status(403).json({ message: 'This student is not in any of your classes' })
+    }
+    const records = await StudentAssignment
+      .find({ student: req.params.studentID, deletedAt: null })
+      .populate('assignment')
+    const saved = records.filter(({ assignment }) => {
+      if (!assignment || String(assignment.createdBy) !== req.user.id) {
+        return false
+      }
+      const due = formatDate(assignment.assignmentDate)
+      return (!from || due >= from) && (!to || due <= to)
+    })
+    if (!saved.length) {
+      return sendProblems(res, [{ message: 'This student has no assignments from you to save', location: 'studentID' }])
+    }
+    const items = Template.itemsFromRecords(saved, from)
+    if (items[items.length - 1].offsetDays > MAX_OFFSET_DAYS) {
+      return sendProblems(res, [{ message: `Must span at most ${MAX_OFFSET_DAYS} days`, location: 'to' }])
+    }
+    const template = await Template.create({ name, createdBy: req.user.id, items })
+    res.status(201).json(template.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.get('/:templateID', loadOwnTemplate, (req, res) => {
+  res.json(req.template.serialize())
+});
+
+// replaces the name and every item; assignments already made stay as they are
+router.put('/:templateID', jsonParser, loadOwnTemplate, validateTemplate, checkItems, async (req, res) => {
+  try {
+    req.template.set({ name: req.body.name, items: req.body.items })
+    await req.template.save()
+    res.json(req.template.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+router.delete('/:templateID', loadOwnTemplate, async (req, res) => {
+  try {
+    await req.template.remove()
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// who gets the assignments: one student, or everyone in a class
+const application = validate({
+  startDate: date({ required: true }),
+  studentID: id({ message: 'No such student' }),
+  classID: id({ message: 'No such class' }),
+  includeNewStudents: boolean({ default: false })
+})
+
+// Sets the template's assignments for a student or a class, due counting
+// from startDate
+router.post('/:templateID/apply', jsonParser, loadOwnTemplate, application, async (req, res) => {
+  const { startDate, studentID, classID, includeNewStudents } = req.body
+  if (studentID && classID) {
+    return sendProblems(res, [{ message: 'Give a student or a class, not both', location: 'classID' }])
+  }
+  if (!studentID && !classID) {
+    return sendProblems(res, [{ message: 'Missing field', location: 'studentID' }])
+  }
+  try {
+    let students = [studentID]
+    if (classID) {
+      const found = await Class.findById(classID)
+      if (!found) {
+        return res.status(404).json({ message: 'No such class' })
+      }
+      if (!found.isTaughtBy(req.user.id)) {
+        return res.status(403).json({ message: 'This is not your class' })
+      }
+      students = found.students
+    } else if (!await teachesStudent(req.user.id, studentID)) {
+      return res.status(403).json({ message: 'This student is not in any of your classes' })
+    }
+
+    const assignments = await req.template.apply({ startDate, students, classID, includeNewStudents })
+    res.status(201).json({
+      template: req.template._id,
+      startDate,
+      class: classID || null,
+      assignedTo: students,
+      assignments: assignments.map(a => ({
+        id: a.uuid,
+        assignmentName: a.assignmentName,
+        assignmentDate: formatDate(a.assignmentDate),
+        category: a.category,
+        piece: a.piece
+      }))
+    })
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+module.exports = { router };
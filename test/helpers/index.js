@@ -0,0 +1,10 @@
+'use strict';
+
+const { startSession } = require('../../auth');
+
+// a logged in session's access token, like /api/auth/login hands out
+function makeToken(user) {
+  return startSession(user).then(({ authToken }) => authToken);
+}
+
+module.exports = { makeToken };
@@ -0,0 +1,485 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Assignment, StudentAssignment, AuditEntry, Series } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/assignments', function () {
+  let teacher;
+  let otherTeacher;
+  let student;
+  let classmate;
+  let teacherToken;
+  let otherTeacherToken;
+  let studentToken;
+  let record;
+
+  const history = token =>
+    chai
+      .request(app)
+      .get(`/api/assignments/${record.assignmentID}/history`)
+      .set('authorization', `Bearer ${token}`);
+
+  const edit = changes =>
+    chai
+      .request(app)
+      .put(`/api/users/${student.id}`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ assignment: Object.assign({ id: record.id }, changes) });
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'otherTeacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' },
+      { username: 'classmate', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, otherTeacher, student, classmate] = users;
+        return Promise.all([teacher, otherTeacher, student].map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, otherTeacherToken, studentToken] = tokens;
+        return Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [student._id, classmate._id] });
+      })
+      .then(jazzBand =>
+        chai
+          .request(app)
+          .post(`/api/classes/${jazzBand.id}/assignments`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignmentName: 'Etude 3', assignmentDate: '2018-10-01' })
+      )
+      .then(res => {
+        expect(res).to.have.status(201);
+        return User.findById(student._id).withAssignments();
+      })
+      .then(found => {
+        record = found.serialize().Assignments[0];
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      AuditEntry.remove({}),
+      Series.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should record each edit as a revision with what changed', function () {
+    return edit({ assignmentName: 'Etude 3', assignmentDate: '2018-10-08' })
+      .then(res => {
+        expect(res).to.have.status(200);
+        return edit({ assignmentName: 'Etude 4', assignmentDate: '2018-10-08' });
+      })
+      .then(() => history(teacherToken))
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.revision).to.equal(3);
+        expect(res.body.entries.map(e => e.action)).to.deep.equal(['create', 'update', 'update']);
+        const moved = res.body.entries[1];
+        expect(moved.by.username).to.equal('teacher');
+        expect(moved.before).to.deep.equal({ assignmentDate: '2018-10-01' });
+        expect(moved.after).to.deep.equal({ assignmentDate: '2018-10-08' });
+        expect(res.body.revisions.map(r => r.content.assignmentName)).to.deep.equal(['Etude 3', 'Etude 3', 'Etude 4']);
+        expect(res.body.revisions[0].content.assignmentDate).to.equal('2018-10-01');
+      });
+  });
+
+  it('Should roll back to an earlier revision as a new one', function () {
+    return edit({ assignmentName: 'Etude 4', assignmentDate: '2018-10-08' })
+      .then(() =>
+        chai
+          .request(app)
+          .post(`/api/assignments/${record.assignmentID}/rollback`)
+          .set('authorization', `Bearer ${otherTeacherToken}`)
+          .send({ revision: 1 })
+      )
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .post(`/api/assignments/${record.assignmentID}/rollback`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ revision: 1 });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.revision).to.equal(3);
+        expect(res.body.content.assignmentName).to.equal('Etude 3');
+        expect(res.body.content.assignmentDate).to.equal('2018-10-01');
+        return history(teacherToken);
+      })
+      .then(res => {
+        const last = res.body.entries[res.body.entries.length - 1];
+        expect(last.action).to.equal('rollback');
+        expect(last.rolledBackTo).to.equal(1);
+      });
+  });
+
+  it('Should turn away edits made against an old revision', function () {
+    return edit({ assignmentName: 'Etude 4', revision: 1 })
+      .then(res => {
+        expect(res).to.have.status(200);
+        // the other tab still has revision 1
+        return edit({ assignmentDate: '2018-10-08', revision: 1 });
+      })
+      .then(res => {
+        expect(res).to.have.status(409);
+        expect(res.body.current.assignmentName).to.equal('Etude 4');
+        expect(res.body.current.assignmentDate).to.equal('2018-10-01');
+        expect(res.body.current.revision).to.equal(2);
+        return edit({ assignmentDate: '2018-10-08', revision: res.body.current.revision });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        const saved = res.body.Assignments[0];
+        expect(saved.assignmentName).to.equal('Etude 4');
+        expect(saved.assignmentDate).to.equal('2018-10-08');
+        expect(saved.revision).to.equal(3);
+      });
+  });
+
+  it('Should honour If-Match with the ETag of the assignment', function () {
+    let etag;
+    return chai
+      .request(app)
+      .get(`/api/assignments/${record.assignmentID}`)
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.revision).to.equal(1);
+        etag = res.headers.etag;
+        expect(etag).to.be.a('string');
+        return edit({ assignmentName: 'Etude 4' }).set('If-Match', etag);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.headers.etag).to.not.equal(etag);
+        return edit({ assignmentName: 'Etude 5' }).set('If-Match', etag);
+      })
+      .then(res => {
+        expect(res).to.have.status(409);
+        return chai
+          .request(app)
+          .post(`/api/assignments/${record.assignmentID}/rollback`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .set('If-Match', etag)
+          .send({ revision: 1 });
+      })
+      .then(res => {
+        expect(res).to.have.status(409);
+        expect(res.body.current.content.assignmentName).to.equal('Etude 4');
+      });
+  });
+
+  it('Should let only one of two simultaneous edits through', function () {
+    return Promise.all([
+      edit({ assignmentName: 'Etude 4', revision: 1 }),
+      edit({ assignmentName: 'Etude 5', revision: 1 })
+    ])
+      .then(results => {
+        expect(results.map(res => res.status).sort()).to.deep.equal([200, 409]);
+        return history(teacherToken);
+      })
+      .then(res => {
+        expect(res.body.revision).to.equal(2);
+        expect(res.body.entries.map(e => e.action)).to.deep.equal(['create', 'update']);
+      });
+  });
+
+  it('Should log status changes and show students only their own', function () {
+    return chai
+      .request(app)
+      .post(`/api/users/${student.id}/assignments/${record.id}/status`)
+      .set('authorization', `Bearer ${studentToken}`)
+      .send({ status: 'in_progress' })
+      .then(res => {
+        expect(res).to.have.status(200);
+        return StudentAssignment.findOne({ student: classmate._id });
+      })
+      .then(classmateRecord =>
+        chai
+          .request(app)
+          .delete(`/api/users/${classmate.id}/assignments/${classmateRecord.uuid}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+      )
+      .then(() => history(teacherToken))
+      .then(res => {
+        expect(res.body.entries.map(e => e.action)).to.deep.equal(['create', 'status', 'delete']);
+        return history(studentToken);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.entries.map(e => e.action)).to.deep.equal(['create', 'status']);
+        expect(res.body.entries[1].before).to.deep.equal({ status: 'assigned' });
+        expect(res.body.entries[1].after).to.deep.equal({ status: 'in_progress' });
+        return history(otherTeacherToken);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should not let audit entries be changed', function () {
+    return AuditEntry.updateMany({}, { $set: { action: 'update' } })
+      .then(() => expect.fail(null, null, 'Update should not succeed'))
+      .catch(err => {
+        if (err instanceof chai.AssertionError) {
+          throw err;
+        }
+        expect(err.message).to.equal('Audit entries cannot be changed');
+      });
+  });
+
+  describe('GET /api/assignments', function () {
+    const query = (params, token = teacherToken) =>
+      chai
+        .request(app)
+        .get('/api/assignments')
+        .query(params)
+        .set('authorization', `Bearer ${token}`);
+
+    beforeEach(function () {
+      // a second assignment for the student only, due later, and one from
+      // another teacher that never shows up
+      return Promise.all([
+        Assignment.create({ assignmentName: 'Scales', assignmentDate: '2018-10-05', createdBy: teacher._id }),
+        Assignment.create({ assignmentName: 'Etude 9', assignmentDate: '2018-10-02', createdBy: otherTeacher._id })
+      ]).then(([scales, other]) => Promise.all([scales.assignTo([student._id]), other.assignTo([student._id])]));
+    });
+
+    it('Should list due dates across students, soonest first', function () {
+      return query({ dueTo: '2018-10-04' })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(r => r.student.username).sort()).to.deep.equal(['classmate', 'student']);
+          expect(res.body.every(r => r.assignmentName === 'Etude 3')).to.be.true;
+          return query({});
+        })
+        .then(res => {
+          expect(res.body.map(r => r.assignmentName)).to.deep.equal(['Etude 3', 'Etude 3', 'Scales']);
+        });
+    });
+
+    it('Should find who hasn\'t turned in an assignment', function () {
+      return chai
+        .request(app)
+        .post(`/api/users/${student.id}/assignments/${record.id}/status`)
+        .set('authorization', `Bearer ${studentToken}`)
+        .send({ status: 'submitted' })
+        .then(() => query({ name: 'etude', status: 'assigned,in_progress' }))
+        .then(res => {
+          expect(res.body.map(r => r.student.username)).to.deep.equal(['classmate']);
+        });
+    });
+
+    it('Should page through with the next link', function () {
+      return query({ limit: 2 })
+        .then(res => {
+          expect(res.body).to.have.length(2);
+          const next = res.headers.link.match(/<([^>]+)>/)[1];
+          return chai.request(app).get(next).set('authorization', `Bearer ${teacherToken}`);
+        })
+        .then(res => {
+          expect(res.body.map(r => r.assignmentName)).to.deep.equal(['Scales']);
+          expect(res).to.not.have.header('link');
+        });
+    });
+
+    it('Should group by assignment or by student', function () {
+      return query({ group: 'assignment' })
+        .then(res => {
+          expect(res.body.map(g => g.assignment.assignmentName)).to.deep.equal(['Etude 3', 'Scales']);
+          expect(res.body[0].counts.assigned).to.equal(2);
+          expect(res.body[0].students).to.have.length(2);
+          return query({ group: 'student', student: student.id });
+        })
+        .then(res => {
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].student.username).to.equal('student');
+          expect(res.body[0].Assignments.map(a => a.assignmentName)).to.deep.equal(['Etude 3', 'Scales']);
+        });
+    });
+
+    it('Should reject bad filters and students', function () {
+      return query({ dueFrom: 'next friday' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('dueFrom');
+          return query({}, studentToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(403);
+        });
+    });
+  });
+
+  describe('repeating assignments', function () {
+    const createRepeating = recurrence =>
+      chai
+        .request(app)
+        .post(`/api/users/createassignment/${student.id}`)
+        .set('authorization', `Bearer ${teacherToken}`)
+        .send({ assignmentName: 'Scale check', assignmentDate: '2018-09-03', recurrence });
+
+    const occurrences = assignments => assignments
+      .filter(a => a.series)
+      .sort((a, b) => a.series.occurrence - b.series.occurrence);
+
+    it('Should make an occurrence with its own status for each date', function () {
+      return createRepeating({ frequency: 'weekly', weekdays: ['mon', 'thu'], count: 4 })
+        .then(res => {
+          expect(res).to.have.status(200);
+          const made = occurrences(res.body.Assignments);
+          expect(made.map(a => a.assignmentDate)).to.deep.equal(['2018-09-03', '2018-09-06', '2018-09-10', '2018-09-13']);
+          expect(made[0].series.description).to.equal('Every week on Mon, Thu, 4 times');
+          expect(new Set(made.map(a => a.series.id)).size).to.equal(1);
+          return chai
+            .request(app)
+            .post(`/api/users/${student.id}/assignments/${made[1].id}/status`)
+            .set('authorization', `Bearer ${studentToken}`)
+            .send({ status: 'submitted' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return User.findById(student._id).withAssignments();
+        })
+        .then(user => {
+          expect(occurrences(user.serialize().Assignments).map(a => a.status)).to.deep.equal(['assigned', 'submitted', 'assigned', 'assigned']);
+        });
+    });
+
+    it('Should reject rules without an end or with too many occurrences', function () {
+      return createRepeating({ frequency: 'daily' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('recurrence');
+          return createRepeating({ frequency: 'daily', until: '2019-09-03' });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('recurrence.until');
+          return createRepeating({ frequency: 'daily', weekdays: ['mon'], count: 3 });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('recurrence.weekdays');
+        });
+    });
+
+    it('Should edit one occurrence or it and the ones after it', function () {
+      let made;
+      const editOccurrence = (occurrence, changes, scope) =>
+        chai
+          .request(app)
+          .put(`/api/users/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignment: Object.assign({ id: occurrence.id, revision: occurrence.revision }, changes), scope });
+
+      return createRepeating({ frequency: 'daily', interval: 2, count: 4 })
+        .then(res => {
+          made = occurrences(res.body.Assignments);
+          return editOccurrence(made[0], { assignmentName: 'Scale check (slow)' }, 'this');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return editOccurrence(made[1], { assignmentName: 'Arpeggio check', assignmentDate: '2018-09-06' }, 'future');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return User.findById(student._id).withAssignments();
+        })
+        .then(user => {
+          expect(occurrences(user.serialize().Assignments).map(a => [a.assignmentName, a.assignmentDate])).to.deep.equal([
+            ['Scale check (slow)', '2018-09-03'],
+            ['Arpeggio check', '2018-09-06'],
+            ['Arpeggio check', '2018-09-08'],
+            ['Arpeggio check', '2018-09-10']
+          ]);
+          return editOccurrence(record, { assignmentName: 'Etude 4' }, 'future');
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('scope');
+        });
+    });
+  });
+
+  describe('targeted assignments', function () {
+    const createTargeted = (target, token = teacherToken) =>
+      chai
+        .request(app)
+        .post('/api/assignments')
+        .set('authorization', `Bearer ${token}`)
+        .send({ assignmentName: 'All clarinets: page 12', assignmentDate: '2018-10-05', target });
+
+    beforeEach(function () {
+      return Promise.all([
+        User.updateOne({ _id: student._id }, { instrument: 'clarinet', level: 3 }),
+        User.updateOne({ _id: classmate._id }, { instrument: 'clarinet', level: 1 })
+      ]);
+    });
+
+    it('Should assign to the students whose profile matches', function () {
+      return createTargeted({ instrument: 'Clarinet', minLevel: 2 })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.target).to.deep.equal({ instrument: 'clarinet', minLevel: 2 });
+          expect(res.body.assignedTo).to.deep.equal([student.id]);
+          return Promise.all([
+            StudentAssignment.count({ student: student._id }),
+            StudentAssignment.count({ student: classmate._id })
+          ]);
+        })
+        .then(([mine, theirs]) => {
+          expect(mine).to.equal(2);
+          expect(theirs).to.equal(1);
+        });
+    });
+
+    it('Should reject targets without a filter or without matching students', function () {
+      return createTargeted({})
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('target');
+          return createTargeted({ instrument: 'trumpet' });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('No students of yours match');
+          return createTargeted({ instrument: 'clarinet' }, otherTeacherToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          return createTargeted({ instrument: 'clarinet' }, studentToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(403);
+        });
+    });
+  });
+});
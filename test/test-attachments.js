@@ -0,0 +1,191 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Attachment } = require('../attachments');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/attachments', function () {
+  const pdf = Buffer.from('%PDF-1.4 trumpet part');
+  let teacher;
+  let student;
+  let otherStudent;
+  let assignment;
+  let teacherToken;
+  let studentToken;
+  let otherStudentToken;
+
+  const uploadPart = (fileName = 'part.pdf') =>
+    chai
+      .request(app)
+      .post(`/api/attachments/${assignment.uuid}`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .field('kind', 'sheet_music')
+      .attach('file', pdf, fileName);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' },
+      { username: 'otherStudent', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, student, otherStudent] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentToken, otherStudentToken] = tokens;
+        return Assignment.create({
+          assignmentName: 'Etude 3',
+          assignmentDate: '2018-10-01',
+          createdBy: teacher._id
+        });
+      })
+      .then(created => {
+        assignment = created;
+        return assignment.assignTo([student._id]);
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Attachment.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should attach a file and list it on the assignment', function () {
+    return uploadPart()
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.kind).to.equal('sheet_music');
+        expect(res.body.contentType).to.equal('application/pdf');
+        expect(res.body.size).to.equal(pdf.length);
+        return User.findById(student.id).withAssignments();
+      })
+      .then(user => {
+        const attachments = user.serialize().Assignments[0].attachments;
+        expect(attachments).to.have.length(1);
+        expect(attachments[0].originalName).to.equal('part.pdf');
+      });
+  });
+
+  it('Should reject uploads without a known kind', function () {
+    return chai
+      .request(app)
+      .post(`/api/attachments/${assignment.uuid}`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .field('kind', 'lyrics')
+      .attach('file', pdf, 'part.pdf')
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('kind');
+        return Attachment.count({});
+      })
+      .then(count => {
+        expect(count).to.equal(0);
+      });
+  });
+
+  it('Should reject files that are not PDF or audio', function () {
+    return uploadPart('notes.txt').then(res => {
+      expect(res).to.have.status(422);
+      expect(res.body.location).to.equal('file');
+    });
+  });
+
+  it('Should only let assigned students download', function () {
+    let url;
+    return uploadPart()
+      .then(res => {
+        url = res.body.url;
+        return chai
+          .request(app)
+          .get(url)
+          .set('authorization', `Bearer ${studentToken}`)
+          .buffer()
+          .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+          });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('content-type', /application\/pdf/);
+        expect(res.body.equals(pdf)).to.be.true;
+        return chai
+          .request(app)
+          .get(url)
+          .set('authorization', `Bearer ${otherStudentToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should let students download once assigned but never remove files', function () {
+    let url;
+    return uploadPart()
+      .then(res => {
+        url = res.body.url;
+        return assignment.assignTo([otherStudent._id]);
+      })
+      .then(() => chai
+        .request(app)
+        .get(url)
+        .set('authorization', `Bearer ${otherStudentToken}`))
+      .then(res => {
+        expect(res).to.have.status(200);
+        return chai
+          .request(app)
+          .delete(url)
+          .set('authorization', `Bearer ${otherStudentToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return Attachment.count();
+      })
+      .then(count => {
+        expect(count).to.equal(1);
+      });
+  });
+
+  it('Should answer 404 for malformed attachment ids', function () {
+    return chai
+      .request(app)
+      .get('/api/attachments/not-an-id')
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(404);
+        return chai
+          .request(app)
+          .delete('/api/attachments/not-an-id')
+          .set('authorization', `Bearer ${teacherToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(404);
+      });
+  });
+});
@@ -6,6 +6,8 @@ const jwt = require('jsonwebtoken');
 
 const { app, runServer, closeServer } = require('../server');
 const { User } = require('../users');
+const { Session, startSession, memoryStore, setStore } = require('../auth');
+const { Class } = require('../classes');
 const { JWT_SECRET, TEST_DATABASE_URL } = require('../config');
 
 const expect = chai.expect;
@@ -30,6 +32,8 @@ describe('Auth endpoints', function () {
   });
 
   beforeEach(function () {
+    // a clean slate of failed logins for every test
+    setStore(memoryStore());
     return User.hashPassword(password).then(password =>
       User.create({
         username,
@@ -41,7 +45,7 @@ describe('Auth endpoints', function () {
   });
 
   afterEach(function () {
-    return User.remove({});
+    return Promise.all([User.remove({}), Session.remove({}), Class.remove({})]);
   });
 
   describe('/api/auth/login', function () {
@@ -103,6 +107,7 @@ describe('Auth endpoints', function () {
           expect(res.body).to.be.an('object');
           const token = res.body.authToken;
           expect(token).to.be.a('string');
+          expect(res.body.refreshToken).to.be.a('string');
           const payload = jwt.verify(token, JWT_SECRET, {
             algorithm: ['HS256']
           });
@@ -116,121 +121,243 @@ describe('Auth endpoints', function () {
   });
 
   describe('/api/auth/refresh', function () {
-    it('Should reject requests with no credentials', function () {
+    const login = () =>
+      chai.request(app).post('/api/auth/login').send({ username, password });
+    const refresh = refreshToken =>
+      chai.request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    it('Should reject requests with no refresh token', function () {
       return chai
         .request(app)
         .post('/api/auth/refresh')
-        .then(() =>
-          expect.fail(null, null, 'Request should not succeed')
-        )
-        .catch(err => {
-          if (err instanceof chai.AssertionError) {
-            throw err;
-          }
-
-          const res = err.response;
+        .then(res => {
           expect(res).to.have.status(401);
         });
     });
-    it('Should reject requests with an invalid token', function () {
-      const token = jwt.sign(
-        {
-          username,
-          firstName,
-          lastName
-        },
-        'wrongSecret',
-        {
-          algorithm: 'HS256',
-          expiresIn: '7d'
-        }
-      );
+    it('Should reject unknown refresh tokens', function () {
+      return refresh('0123456789abcdef').then(res => {
+        expect(res).to.have.status(401);
+      });
+    });
+    it('Should swap a refresh token for a new pair', function () {
+      let first;
+      return login()
+        .then(res => {
+          expect(res).to.have.status(200);
+          first = res.body;
+          expect(first.refreshToken).to.be.a('string');
+          return refresh(first.refreshToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.refreshToken).to.be.a('string');
+          expect(res.body.refreshToken).to.not.equal(first.refreshToken);
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET, {
+            algorithm: ['HS256']
+          });
+          expect(payload.user.username).to.equal(username);
+          expect(payload.sid).to.equal(jwt.decode(first.authToken).sid);
+        });
+    });
+    it('Should sign out the session when a refresh token is used twice', function () {
+      let first;
+      let second;
+      return login()
+        .then(res => {
+          first = res.body;
+          return refresh(first.refreshToken);
+        })
+        .then(res => {
+          second = res.body;
+          return refresh(first.refreshToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          return refresh(second.refreshToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          return chai
+            .request(app)
+            .get('/api/auth/sessions')
+            .set('authorization', `Bearer ${second.authToken}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+        });
+    });
+  });
 
-      return chai
-        .request(app)
-        .post('/api/auth/refresh')
-        .set('Authorization', `Bearer ${token}`)
-        .then(() =>
-          expect.fail(null, null, 'Request should not succeed')
-        )
-        .catch(err => {
-          if (err instanceof chai.AssertionError) {
-            throw err;
-          }
+  describe('/api/auth/logout and /api/auth/sessions', function () {
+    const login = () =>
+      chai.request(app).post('/api/auth/login').send({ username, password });
+    const sessions = token =>
+      chai.request(app).get('/api/auth/sessions').set('authorization', `Bearer ${token}`);
 
-          const res = err.response;
+    it('Should stop the access and refresh tokens working after logout', function () {
+      let tokens;
+      return login()
+        .then(res => {
+          tokens = res.body;
+          return chai
+            .request(app)
+            .post('/api/auth/logout')
+            .set('authorization', `Bearer ${tokens.authToken}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return sessions(tokens.authToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          return chai.request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+        })
+        .then(res => {
           expect(res).to.have.status(401);
         });
     });
-    it('Should reject requests with an expired token', function () {
-      const token = jwt.sign(
-        {
-          user: {
-            username,
-            firstName,
-            lastName
-          },
-        },
-        JWT_SECRET,
-        {
-          algorithm: 'HS256',
-          subject: username,
-          expiresIn: Math.floor(Date.now() / 1000) - 10 // Expired ten seconds ago
-        }
-      );
+    it('Should list sessions and sign out the other ones', function () {
+      let phone;
+      let laptop;
+      return login()
+        .then(res => {
+          phone = res.body;
+          return login();
+        })
+        .then(res => {
+          laptop = res.body;
+          return sessions(laptop.authToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(2);
+          expect(res.body.filter(s => s.current)).to.have.length(1);
+          return chai
+            .request(app)
+            .delete('/api/auth/sessions')
+            .set('authorization', `Bearer ${laptop.authToken}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return sessions(phone.authToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          return sessions(laptop.authToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(1);
+        });
+    });
+  });
 
-      return chai
-        .request(app)
-        .post('/api/auth/refresh')
-        .set('authorization', `Bearer ${token}`)
-        .then(() =>
-          expect.fail(null, null, 'Request should not succeed')
-        )
-        .catch(err => {
-          if (err instanceof chai.AssertionError) {
-            throw err;
-          }
+  describe('login throttling', function () {
+    let store;
+    const login = pass =>
+      chai.request(app).post('/api/auth/login').send({ username, password: pass });
+    const lock = () => {
+      const now = Date.now();
+      return store.set(`user:${username}`, { failures: 0, lastFailureAt: now, lockedUntil: now + 60000 }, 60000);
+    };
 
-          const res = err.response;
+    beforeEach(function () {
+      store = memoryStore();
+      setStore(store);
+    });
+
+    it('Should make repeated failures wait, even with the right password', function () {
+      return login('wrongPassword')
+        .then(res => {
+          expect(res).to.have.status(401);
+          expect(res.body.reason).to.equal('LoginError');
+          return login('wrongPassword');
+        })
+        .then(() => login('wrongPassword'))
+        .then(res => {
           expect(res).to.have.status(401);
+          return login(password);
+        })
+        .then(res => {
+          expect(res).to.have.status(429);
+          expect(res.body.reason).to.equal('LoginError');
+          expect(res.body.locked).to.be.false;
+          expect(res).to.have.header('retry-after');
         });
     });
-    it('Should return a valid auth token with a newer expiry date', function () {
-      const token = jwt.sign(
-        {
-          user: {
-            username,
-            firstName,
-            lastName
+
+    it('Should only slow down a busy address and let a good login clear it', function () {
+      let ipKey;
+      const spied = Object.assign({}, store, {
+        set(key, value, ttlMs) {
+          if (key.startsWith('ip:')) {
+            ipKey = key;
           }
-        },
-        JWT_SECRET,
-        {
-          algorithm: 'HS256',
-          subject: username,
-          expiresIn: '7d'
+          return store.set(key, value, ttlMs);
         }
-      );
-      const decoded = jwt.decode(token);
+      });
+      setStore(spied);
+      return login('wrongPassword')
+        .then(() => {
+          // far past LOGIN_MAX_IP_FAILURES, a minute ago
+          return store.set(ipKey, { failures: 1000, lastFailureAt: Date.now() - 60000, lockedUntil: 0 }, 60000);
+        })
+        .then(() => login(password))
+        .then(res => {
+          expect(res).to.have.status(200);
+          return store.get(ipKey);
+        })
+        .then(record => {
+          expect(record).to.be.null;
+        });
+    });
 
-      return chai
-        .request(app)
-        .post('/api/auth/refresh')
-        .set('authorization', `Bearer ${token}`)
+    it('Should turn away locked accounts until a teacher unlocks them', function () {
+      let student;
+      return lock()
+        .then(() => login(password))
+        .then(res => {
+          expect(res).to.have.status(429);
+          expect(res.body.locked).to.be.true;
+          expect(res.body.message).to.match(/locked/);
+          return User.findOne({ username });
+        })
+        .then(_student => {
+          student = _student;
+          return User.create({ username: 'teacher', password: 'teacherPass', isAdmin: true });
+        })
+        .then(teacher =>
+          Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [student._id] })
+            .then(() => startSession(teacher))
+        )
+        .then(({ authToken }) =>
+          chai
+            .request(app)
+            .post(`/api/users/${student.id}/unlock`)
+            .set('authorization', `Bearer ${authToken}`)
+        )
+        .then(res => {
+          expect(res).to.have.status(204);
+          return login(password);
+        })
         .then(res => {
           expect(res).to.have.status(200);
-          expect(res.body).to.be.an('object');
-          const token = res.body.authToken;
-          expect(token).to.be.a('string');
-          const payload = jwt.verify(token, JWT_SECRET, {
-            algorithm: ['HS256']
-          });
-          expect(payload.user).to.deep.equal({
-            username,
-            firstName,
-            lastName
-          });
-          expect(payload.exp).to.be.at.least(decoded.exp);
+        });
+    });
+
+    it('Should not let students unlock themselves', function () {
+      return lock()
+        .then(() => User.findOne({ username }))
+        .then(student =>
+          startSession(student).then(({ authToken }) =>
+            chai
+              .request(app)
+              .post(`/api/users/${student.id}/unlock`)
+              .set('authorization', `Bearer ${authToken}`)
+          )
+        )
+        .then(res => {
+          expect(res).to.have.status(403);
         });
     });
   });
@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL, APP_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/calendar', function () {
+  let student;
+  let record;
+  let studentToken;
+
+  // the feed path out of the URL the API hands back
+  const feedPath = url => url.replace(/^https?:\/\/[^/]+/, '');
+
+  const getFeed = path =>
+    chai.request(app).get(path).buffer().parse((res, callback) => {
+      let text = '';
+      res.on('data', chunk => (text += chunk));
+      res.on('end', () => callback(null, text));
+    });
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass', firstName: 'Sam' }
+    ])
+      .then(([teacher, _student]) => {
+        student = _student;
+        return makeToken(student).then(token => {
+          studentToken = token;
+          return Assignment.create({
+            assignmentName: 'Etude 3, bars 1-16',
+            assignmentDate: '2018-10-01',
+            createdBy: teacher._id
+          });
+        });
+      })
+      .then(assignment => assignment.assignTo([student._id]))
+      .then(([created]) => {
+        record = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should serve due dates with stable UIDs', function () {
+    let path;
+    return chai
+      .request(app)
+      .post('/api/calendar/token')
+      .set('authorization', `Bearer ${studentToken}`)
+      .set('host', 'attacker.example')
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.url.startsWith(`${APP_URL}/api/calendar/`)).to.be.true;
+        path = feedPath(res.body.url);
+        return getFeed(path);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('content-type', /text\/calendar/);
+        expect(res.body).to.include(`UID:${record.uuid}@music-assignment-tracker`);
+        expect(res.body).to.include('DTSTART;VALUE=DATE:20181001');
+        expect(res.body).to.include('SUMMARY:Etude 3\\, bars 1-16');
+        return Assignment.updateOne({}, { $set: { assignmentDate: new Date('2018-10-08') } });
+      })
+      .then(() => getFeed(path))
+      .then(res => {
+        expect(res.body).to.include(`UID:${record.uuid}@music-assignment-tracker`);
+        expect(res.body).to.include('DTSTART;VALUE=DATE:20181008');
+        expect(res.body.match(/BEGIN:VEVENT/g)).to.have.length(1);
+      });
+  });
+
+  it('Should stop serving a revoked feed', function () {
+    let path;
+    return chai
+      .request(app)
+      .post('/api/calendar/token')
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        path = feedPath(res.body.url);
+        return chai
+          .request(app)
+          .delete('/api/calendar/token')
+          .set('authorization', `Bearer ${studentToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(204);
+        return chai.request(app).get(path);
+      })
+      .then(res => {
+        expect(res).to.have.status(404);
+      });
+  });
+});
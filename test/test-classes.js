@@ -0,0 +1,217 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Invite } = require('../invites');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/classes', function () {
+  let teacher;
+  let otherTeacher;
+  let studentA;
+  let studentB;
+  let teacherToken;
+  let otherTeacherToken;
+  let studentToken;
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'otherTeacher', password: 'teacherPass', isAdmin: true },
+      { username: 'studentA', password: 'studentPass' },
+      { username: 'studentB', password: 'studentPass' }
+    ]).then(users => {
+      [teacher, otherTeacher, studentA, studentB] = users;
+      return Promise.all([teacher, otherTeacher, studentA].map(makeToken));
+    }).then(tokens => {
+      [teacherToken, otherTeacherToken, studentToken] = tokens;
+    });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Invite.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should create a class owned by the teacher', function () {
+    return chai
+      .request(app)
+      .post('/api/classes')
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Jazz Band' })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.name).to.equal('Jazz Band');
+        expect(res.body.teacher).to.equal(teacher.id);
+        expect(res.body.students).to.deep.equal([]);
+      });
+  });
+
+  it('Should reject students', function () {
+    return chai
+      .request(app)
+      .get('/api/classes')
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  describe('with a class', function () {
+    let band;
+
+    beforeEach(function () {
+      return Class.create({
+        name: 'Concert Band',
+        teacher: teacher._id,
+        students: [studentA._id]
+      }).then(created => {
+        band = created;
+      });
+    });
+
+    it('Should not let another teacher see the class', function () {
+      return chai
+        .request(app)
+        .get(`/api/classes/${band.id}`)
+        .set('authorization', `Bearer ${otherTeacherToken}`)
+        .then(res => {
+          expect(res).to.have.status(403);
+        });
+    });
+
+    it('Should answer 404 for a malformed class id', function () {
+      return chai
+        .request(app)
+        .get('/api/classes/not-a-class')
+        .set('authorization', `Bearer ${teacherToken}`)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('Should fan a class assignment out to the roster', function () {
+      return chai
+        .request(app)
+        .post(`/api/classes/${band.id}/assignments`)
+        .set('authorization', `Bearer ${teacherToken}`)
+        .send({ assignmentName: 'March No. 2', assignmentDate: '2018-10-01' })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.assignedTo).to.deep.equal([studentA.id]);
+          return StudentAssignment.count({ student: studentA._id });
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+
+    it('Should give late joiners only the assignments opted in', function () {
+      const send = (assignmentName, includeNewStudents) =>
+        chai
+          .request(app)
+          .post(`/api/classes/${band.id}/assignments`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignmentName, assignmentDate: '2018-10-01', includeNewStudents });
+
+      return send('Warm-ups', true)
+        .then(() => send('Sectional notes', false))
+        // studentB is already in another of the teacher's classes
+        .then(() => Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [studentB._id] }))
+        .then(() =>
+          chai
+            .request(app)
+            .post(`/api/classes/${band.id}/students`)
+            .set('authorization', `Bearer ${teacherToken}`)
+            .send({ studentID: studentB.id })
+        )
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.students.map(s => s.username)).to.deep.equal([
+            'studentA',
+            'studentB'
+          ]);
+          return User.findById(studentB.id).withAssignments();
+        })
+        .then(user => {
+          const names = user.serialize().Assignments.map(a => a.assignmentName);
+          expect(names).to.deep.equal(['Warm-ups']);
+        });
+    });
+
+    it('Should only enroll students the teacher already has', function () {
+      return chai
+        .request(app)
+        .post(`/api/classes/${band.id}/students`)
+        .set('authorization', `Bearer ${teacherToken}`)
+        .send({ studentID: studentB.id })
+        .then(res => {
+          expect(res).to.have.status(403);
+          return Class.findById(band.id);
+        })
+        .then(found => {
+          expect(found.students.map(String)).to.deep.equal([studentA.id]);
+        });
+    });
+
+    it('Should let a student join with a student invite code', function () {
+      return Invite.create({
+        role: 'student',
+        class: band._id,
+        maxUses: 1,
+        remainingUses: 1,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        createdBy: teacher._id
+      })
+        .then(invite => makeToken(studentB).then(token =>
+          chai
+            .request(app)
+            .post('/api/classes/join')
+            .set('authorization', `Bearer ${token}`)
+            .send({ code: invite.code.toLowerCase() })
+        ))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal('Concert Band');
+          return Class.findById(band.id);
+        })
+        .then(found => {
+          expect(found.students.map(String)).to.deep.equal([studentA.id, studentB.id]);
+          return chai
+            .request(app)
+            .post('/api/classes/join')
+            .set('authorization', `Bearer ${studentToken}`)
+            .send({ code: 'NOTACODE' });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('code');
+        });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { GradeCategory } = require('../grades');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/grades', function () {
+  let teacher;
+  let studentA;
+  let studentB;
+  let band;
+  let practice;
+  let tests;
+  let teacherToken;
+  let studentAToken;
+  let studentBToken;
+
+  const giveToBand = (assignmentName, category) =>
+    chai
+      .request(app)
+      .post(`/api/classes/${band.id}/assignments`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ assignmentName, assignmentDate: '2018-10-01', category: category.id })
+      .then(() => StudentAssignment.find().populate('assignment'))
+      .then(records =>
+        records.find(r =>
+          r.assignment.assignmentName === assignmentName &&
+          String(r.student) === studentA.id
+        ).uuid
+      );
+
+  const score = (assgnID, body) =>
+    chai
+      .request(app)
+      .put(`/api/grades/${studentA.id}/${assgnID}`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send(body);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'studentA', password: 'studentPass' },
+      { username: 'studentB', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, studentA, studentB] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentAToken, studentBToken] = tokens;
+        return Promise.all([
+          Class.create({
+            name: 'Concert Band',
+            teacher: teacher._id,
+            students: [studentA._id, studentB._id]
+          }),
+          GradeCategory.create({ name: 'Practice', weight: 1, teacher: teacher._id }),
+          GradeCategory.create({ name: 'Playing tests', weight: 3, teacher: teacher._id })
+        ]);
+      })
+      .then(created => {
+        [band, practice, tests] = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      GradeCategory.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should compute weighted running averages', function () {
+    let scalesID;
+    let etudeID;
+    return giveToBand('Scales', practice)
+      .then(id => {
+        scalesID = id;
+        return giveToBand('Etude 3', tests);
+      })
+      .then(id => {
+        etudeID = id;
+        return score(scalesID, { score: 10, maxScore: 10 });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.average).to.equal(100);
+        return score(etudeID, { score: 60, maxScore: 100 });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.grades).to.have.length(2);
+        // (100 * 1 + 60 * 3) / 4
+        expect(res.body.average).to.equal(70);
+        // a new score replaces the old one
+        return score(etudeID, { score: 100, maxScore: 100 });
+      })
+      .then(res => {
+        expect(res.body.grades).to.have.length(2);
+        expect(res.body.average).to.equal(100);
+      });
+  });
+
+  it('Should only show grades to their own student', function () {
+    return chai
+      .request(app)
+      .get(`/api/grades/${studentA.id}`)
+      .set('authorization', `Bearer ${studentBToken}`)
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .get(`/api/grades/${studentA.id}`)
+          .set('authorization', `Bearer ${studentAToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.grades).to.deep.equal([]);
+        expect(res.body.average).to.be.null;
+      });
+  });
+
+  it('Should only show grades to the student\'s own teachers', function () {
+    return User.create({ username: 'otherTeacher', password: 'teacherPass', isAdmin: true })
+      .then(makeToken)
+      .then(token =>
+        chai
+          .request(app)
+          .get(`/api/grades/${studentA.id}`)
+          .set('authorization', `Bearer ${token}`)
+      )
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .get(`/api/grades/${studentA.id}`)
+          .set('authorization', `Bearer ${teacherToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+      });
+  });
+
+  it('Should keep one grade per assignment when saves race', function () {
+    return giveToBand('Scales', practice)
+      .then(id => Promise.all([
+        score(id, { score: 7, maxScore: 10 }),
+        score(id, { score: 9, maxScore: 10 })
+      ]))
+      .then(() => User.findById(studentA.id))
+      .then(user => {
+        expect(user.Grades).to.have.length(1);
+      });
+  });
+
+  it('Should reject non-numeric scores', function () {
+    return giveToBand('Scales', practice)
+      .then(id => score(id, { score: 'A+' }))
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('score');
+      });
+  });
+
+  it('Should build a class grid', function () {
+    return giveToBand('Scales', practice)
+      .then(id => score(id, { score: 8, maxScore: 10 }))
+      .then(() =>
+        chai
+          .request(app)
+          .get(`/api/classes/${band.id}/gradebook`)
+          .set('authorization', `Bearer ${teacherToken}`)
+      )
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.assignments).to.have.length(1);
+        const assgnID = res.body.assignments[0].id;
+        const rowA = res.body.students.find(s => s.username === 'studentA');
+        const rowB = res.body.students.find(s => s.username === 'studentB');
+        expect(rowA.scores[assgnID].percent).to.equal(80);
+        expect(rowA.average).to.equal(80);
+        expect(rowB.scores[assgnID]).to.be.null;
+        expect(rowB.average).to.be.null;
+      });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Invite } = require('../invites');
+const { PracticeSession } = require('../practice');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/guardians', function () {
+  let teacher;
+  let student;
+  let otherStudent;
+  let guardian;
+  let record;
+  let teacherToken;
+  let studentToken;
+  let guardianToken;
+
+  const overview = token =>
+    chai
+      .request(app)
+      .get('/api/guardians/students')
+      .set('authorization', `Bearer ${token}`);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' },
+      { username: 'otherStudent', password: 'studentPass' },
+      { username: 'parent', password: 'parentPass', isGuardian: true }
+    ])
+      .then(users => {
+        [teacher, student, otherStudent, guardian] = users;
+        return Promise.all([teacher, student, guardian].map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentToken, guardianToken] = tokens;
+        return Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [student._id] });
+      })
+      .then(() =>
+        Assignment.create({
+          assignmentName: 'Etude 3',
+          assignmentDate: '2018-10-01',
+          createdBy: teacher._id
+        })
+      )
+      .then(assignment => assignment.assignTo([student._id]))
+      .then(([created]) => {
+        record = created;
+        return PracticeSession.create({ student: student._id, date: new Date(), minutes: 25 });
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Invite.remove({}),
+      PracticeSession.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should sign up a guardian with a code from the student', function () {
+    return chai
+      .request(app)
+      .post(`/api/guardians/students/${student.id}/codes`)
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.role).to.equal('guardian');
+        return chai
+          .request(app)
+          .post('/api/users')
+          .send({ username: 'newParent', password: 'newParentPass', inviteCode: res.body.code });
+      })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.isGuardian).to.be.true;
+        expect(res.body.isAdmin).to.be.false;
+        return User.findOne({ username: 'newParent' });
+      })
+      .then(found => makeToken(found))
+      .then(token => overview(token))
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.length(1);
+        expect(res.body[0].username).to.equal('student');
+        expect(res.body[0].Assignments).to.have.length(1);
+        expect(res.body[0].Assignments[0].status).to.equal('assigned');
+        expect(res.body[0].practice.totalMinutes).to.equal(25);
+      });
+  });
+
+  it('Should let the teacher link an existing guardian', function () {
+    return chai
+      .request(app)
+      .post(`/api/guardians/students/${student.id}/guardians`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ username: 'parent' })
+      .then(res => {
+        expect(res).to.have.status(204);
+        return overview(guardianToken);
+      })
+      .then(res => {
+        expect(res.body.map(s => s.username)).to.deep.equal(['student']);
+        return chai
+          .request(app)
+          .post(`/api/guardians/students/${otherStudent.id}/guardians`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ username: 'parent' });
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should keep guardians read-only and away from other students', function () {
+    const token = guardianToken;
+    return User.updateOne({ _id: guardian._id }, { $set: { guardianOf: [student._id] } })
+      .then(() =>
+        chai
+          .request(app)
+          .get(`/api/users/${otherStudent.id}`)
+          .set('authorization', `Bearer ${token}`)
+      )
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .post(`/api/users/${student.id}/assignments/${record.uuid}/status`)
+          .set('authorization', `Bearer ${token}`)
+          .send({ status: 'submitted' });
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .post('/api/practice')
+          .set('authorization', `Bearer ${token}`)
+          .send({ date: '2018-10-01', minutes: 30 });
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return overview(studentToken);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should answer 404 for unlinking a malformed guardian id', function () {
+    return chai
+      .request(app)
+      .delete(`/api/guardians/students/${student.id}/guardians/not-an-id`)
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(404);
+      });
+  });
+});
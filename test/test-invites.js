@@ -0,0 +1,188 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Invite } = require('../invites');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/invites', function () {
+  let teacher;
+  let student;
+  let cls;
+  let teacherToken;
+  let studentToken;
+
+  const makeInvite = body =>
+    chai
+      .request(app)
+      .post('/api/invites')
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send(body);
+
+  const register = (username, inviteCode) =>
+    chai
+      .request(app)
+      .post('/api/users')
+      .send({ username, password: 'newUserPass1', inviteCode });
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, student] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentToken] = tokens;
+        return Class.create({ name: 'Concert Band', teacher: teacher._id });
+      })
+      .then(created => {
+        cls = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([User.remove({}), Class.remove({}), Invite.remove({}), Session.remove({})]);
+  });
+
+  it('Should register students without a code and ignore isAdmin', function () {
+    return chai
+      .request(app)
+      .post('/api/users')
+      .send({ username: 'sneaky', password: 'sneakyPass1', isAdmin: true })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.isAdmin).to.be.false;
+      });
+  });
+
+  it('Should make a teacher from a teacher code, only as often as allowed', function () {
+    let code;
+    return makeInvite({ role: 'teacher' })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.maxUses).to.equal(1);
+        code = res.body.code;
+        return register('newTeacher', code.toLowerCase());
+      })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.isAdmin).to.be.true;
+        return register('secondTeacher', code);
+      })
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('inviteCode');
+      });
+  });
+
+  it('Should enroll students who register with a class code', function () {
+    return makeInvite({ role: 'student', classID: cls.id, maxUses: 30 })
+      .then(res => register('newStudent', res.body.code))
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.isAdmin).to.be.false;
+        return Class.findById(cls._id);
+      })
+      .then(found => {
+        expect(found.students).to.have.length(1);
+      });
+  });
+
+  it('Should let existing students join with a class code but not a teacher code', function () {
+    const join = code =>
+      chai
+        .request(app)
+        .post('/api/classes/join')
+        .set('authorization', `Bearer ${studentToken}`)
+        .send({ code });
+    const expiresAt = new Date(Date.now() + 60000);
+    return Invite.create([
+      { role: 'teacher', maxUses: 1, remainingUses: 1, expiresAt },
+      { role: 'student', class: cls._id, maxUses: 30, remainingUses: 30, expiresAt }
+    ])
+      .then(([teacherInvite, studentInvite]) =>
+        join(teacherInvite.code).then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('code');
+          return join(studentInvite.code);
+        })
+      )
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.name).to.equal('Concert Band');
+        return Promise.all([Class.findById(cls._id), Invite.findOne({ role: 'student' })]);
+      })
+      .then(([found, invite]) => {
+        expect(found.students.map(String)).to.deep.equal([student.id]);
+        expect(invite.remainingUses).to.equal(29);
+      });
+  });
+
+  it('Should reject expired and revoked codes', function () {
+    return Invite.create([
+      { role: 'teacher', maxUses: 1, remainingUses: 1, expiresAt: new Date(Date.now() - 1000) },
+      { role: 'teacher', maxUses: 1, remainingUses: 1, expiresAt: new Date(Date.now() + 60000), revokedAt: new Date() }
+    ])
+      .then(([expired, revoked]) =>
+        Promise.all([register('late', expired.code), register('revoked', revoked.code)])
+      )
+      .then(results => {
+        results.forEach(res => expect(res).to.have.status(422));
+      });
+  });
+
+  it('Should only let teachers make codes for their own classes', function () {
+    return chai
+      .request(app)
+      .post('/api/invites')
+      .set('authorization', `Bearer ${studentToken}`)
+      .send({ role: 'teacher' })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return User.create({ username: 'otherTeacher', password: 'teacherPass', isAdmin: true });
+      })
+      .then(makeToken)
+      .then(otherTeacherToken =>
+        chai
+          .request(app)
+          .post('/api/invites')
+          .set('authorization', `Bearer ${otherTeacherToken}`)
+          .send({ role: 'student', classID: cls.id })
+      )
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('classID');
+      });
+  });
+
+  it('Should answer 404 for revoking a malformed invite id', function () {
+    return chai
+      .request(app)
+      .delete('/api/invites/not-an-id')
+      .set('authorization', `Bearer ${teacherToken}`)
+      .then(res => {
+        expect(res).to.have.status(404);
+      });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const fs = require('fs');
+const path = require('path');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { PasswordReset, Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL, MAIL_OUTBOX_DIR, APP_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+// the messages the outbox transport has written, oldest first
+function outbox() {
+  if (!fs.existsSync(MAIL_OUTBOX_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(MAIL_OUTBOX_DIR)
+    .sort()
+    .map(name => JSON.parse(fs.readFileSync(path.join(MAIL_OUTBOX_DIR, name), 'utf8')));
+}
+
+function clearOutbox() {
+  if (fs.existsSync(MAIL_OUTBOX_DIR)) {
+    fs.readdirSync(MAIL_OUTBOX_DIR).forEach(name => fs.unlinkSync(path.join(MAIL_OUTBOX_DIR, name)));
+  }
+}
+
+describe('Password change and reset', function () {
+  const username = 'exampleUser';
+  const password = 'examplePass';
+  const email = 'parent@example.com';
+  let user;
+
+  const login = pass =>
+    chai.request(app).post('/api/auth/login').send({ username, password: pass });
+
+  const resetTokenFromMail = () => {
+    const messages = outbox();
+    return messages[messages.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+  };
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    clearOutbox();
+    return User.hashPassword(password)
+      .then(hash => User.create({ username, password: hash, email }))
+      .then(created => {
+        user = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([User.remove({}), PasswordReset.remove({}), Session.remove({})]);
+  });
+
+  describe('/api/auth/password', function () {
+    const changePassword = body =>
+      makeToken(user).then(token =>
+        chai
+          .request(app)
+          .post('/api/auth/password')
+          .set('authorization', `Bearer ${token}`)
+          .send(body)
+      );
+
+    it('Should change the password when the current one is right', function () {
+      return changePassword({ currentPassword: password, newPassword: 'aBetterPassword' })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return login('aBetterPassword');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+        });
+    });
+
+    it('Should reject a wrong current password', function () {
+      return changePassword({ currentPassword: 'notMyPassword', newPassword: 'aBetterPassword' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('currentPassword');
+        });
+    });
+
+    it('Should apply the registration length rules', function () {
+      return changePassword({ currentPassword: password, newPassword: 'short' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('newPassword');
+          expect(res.body.message).to.equal('must be at least 10 characters long');
+        });
+    });
+  });
+
+  describe('/api/auth/forgot and /api/auth/reset', function () {
+    const reset = (token, newPassword) =>
+      chai.request(app).post('/api/auth/reset').send({ token, newPassword });
+
+    it('Should mail a reset link that works once', function () {
+      let token;
+      return chai
+        .request(app)
+        .post('/api/auth/forgot')
+        .send({ email: 'Parent@Example.com' })
+        .then(res => {
+          expect(res).to.have.status(202);
+          expect(outbox()).to.have.length(1);
+          expect(outbox()[0].to).to.equal(email);
+          token = resetTokenFromMail();
+          return PasswordReset.findOne({ user: user._id });
+        })
+        .then(stored => {
+          expect(stored.tokenHash).to.not.equal(token);
+          return reset(token, 'aBrandNewPassword');
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return login('aBrandNewPassword');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return reset(token, 'yetAnotherPassword');
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('token');
+        });
+    });
+
+    it('Should link to the app, not to the host the request named', function () {
+      return chai
+        .request(app)
+        .post('/api/auth/forgot')
+        .set('host', 'attacker.example')
+        .send({ email })
+        .then(res => {
+          expect(res).to.have.status(202);
+          const { text } = outbox()[0];
+          expect(text).to.include(`${APP_URL}/reset-password.html?token=`);
+          expect(text).to.not.include('attacker.example');
+        });
+    });
+
+    it('Should answer the same for unknown addresses', function () {
+      return chai
+        .request(app)
+        .post('/api/auth/forgot')
+        .send({ email: 'nobody@example.com' })
+        .then(res => {
+          expect(res).to.have.status(202);
+          expect(outbox()).to.have.length(0);
+        });
+    });
+
+    it('Should reject expired tokens', function () {
+      return chai
+        .request(app)
+        .post('/api/auth/forgot')
+        .send({ email })
+        .then(() =>
+          PasswordReset.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } })
+        )
+        .then(() => reset(resetTokenFromMail(), 'aBrandNewPassword'))
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.location).to.equal('token');
+        });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { PracticeSession } = require('../practice');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/practice', function () {
+  const assignmentID = 'b1c2d3e4-0000-4000-8000-000000000002';
+  let teacher;
+  let student;
+  let otherStudent;
+  let studentToken;
+  let teacherToken;
+  let otherStudentToken;
+
+  const log = body =>
+    chai
+      .request(app)
+      .post('/api/practice')
+      .set('authorization', `Bearer ${studentToken}`)
+      .send(body);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' },
+      { username: 'otherStudent', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, student, otherStudent] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentToken, otherStudentToken] = tokens;
+        return Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [student._id] });
+      })
+      .then(() => {
+        return Assignment.create({
+          assignmentName: 'Etude 3',
+          assignmentDate: '2018-10-01',
+          createdBy: teacher._id
+        });
+      })
+      .then(assignment =>
+        StudentAssignment.create({
+          uuid: assignmentID,
+          student: student._id,
+          assignment: assignment._id
+        })
+      );
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      PracticeSession.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should log a session against an assignment', function () {
+    return log({ date: '2018-09-20', minutes: 25, assignment: assignmentID, notes: 'slow' })
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.date).to.equal('2018-09-20');
+        expect(res.body.minutes).to.equal(25);
+        expect(res.body.assignment).to.deep.equal({
+          id: assignmentID,
+          assignmentName: 'Etude 3'
+        });
+      });
+  });
+
+  it('Should reject bad minutes', function () {
+    return log({ date: '2018-09-20', minutes: 0 }).then(res => {
+      expect(res).to.have.status(422);
+      expect(res.body.location).to.equal('minutes');
+    });
+  });
+
+  it('Should summarize streaks and per-assignment totals', function () {
+    return log({ date: '2018-09-20', minutes: 20, assignment: assignmentID })
+      .then(() => log({ date: '2018-09-21', minutes: 10 }))
+      .then(() => log({ date: '2018-09-23', minutes: 15, assignment: assignmentID }))
+      .then(() =>
+        chai
+          .request(app)
+          .get(`/api/practice/${student.id}/summary`)
+          .set('authorization', `Bearer ${teacherToken}`)
+      )
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.totalMinutes).to.equal(45);
+        expect(res.body.longestStreak).to.equal(2);
+        expect(res.body.byAssignment).to.deep.equal([
+          { id: assignmentID, assignmentName: 'Etude 3', minutes: 35 }
+        ]);
+      });
+  });
+
+  it('Should keep a log private from other students', function () {
+    return chai
+      .request(app)
+      .get(`/api/practice/${student.id}`)
+      .set('authorization', `Bearer ${otherStudentToken}`)
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should keep a log private from teachers the student doesn\'t have', function () {
+    return User.create({ username: 'otherTeacher', password: 'teacherPass', isAdmin: true })
+      .then(makeToken)
+      .then(token =>
+        chai
+          .request(app)
+          .get(`/api/practice/${student.id}/summary`)
+          .set('authorization', `Bearer ${token}`)
+      )
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should only let students remove their own practice', function () {
+    let sessionID;
+    const remove = userID =>
+      chai
+        .request(app)
+        .delete(`/api/practice/${userID}/${sessionID}`)
+        .set('authorization', `Bearer ${otherStudentToken}`);
+
+    return log({ date: '2018-09-20', minutes: 20 })
+      .then(res => {
+        sessionID = res.body.id;
+        return remove(student.id);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return remove(otherStudent.id);
+      })
+      .then(res => {
+        expect(res).to.have.status(404);
+        return PracticeSession.count({});
+      })
+      .then(count => {
+        expect(count).to.equal(1);
+      });
+  });
+});
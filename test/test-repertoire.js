@@ -0,0 +1,287 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Piece } = require('../repertoire');
+const { Attachment } = require('../attachments');
+const { Assignment, StudentAssignment, AuditEntry } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/repertoire', function () {
+  const pdf = Buffer.from('%PDF-1.4 canon violin part');
+  let teacher;
+  let otherTeacher;
+  let student;
+  let teacherToken;
+  let otherTeacherToken;
+  let studentToken;
+
+  const addPiece = (token = teacherToken) =>
+    chai
+      .request(app)
+      .post('/api/repertoire')
+      .set('authorization', `Bearer ${token}`)
+      .send({
+        title: 'Canon in D',
+        composer: 'Pachelbel',
+        instruments: ['violin', 'cello'],
+        difficulty: 3,
+        book: 'String Classics',
+        page: 12
+      });
+
+  const assignPiece = (pieceID, fields = {}) =>
+    chai
+      .request(app)
+      .post(`/api/users/createassignment/${student.id}`)
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send(Object.assign({ piece: pieceID, assignmentDate: '2018-10-01' }, fields));
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'otherTeacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, otherTeacher, student] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, otherTeacherToken, studentToken] = tokens;
+        return Class.create({ name: 'Strings', teacher: teacher._id, students: [student._id] });
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Piece.remove({}),
+      Attachment.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      AuditEntry.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should add a piece to the catalog every teacher sees', function () {
+    return addPiece()
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.title).to.equal('Canon in D');
+        expect(res.body.instruments).to.deep.equal(['violin', 'cello']);
+        expect(res.body.usage).to.deep.equal({ assignments: 0, students: 0 });
+        return chai
+          .request(app)
+          .get('/api/repertoire')
+          .query({ instrument: 'Cello' })
+          .set('authorization', `Bearer ${otherTeacherToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.length(1);
+        expect(res.body[0].composer).to.equal('Pachelbel');
+      });
+  });
+
+  it('Should keep students out of the catalog', function () {
+    return chai
+      .request(app)
+      .get('/api/repertoire')
+      .set('authorization', `Bearer ${studentToken}`)
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should reject a piece without a title or with a grade out of range', function () {
+    return chai
+      .request(app)
+      .post('/api/repertoire')
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ title: '  ', difficulty: 12 })
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.errors.map(e => e.location)).to.deep.equal(['title', 'difficulty']);
+      });
+  });
+
+  it('Should name an assignment after its piece and copy the piece\'s files', function () {
+    let piece;
+    return addPiece()
+      .then(res => {
+        piece = res.body;
+        return chai
+          .request(app)
+          .post(`/api/repertoire/${piece.id}/attachments`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .field('kind', 'sheet_music')
+          .attach('file', pdf, 'canon.pdf');
+      })
+      .then(res => {
+        expect(res).to.have.status(201);
+        return assignPiece(piece.id, { section: 'Intro', measureFrom: 1, measureTo: 16 });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        const [assignment] = res.body.Assignments;
+        expect(assignment.assignmentName).to.equal('Canon in D, Intro, mm. 1-16');
+        expect(assignment.piece.title).to.equal('Canon in D');
+        expect(assignment.measureTo).to.equal(16);
+        expect(assignment.attachments).to.have.length(1);
+        expect(assignment.attachments[0].originalName).to.equal('canon.pdf');
+      });
+  });
+
+  it('Should reject measures that run backwards and unknown pieces', function () {
+    return addPiece()
+      .then(res => assignPiece(res.body.id, { measureFrom: 20, measureTo: 4 }))
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('measureTo');
+        return assignPiece('5b9ba4b0c7a1b9a1c8e3f000');
+      })
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('piece');
+      });
+  });
+
+  it('Should count uses and list who played a piece', function () {
+    let piece;
+    return addPiece()
+      .then(res => {
+        piece = res.body;
+        return assignPiece(piece.id, { measureFrom: 1, measureTo: 8 });
+      })
+      .then(() => assignPiece(piece.id, { assignmentDate: '2018-10-08', measureFrom: 9, measureTo: 16 }))
+      .then(() => chai
+        .request(app)
+        .get(`/api/repertoire/${piece.id}`)
+        .set('authorization', `Bearer ${teacherToken}`))
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.usage).to.deep.equal({ assignments: 2, students: 1 });
+        return chai
+          .request(app)
+          .get(`/api/repertoire/${piece.id}/students`)
+          .set('authorization', `Bearer ${teacherToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.map(r => r.assignmentDate)).to.deep.equal(['2018-10-08', '2018-10-01']);
+        expect(res.body[0].student.username).to.equal('student');
+        return chai
+          .request(app)
+          .get(`/api/repertoire/${piece.id}/students`)
+          .set('authorization', `Bearer ${otherTeacherToken}`);
+      })
+      .then(res => {
+        expect(res.body).to.have.length(0);
+      });
+  });
+
+  it('Should count every teacher\'s assignments of a piece but not trashed copies', function () {
+    let piece;
+    let otherAssignment;
+    const catalog = () =>
+      chai
+        .request(app)
+        .get('/api/repertoire')
+        .query({ q: 'Canon' })
+        .set('authorization', `Bearer ${otherTeacherToken}`);
+    return addPiece()
+      .then(res => {
+        piece = res.body;
+        return assignPiece(piece.id);
+      })
+      .then(() => Assignment.create({
+        assignmentName: 'Canon in D',
+        assignmentDate: '2018-10-08',
+        createdBy: otherTeacher._id,
+        piece: piece.id
+      }))
+      .then(created => {
+        otherAssignment = created;
+        return otherAssignment.assignTo([student._id]);
+      })
+      .then(catalog)
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body[0].usage).to.deep.equal({ assignments: 2, students: 1 });
+        return StudentAssignment.updateOne(
+          { assignment: { $ne: otherAssignment._id } },
+          { $set: { deletedAt: new Date() } }
+        );
+      })
+      .then(catalog)
+      .then(res => {
+        expect(res.body[0].usage).to.deep.equal({ assignments: 1, students: 1 });
+      });
+  });
+
+  it('Should only let the teacher who added a piece change it', function () {
+    let piece;
+    return addPiece()
+      .then(res => {
+        piece = res.body;
+        return chai
+          .request(app)
+          .put(`/api/repertoire/${piece.id}`)
+          .set('authorization', `Bearer ${otherTeacherToken}`)
+          .send({ title: 'Canon' });
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return chai
+          .request(app)
+          .put(`/api/repertoire/${piece.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ title: 'Canon and Gigue', composer: 'Pachelbel' });
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.title).to.equal('Canon and Gigue');
+      });
+  });
+
+  it('Should not delete a piece that was assigned', function () {
+    let piece;
+    return addPiece()
+      .then(res => {
+        piece = res.body;
+        return assignPiece(piece.id);
+      })
+      .then(() => chai
+        .request(app)
+        .delete(`/api/repertoire/${piece.id}`)
+        .set('authorization', `Bearer ${teacherToken}`))
+      .then(res => {
+        expect(res).to.have.status(409);
+        return Piece.findById(piece.id);
+      })
+      .then(found => {
+        expect(found).to.exist;
+      });
+  });
+});
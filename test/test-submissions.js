@@ -0,0 +1,167 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Submission } = require('../submissions');
+const { Assignment, StudentAssignment } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+// A silent mono 16-bit PCM wav file
+function makeWav(seconds, sampleRate = 8000) {
+  const dataSize = seconds * sampleRate * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+  return wav;
+}
+
+describe('/api/submissions', function () {
+  let teacher;
+  let student;
+  let record;
+  let studentToken;
+  let teacherToken;
+
+  const turnIn = (file, fileName) =>
+    chai
+      .request(app)
+      .post(`/api/submissions/${student.id}/${record.uuid}`)
+      .set('authorization', `Bearer ${studentToken}`)
+      .attach('file', file, fileName);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, student] = users;
+        return Promise.all(users.map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, studentToken] = tokens;
+        return Class.create({ name: 'Brass', teacher: teacher._id, students: [student._id] });
+      })
+      .then(() => {
+        return Assignment.create({
+          assignmentName: 'Playing test 1',
+          assignmentDate: '2018-10-01',
+          createdBy: teacher._id
+        });
+      })
+      .then(assignment => assignment.assignTo([student._id]))
+      .then(([created]) => {
+        record = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Submission.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should keep each take as a new version with its duration', function () {
+    return turnIn(makeWav(2), 'take1.wav')
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.version).to.equal(1);
+        expect(res.body.duration).to.equal(2);
+        expect(res.body.sampleRate).to.equal(8000);
+        return turnIn(makeWav(3), 'take2.wav');
+      })
+      .then(res => {
+        expect(res.body.version).to.equal(2);
+        return chai
+          .request(app)
+          .get(`/api/submissions/${student.id}/${record.uuid}`)
+          .set('authorization', `Bearer ${teacherToken}`);
+      })
+      .then(res => {
+        expect(res).to.have.status(200);
+        expect(res.body.map(s => s.version)).to.deep.equal([2, 1]);
+        return StudentAssignment.findById(record._id);
+      })
+      .then(updated => {
+        expect(updated.status).to.equal('submitted');
+      });
+  });
+
+  it('Should reject files that are not audio it can read', function () {
+    return turnIn(Buffer.from('not really audio'), 'take.wav').then(res => {
+      expect(res).to.have.status(422);
+      expect(res.body.location).to.equal('file');
+    });
+  });
+
+  it('Should let the teacher comment at a timestamp', function () {
+    return turnIn(makeWav(2), 'take1.wav')
+      .then(() =>
+        chai
+          .request(app)
+          .post(`/api/submissions/${student.id}/${record.uuid}/1/comments`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ at: 1.5, text: 'Watch the intonation here' })
+      )
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.comments).to.have.length(1);
+        expect(res.body.comments[0].at).to.equal(1.5);
+        return chai
+          .request(app)
+          .post(`/api/submissions/${student.id}/${record.uuid}/1/comments`)
+          .set('authorization', `Bearer ${studentToken}`)
+          .send({ at: 1, text: 'Thanks' });
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should answer 404 for versions that are not positive whole numbers', function () {
+    return turnIn(makeWav(2), 'take1.wav')
+      .then(() => Promise.all(['latest', '0', '1.5'].map(version =>
+        chai
+          .request(app)
+          .get(`/api/submissions/${student.id}/${record.uuid}/${version}/audio`)
+          .set('authorization', `Bearer ${studentToken}`)
+      )))
+      .then(results => {
+        results.forEach(res => expect(res).to.have.status(404));
+      });
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const { app, runServer, closeServer } = require('../server');
+const { User } = require('../users');
+const { Class } = require('../classes');
+const { Template } = require('../templates');
+const { Assignment, StudentAssignment, AuditEntry } = require('../assignments');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
+const { TEST_DATABASE_URL } = require('../config');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('/api/templates', function () {
+  let teacher;
+  let otherTeacher;
+  let student;
+  let otherStudent;
+  let strings;
+  let teacherToken;
+  let otherTeacherToken;
+
+  const septemberItems = [
+    { assignmentName: 'G major scale', offsetDays: 0 },
+    { assignmentName: 'Etude 1', offsetDays: 3 },
+    { assignmentName: 'Theory worksheet 1', offsetDays: 7 }
+  ];
+
+  const addTemplate = (items = septemberItems) =>
+    chai
+      .request(app)
+      .post('/api/templates')
+      .set('authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'September', items });
+
+  const apply = (templateID, body, token = teacherToken) =>
+    chai
+      .request(app)
+      .post(`/api/templates/${templateID}/apply`)
+      .set('authorization', `Bearer ${token}`)
+      .send(body);
+
+  before(function () {
+    return runServer(TEST_DATABASE_URL);
+  });
+
+  after(function () {
+    return closeServer();
+  });
+
+  beforeEach(function () {
+    return User.create([
+      { username: 'teacher', password: 'teacherPass', isAdmin: true },
+      { username: 'otherTeacher', password: 'teacherPass', isAdmin: true },
+      { username: 'student', password: 'studentPass' },
+      { username: 'otherStudent', password: 'studentPass' }
+    ])
+      .then(users => {
+        [teacher, otherTeacher, student, otherStudent] = users;
+        return Promise.all([teacher, otherTeacher].map(makeToken));
+      })
+      .then(tokens => {
+        [teacherToken, otherTeacherToken] = tokens;
+        return Class.create({ name: 'Strings', teacher: teacher._id, students: [student._id, otherStudent._id] });
+      })
+      .then(created => {
+        strings = created;
+      });
+  });
+
+  afterEach(function () {
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Template.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      AuditEntry.remove({}),
+      Session.remove({})
+    ]);
+  });
+
+  it('Should save a template and describe when its items are due', function () {
+    return addTemplate().then(res => {
+      expect(res).to.have.status(201);
+      expect(res.body.name).to.equal('September');
+      expect(res.body.items.map(item => item.due)).to.deep.equal(['Week 1', 'Week 1 +3 days', 'Week 2']);
+    });
+  });
+
+  it('Should reject items without a name or with a negative offset', function () {
+    return addTemplate([{ assignmentName: 'Etude 1', offsetDays: 0 }, { assignmentName: 'Etude 2', offsetDays: -1 }])
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('items.1.offsetDays');
+        return addTemplate([{ offsetDays: 2 }]);
+      })
+      .then(res => {
+        expect(res).to.have.status(422);
+        expect(res.body.location).to.equal('items.0.assignmentName');
+      });
+  });
+
+  it('Should set a template\'s assignments for a class from a start date', function () {
+    return addTemplate()
+      .then(res => apply(res.body.id, { startDate: '2018-09-03', classID: strings.id }))
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.assignments.map(a => a.assignmentDate)).to.deep.equal(['2018-09-03', '2018-09-06', '2018-09-10']);
+        return User.findById(otherStudent.id).withAssignments();
+      })
+      .then(user => {
+        const names = user.serialize().Assignments.map(a => a.assignmentName);
+        expect(names).to.have.members(['G major scale', 'Etude 1', 'Theory worksheet 1']);
+      });
+  });
+
+  it('Should set a template\'s assignments for one student', function () {
+    return addTemplate()
+      .then(res => apply(res.body.id, { startDate: '2018-09-03', studentID: student.id }))
+      .then(res => {
+        expect(res).to.have.status(201);
+        return Promise.all([
+          StudentAssignment.count({ student: student._id }),
+          StudentAssignment.count({ student: otherStudent._id })
+        ]);
+      })
+      .then(([mine, theirs]) => {
+        expect(mine).to.equal(3);
+        expect(theirs).to.equal(0);
+      });
+  });
+
+  it('Should not let other teachers use a template or a stranger\'s class', function () {
+    let templateID;
+    return addTemplate()
+      .then(res => {
+        templateID = res.body.id;
+        return apply(templateID, { startDate: '2018-09-03', studentID: student.id }, otherTeacherToken);
+      })
+      .then(res => {
+        expect(res).to.have.status(403);
+        return Class.create({ name: 'Brass', teacher: otherTeacher._id, students: [] });
+      })
+      .then(brass => apply(templateID, { startDate: '2018-09-03', classID: brass.id }))
+      .then(res => {
+        expect(res).to.have.status(403);
+      });
+  });
+
+  it('Should save a student\'s assignments as a template', function () {
+    return Promise.all([
+      Assignment.create({ assignmentName: 'C major scale', assignmentDate: '2018-09-04', createdBy: teacher._id }),
+      Assignment.create({ assignmentName: 'Etude 2', assignmentDate: '2018-09-14', createdBy: teacher._id }),
+      Assignment.create({ assignmentName: 'Not mine', assignmentDate: '2018-09-05', createdBy: otherTeacher._id })
+    ])
+      .then(assignments => Promise.all(assignments.map(a => a.assignTo([student._id]))))
+      .then(() => chai
+        .request(app)
+        .post(`/api/templates/from-student/${student.id}`)
+        .set('authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Fall' }))
+      .then(res => {
+        expect(res).to.have.status(201);
+        expect(res.body.items.map(item => [item.assignmentName, item.offsetDays])).to.deep.equal([
+          ['C major scale', 0],
+          ['Etude 2', 10]
+        ]);
+        return apply(res.body.id, { startDate: '2019-09-03', studentID: otherStudent.id });
+      })
+      .then(res => {
+        expect(res.body.assignments.map(a => a.assignmentDate)).to.deep.equal(['2019-09-03', '2019-09-13']);
+      });
+  });
+});
@@ -5,6 +5,11 @@ const chaiHttp = require('chai-http');
 
 const { app, runServer, closeServer } = require('../server');
 const { User } = require('../users');
+const { convertEmbeddedAssignments } = require('../users/embedded');
+const { Assignment, StudentAssignment, AuditEntry } = require('../assignments');
+const { Class } = require('../classes');
+const { Session } = require('../auth');
+const { makeToken } = require('./helpers');
 const { TEST_DATABASE_URL } = require('../config');
 
 const expect = chai.expect;
@@ -35,7 +40,14 @@ describe('/api/user', function () {
   beforeEach(function () { });
 
   afterEach(function () {
-    return User.remove({});
+    return Promise.all([
+      User.remove({}),
+      Class.remove({}),
+      Assignment.remove({}),
+      StudentAssignment.remove({}),
+      AuditEntry.remove({}),
+      Session.remove({})
+    ]);
   });
 
   describe('/api/users', function () {
@@ -434,39 +446,192 @@ describe('/api/user', function () {
     });
 
     describe('GET', function () {
-      it('Should return an empty array initially', function () {
+      it('Should reject requests with no credentials', function () {
         return chai.request(app).get('/api/users').then(res => {
-          expect(res).to.have.status(200);
-          expect(res.body).to.be.an('array');
-          expect(res.body).to.have.length(0);
+          expect(res).to.have.status(401);
         });
       });
-      it('Should return an array of users', function () {
-        return User.create(
-          {
-            username,
-            password,
-            firstName,
-            lastName
-          },
-          {
-            username: usernameB,
-            password: passwordB,
-            firstName: firstNameB,
-            lastName: lastNameB
-          }
-        )
-          .then(() => chai.request(app).get('/api/users'))
+      it('Should return only the students in the teacher\'s classes', function () {
+        let teacher;
+        return User.create([
+          { username, password, firstName, lastName },
+          { username: usernameB, password: passwordB, firstName: firstNameB, lastName: lastNameB },
+          { username: 'teacher', password: 'teacherPass', isAdmin: true }
+        ])
+          .then(([, studentB, _teacher]) => {
+            teacher = _teacher;
+            return Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [studentB._id] });
+          })
+          .then(() => makeToken(teacher))
+          .then(token =>
+            chai
+              .request(app)
+              .get('/api/users')
+              .set('authorization', `Bearer ${token}`)
+          )
           .then(res => {
             expect(res).to.have.status(200);
             expect(res.body).to.be.an('array');
-            expect(res.body).to.have.length(2);
-            expect(res.body[0]).to.deep.equal({
-              username,
-              firstName,
-              lastName
+            expect(res.body).to.have.length(1);
+            expect(res.body[0].username).to.equal(usernameB);
+          });
+      });
+
+      describe('search and pages', function () {
+        let teacher;
+        let students;
+        let token;
+        const list = query =>
+          chai
+            .request(app)
+            .get('/api/users')
+            .query(query)
+            .set('authorization', `Bearer ${token}`);
+
+        beforeEach(function () {
+          return User.create([
+            { username: 'teacher', password: 'teacherPass', isAdmin: true },
+            { username: 'alice', password, firstName: 'Alice', lastName: 'Zimmer' },
+            { username: 'bob', password, firstName: 'Bob', lastName: 'Young' },
+            { username: 'carol', password, firstName: 'Carol', lastName: 'Xu' },
+            { username: 'dave', password, firstName: 'Dave', lastName: 'Wells' }
+          ])
+            .then(([_teacher, ...rest]) => {
+              teacher = _teacher;
+              students = rest;
+              return Class.create([
+                { name: 'Jazz Band', teacher: teacher._id, students: students.slice(0, 2).map(s => s._id) },
+                { name: 'Choir', teacher: teacher._id, students: students.slice(2).map(s => s._id) }
+              ]);
+            })
+            .then(() => makeToken(teacher))
+            .then(_token => {
+              token = _token;
+            });
+        });
+
+        it('Should find students by part of their name and leave out assignments', function () {
+          return list({ q: 'ROL', fields: 'summary' }).then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.map(u => u.username)).to.deep.equal(['carol']);
+            expect(res.body[0]).to.not.have.property('Assignments');
+          });
+        });
+
+        it('Should filter by class and sort', function () {
+          return Class.findOne({ name: 'Choir' })
+            .then(choir => list({ class: choir.id, sort: '-lastName' }))
+            .then(res => {
+              expect(res.body.map(u => u.username)).to.deep.equal(['carol', 'dave']);
             });
-            expect(res.body[1]).to.deep.equal({
+        });
+
+        it('Should page through with the next link', function () {
+          return list({ sort: 'lastName', limit: 3 })
+            .then(res => {
+              expect(res.body.map(u => u.username)).to.deep.equal(['dave', 'carol', 'bob']);
+              expect(res).to.have.header('link', /rel="next"/);
+              const next = res.headers.link.match(/<([^>]+)>/)[1];
+              return chai.request(app).get(next).set('authorization', `Bearer ${token}`);
+            })
+            .then(res => {
+              expect(res.body.map(u => u.username)).to.deep.equal(['alice']);
+              expect(res).to.not.have.header('link');
+            });
+        });
+
+        it('Should find students with overdue work', function () {
+          return Assignment.create({ assignmentName: 'Etude 3', assignmentDate: '2018-09-14', createdBy: teacher._id })
+            .then(assignment => assignment.assignTo([students[1]._id, students[2]._id]))
+            .then(([, handedIn]) => handedIn.transitionTo('submitted', students[2]._id))
+            .then(() => list({ overdue: 'true' }))
+            .then(res => {
+              expect(res.body.map(u => u.username)).to.deep.equal(['bob']);
+            });
+        });
+
+        it('Should reject unknown sort fields', function () {
+          return list({ sort: 'password' }).then(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.location).to.equal('sort');
+          });
+        });
+      });
+    });
+  });
+
+  describe('assignments', function () {
+    const assignment = {
+      id: 'a6f7b8c9-0000-4000-8000-000000000001',
+      assignmentName: 'Etude 3',
+      assignmentDate: '2018-09-14'
+    };
+    let student;
+    let teacher;
+    let teacherToken;
+    let studentToken;
+
+    beforeEach(function () {
+      return User.create([
+        {
+          username,
+          password,
+          firstName,
+          lastName
+        },
+        {
+          username: usernameB,
+          password: passwordB,
+          firstName: firstNameB,
+          lastName: lastNameB,
+          isAdmin: true
+        }
+      ])
+        .then(([_student, _teacher]) => {
+          student = _student;
+          teacher = _teacher;
+          return Promise.all([makeToken(student), makeToken(teacher)]);
+        })
+        .then(tokens => {
+          [studentToken, teacherToken] = tokens;
+          return Class.create({ name: 'Jazz Band', teacher: teacher._id, students: [student._id] });
+        })
+        .then(() => {
+          return Assignment.create({
+            assignmentName: assignment.assignmentName,
+            assignmentDate: assignment.assignmentDate,
+            createdBy: teacher._id
+          });
+        })
+        .then(created =>
+          StudentAssignment.create({
+            uuid: assignment.id,
+            student: student._id,
+            assignment: created._id
+          })
+        );
+    });
+
+    describe('GET /api/users/me', function () {
+      it('Should reject requests with no credentials', function () {
+        return chai
+          .request(app)
+          .get('/api/users/me')
+          .then(res => {
+            expect(res).to.have.status(401);
+          });
+      });
+      it('Should return the logged in student with their teacher', function () {
+        return chai
+          .request(app)
+          .get('/api/users/me')
+          .set('authorization', `Bearer ${studentToken}`)
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.username).to.equal(username);
+            expect(res.body.Assignments).to.have.length(1);
+            expect(res.body.Assignments[0].teacher).to.deep.equal({
+              id: teacher.id,
               username: usernameB,
               firstName: firstNameB,
               lastName: lastNameB
@@ -474,5 +639,400 @@ describe('/api/user', function () {
           });
       });
     });
+
+    describe('GET /api/users/:id', function () {
+      it('Should let students read only their own record', function () {
+        return User.create({ username: 'otherStudent', password: 'studentPass' })
+          .then(other =>
+            chai
+              .request(app)
+              .get(`/api/users/${other.id}`)
+              .set('authorization', `Bearer ${studentToken}`)
+          )
+          .then(res => {
+            expect(res).to.have.status(403);
+            return chai
+              .request(app)
+              .get(`/api/users/${student.id}`)
+              .set('authorization', `Bearer ${studentToken}`);
+          })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.username).to.equal(username);
+          });
+      });
+    });
+
+    describe('converting embedded assignments', function () {
+      it('Should move a user\'s old Assignments array into records with the same ids', function () {
+        const embedded = [
+          { id: 'old-scales', assignmentName: 'Scales', assignmentDate: '2018-09-03' },
+          { id: 'old-etude', assignmentName: 'Etude 1', assignmentDate: '2018-09-10' }
+        ];
+        return User.collection.updateOne({ _id: student._id }, { $set: { Assignments: embedded } })
+          .then(() => convertEmbeddedAssignments(teacher._id))
+          .then(summary => {
+            expect(summary).to.deep.equal({ users: 1, converted: 2, problems: [] });
+            // a second run finds nothing left to do
+            return convertEmbeddedAssignments(teacher._id);
+          })
+          .then(summary => {
+            expect(summary.users).to.equal(0);
+            return User.findById(student._id).withAssignments();
+          })
+          .then(user => {
+            const converted = user.serialize().Assignments
+              .filter(a => a.id !== assignment.id)
+              .map(a => [a.id, a.assignmentName, a.assignmentDate, String(a.createdBy)]);
+            expect(converted).to.have.deep.members([
+              ['old-scales', 'Scales', '2018-09-03', teacher.id],
+              ['old-etude', 'Etude 1', '2018-09-10', teacher.id]
+            ]);
+          });
+      });
+
+      it('Should leave entries it can\'t convert in place', function () {
+        const embedded = [
+          { id: 'old-scales', assignmentName: 'Scales', assignmentDate: '2018-09-03' },
+          { id: 'old-blank', assignmentName: '', assignmentDate: '2018-09-10' }
+        ];
+        return User.collection.updateOne({ _id: student._id }, { $set: { Assignments: embedded } })
+          .then(() => convertEmbeddedAssignments(teacher._id))
+          .then(summary => {
+            expect(summary.problems).to.deep.equal([{ user: username, id: 'old-blank', problem: 'has no name' }]);
+            return User.collection.findOne({ _id: student._id });
+          })
+          .then(doc => {
+            expect(doc.Assignments).to.have.length(2);
+            return StudentAssignment.count({ uuid: 'old-scales' });
+          })
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+    });
+
+    describe('PUT /api/users/:userID/profile', function () {
+      const saveProfile = (token, profile) =>
+        chai
+          .request(app)
+          .put(`/api/users/${student.id}/profile`)
+          .set('authorization', `Bearer ${token}`)
+          .send(profile);
+
+      it('Should let students set their own instrument but not their level', function () {
+        return saveProfile(studentToken, { instrument: ' Trumpet ' })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.instrument).to.equal('trumpet');
+            return saveProfile(studentToken, { level: 4 });
+          })
+          .then(res => {
+            expect(res).to.have.status(403);
+          });
+      });
+
+      it('Should let teachers set chair, part and level and find students by them', function () {
+        return saveProfile(teacherToken, { level: 12 })
+          .then(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.location).to.equal('level');
+            return saveProfile(teacherToken, { instrument: 'trumpet', chair: '1st chair', part: 'Trumpet 1', level: 4 });
+          })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.include({ chair: '1st chair', part: 'Trumpet 1', level: 4 });
+            return chai
+              .request(app)
+              .get('/api/users')
+              .query({ instrument: 'TRUMPET', minLevel: 3, fields: 'summary' })
+              .set('authorization', `Bearer ${teacherToken}`);
+          })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.map(u => u.username)).to.deep.equal([username]);
+          });
+      });
+
+      it('Should clear fields sent as null', function () {
+        return saveProfile(teacherToken, { instrument: 'trumpet', level: 4 })
+          .then(() => saveProfile(teacherToken, { level: null }))
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.level).to.be.null;
+            expect(res.body.instrument).to.equal('trumpet');
+            return User.collection.findOne({ _id: student._id });
+          })
+          .then(doc => {
+            expect(doc).to.not.have.property('level');
+          });
+      });
+    });
+
+    describe('POST /api/users/createassignment/:userID', function () {
+      it('Should reject teachers the student is not enrolled with', function () {
+        return User.create({ username: 'otherTeacher', password: 'teacherPass', isAdmin: true })
+          .then(makeToken)
+          .then(token =>
+            chai
+              .request(app)
+              .post(`/api/users/createassignment/${student.id}`)
+              .set('authorization', `Bearer ${token}`)
+              .send({ assignmentName: 'Scales', assignmentDate: '2018-09-21' })
+          )
+          .then(res => {
+            expect(res).to.have.status(403);
+          });
+      });
+      it('Should hand a new assignment to the student', function () {
+        return chai
+          .request(app)
+          .post(`/api/users/createassignment/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignmentName: 'Scales', assignmentDate: '2018-09-21' })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments).to.have.length(2);
+            const created = res.body.Assignments.find(
+              a => a.assignmentName === 'Scales'
+            );
+            expect(created.assignmentDate).to.equal('2018-09-21');
+            expect(created.createdBy).to.equal(teacher.id);
+            return Assignment.count();
+          })
+          .then(count => {
+            expect(count).to.equal(2);
+          });
+      });
+      it('Should list every problem with the name and date', function () {
+        return chai
+          .request(app)
+          .post(`/api/users/createassignment/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignmentName: '   ', assignmentDate: 'next friday' })
+          .then(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.reason).to.equal('ValidationError');
+            expect(res.body.location).to.equal('assignmentName');
+            expect(res.body.errors).to.deep.equal([
+              { message: 'Missing field', location: 'assignmentName' },
+              { message: 'Must be a date like 2018-09-14', location: 'assignmentDate' }
+            ]);
+            return Assignment.count();
+          })
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+    });
+
+    describe('PUT /api/users/:userID', function () {
+      it('Should update the assignment name and date', function () {
+        return chai
+          .request(app)
+          .put(`/api/users/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({
+            assignment: {
+              id: assignment.id,
+              assignmentName: 'Etude 4',
+              assignmentDate: '2018-09-28'
+            }
+          })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments).to.have.length(1);
+            expect(res.body.Assignments[0].id).to.equal(assignment.id);
+            expect(res.body.Assignments[0].assignmentName).to.equal('Etude 4');
+            expect(res.body.Assignments[0].assignmentDate).to.equal('2018-09-28');
+          });
+      });
+      it('Should reject requests with no credentials', function () {
+        return chai
+          .request(app)
+          .put(`/api/users/${student.id}`)
+          .send({ assignment: { id: assignment.id, assignmentName: 'x' } })
+          .then(res => {
+            expect(res).to.have.status(401);
+          });
+      });
+      it('Should 404 on an unknown assignment', function () {
+        return chai
+          .request(app)
+          .put(`/api/users/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({ assignment: { id: 'nope', assignmentName: 'x' } })
+          .then(res => {
+            expect(res).to.have.status(404);
+          });
+      });
+      it('Should reject a missing assignment or a bad date', function () {
+        return chai
+          .request(app)
+          .put(`/api/users/${student.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .send({})
+          .then(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.location).to.equal('assignment');
+            return chai
+              .request(app)
+              .put(`/api/users/${student.id}`)
+              .set('authorization', `Bearer ${teacherToken}`)
+              .send({ assignment: { id: assignment.id, assignmentDate: '2018-02-30' } });
+          })
+          .then(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.location).to.equal('assignment.assignmentDate');
+          });
+      });
+    });
+
+    describe('POST /api/users/:userID/assignments/:assignmentID/status', function () {
+      const setStatus = (token, status) =>
+        chai
+          .request(app)
+          .post(`/api/users/${student.id}/assignments/${assignment.id}/status`)
+          .set('authorization', `Bearer ${token}`)
+          .send({ status });
+
+      it('Should let the student submit and record when', function () {
+        return setStatus(studentToken, 'submitted').then(res => {
+          expect(res).to.have.status(200);
+          const updated = res.body.Assignments[0];
+          expect(updated.status).to.equal('submitted');
+          expect(updated.statusHistory).to.have.length(1);
+          expect(updated.statusHistory[0].status).to.equal('submitted');
+          expect(updated.statusHistory[0].by).to.equal(student.id);
+          expect(updated.statusHistory[0]).to.include.keys('at');
+        });
+      });
+      it('Should not let the student mark it reviewed', function () {
+        return setStatus(studentToken, 'in_progress')
+          .then(() => setStatus(studentToken, 'submitted'))
+          .then(() => setStatus(studentToken, 'reviewed'))
+          .then(res => {
+            expect(res).to.have.status(403);
+          });
+      });
+      it('Should let the assigning teacher review or send back', function () {
+        return setStatus(studentToken, 'submitted')
+          .then(() => setStatus(teacherToken, 'in_progress'))
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments[0].status).to.equal('in_progress');
+            return setStatus(studentToken, 'submitted');
+          })
+          .then(() => setStatus(teacherToken, 'reviewed'))
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments[0].status).to.equal('reviewed');
+          });
+      });
+      it('Should reject transitions the workflow does not allow', function () {
+        return setStatus(teacherToken, 'reviewed').then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.reason).to.equal('ValidationError');
+          expect(res.body.location).to.equal('status');
+        });
+      });
+    });
+
+    describe('DELETE /api/users/:userID/assignments/:assignmentID', function () {
+      it('Should reject requests from students', function () {
+        return chai
+          .request(app)
+          .delete(`/api/users/${student.id}/assignments/${assignment.id}`)
+          .set('authorization', `Bearer ${studentToken}`)
+          .then(res => {
+            expect(res).to.have.status(403);
+          });
+      });
+      it('Should 404 on an unknown assignment', function () {
+        return chai
+          .request(app)
+          .delete(`/api/users/${student.id}/assignments/nope`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .then(res => {
+            expect(res).to.have.status(404);
+          });
+      });
+      it('Should move the assignment to the trash', function () {
+        return chai
+          .request(app)
+          .delete(`/api/users/${student.id}/assignments/${assignment.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments).to.have.length(0);
+            return chai
+              .request(app)
+              .get(`/api/users/${student.id}/trash`)
+              .set('authorization', `Bearer ${teacherToken}`);
+          })
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.have.length(1);
+            expect(res.body[0].id).to.equal(assignment.id);
+            expect(res.body[0].assignmentName).to.equal(assignment.assignmentName);
+            expect(res.body[0]).to.include.keys('deletedAt', 'expiresAt');
+          });
+      });
+    });
+
+    describe('/api/users/:userID/trash', function () {
+      beforeEach(function () {
+        return chai
+          .request(app)
+          .delete(`/api/users/${student.id}/assignments/${assignment.id}`)
+          .set('authorization', `Bearer ${teacherToken}`);
+      });
+
+      it('Should restore a trashed assignment', function () {
+        return chai
+          .request(app)
+          .post(`/api/users/${student.id}/trash/${assignment.id}/restore`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body.Assignments).to.have.length(1);
+            expect(res.body.Assignments[0]).to.include(assignment);
+            return StudentAssignment.findOne({ uuid: assignment.id });
+          })
+          .then(record => {
+            expect(record.deletedAt).to.be.null;
+          });
+      });
+      it('Should purge a trashed assignment', function () {
+        return chai
+          .request(app)
+          .delete(`/api/users/${student.id}/trash/${assignment.id}`)
+          .set('authorization', `Bearer ${teacherToken}`)
+          .then(res => {
+            expect(res).to.have.status(204);
+            return StudentAssignment.count({ student: student._id });
+          })
+          .then(count => {
+            expect(count).to.equal(0);
+          });
+      });
+      it('Should drop entries older than the retention period', function () {
+        const longAgo = new Date('2000-01-01');
+        return StudentAssignment.updateOne(
+          { uuid: assignment.id },
+          { $set: { deletedAt: longAgo } }
+        )
+          .then(() =>
+            chai
+              .request(app)
+              .get(`/api/users/${student.id}/trash`)
+              .set('authorization', `Bearer ${teacherToken}`)
+          )
+          .then(res => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.have.length(0);
+          });
+      });
+    });
   });
 });
@@ -0,0 +1,121 @@
+'use strict';
+// Converts the assignments users stored in their own `Assignments` array,
+// before assignments got collections of their own, into Assignment and
+// StudentAssignment records. Each entry's old id becomes its record's uuid,
+// so links and bookmarks to it keep working. Run it once after upgrading:
+//
+//     node users/embedded.js [teacher username]
+//
+// The old entries don't say who set them, so they are credited to the given
+// teacher, or to the only teacher there is. Running it again is safe: it
+// skips entries already converted and only drops a user's old array once
+// every entry in it made it over.
+const mongoose = require('mongoose');
+
+const {User} = require('./models');
+const {Assignment, StudentAssignment} = require('../assignments/models');
+
+mongoose.Promise = global.Promise;
+
+// Why an old entry can't be converted, or null if it can
+function entryProblem(entry) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id) {
+    return 'has no id';
+  }
+  if (typeof entry.assignmentName !== 'string' || !entry.assignmentName.trim()) {
+    return 'has no name';
+  }
+  if (!entry.assignmentDate || isNaN(new Date(entry.assignmentDate).getTime())) {
+    return 'has no valid date';
+  }
+  return null;
+}
+
+function convertEntry(studentID, entry, teacherID) {
+  return StudentAssignment.findOne({uuid: entry.id}).then(existing => {
+    if (existing) {
+      return existing;
+    }
+    return Assignment.createLogged({
+      assignmentName: entry.assignmentName,
+      assignmentDate: entry.assignmentDate,
+      createdBy: teacherID
+    }).then(assignment => StudentAssignment.create({
+      uuid: entry.id,
+      student: studentID,
+      assignment: assignment._id,
+      statusHistory: [{status: 'assigned', at: new Date(), by: teacherID}]
+    }));
+  });
+}
+
+// Converts one user's old entries in order. Resolves to the problems with
+// the ones left behind, like [{id, problem}].
+function convertUser(doc, teacherID) {
+  const entries = doc.Assignments || [];
+  const problems = [];
+  return entries.reduce((done, entry) => done.then(() => {
+    const problem = entryProblem(entry);
+    if (problem) {
+      problems.push({id: entry && entry.id, problem});
+      return null;
+    }
+    return convertEntry(doc._id, entry, teacherID);
+  }), Promise.resolve())
+    .then(() => problems.length
+      ? null
+      : User.collection.updateOne({_id: doc._id}, {$unset: {Assignments: ''}}))
+    .then(() => problems);
+}
+
+// The teacher old entries are credited to: the one named, or the only one
+function findTeacher(username) {
+  const query = username ? {username, isAdmin: true} : {isAdmin: true};
+  return User.find(query).limit(2).then(teachers => {
+    if (username && !teachers.length) {
+      throw new Error(`No teacher with the username ${username}`);
+    }
+    if (teachers.length !== 1) {
+      throw new Error('Name the teacher to credit the old assignments to');
+    }
+    return teachers[0];
+  });
+}
+
+// Converts every user's old entries. Resolves to a summary like
+// {users, converted, problems: [{user, id, problem}]}.
+function convertEmbeddedAssignments(teacherID) {
+  const summary = {users: 0, converted: 0, problems: []};
+  // the schema no longer knows the field, so read the raw documents
+  return User.collection
+    .find({'Assignments.0': {$exists: true}}, {projection: {username: 1, Assignments: 1}})
+    .toArray()
+    .then(docs => docs.reduce((done, doc) => done.then(() =>
+      convertUser(doc, teacherID).then(problems => {
+        summary.users += 1;
+        summary.converted += doc.Assignments.length - problems.length;
+        problems.forEach(({id, problem}) => summary.problems.push({user: doc.username, id, problem}));
+      })
+    ), Promise.resolve()))
+    .then(() => summary);
+}
+
+if (require.main === module) {
+  const {DATABASE_URL} = require('../config');
+  Promise.resolve()
+    .then(() => mongoose.connect(DATABASE_URL, {useNewUrlParser: true}))
+    .then(() => findTeacher(process.argv[2]))
+    .then(teacher => convertEmbeddedAssignments(teacher._id))
+    .then(({users, converted, problems}) => {
+      console.log(`Converted ${converted} assignments of ${users} users`);
+      problems.forEach(({user, id, problem}) =>
+        console.log(`Left ${user}'s assignment ${id} in place: it ${problem}`));
+    })
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .then(() => mongoose.disconnect());
+}
+
+module.exports = {convertEmbeddedAssignments};
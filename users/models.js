@@ -1,6 +1,11 @@
 'use strict';
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
+// registers the models the Assignments virtual populates from
+require('../assignments/models');
+require('../assignments/series');
+const {DIFFICULTY} = require('../repertoire/models');
+const {GradeSchema} = require('../grades/models');
 
 mongoose.Promise = global.Promise;
 
@@ -16,20 +21,82 @@ const UserSchema = mongoose.Schema({
   },
   firstName: {type: String, default: ''},
   lastName: {type: String, default: ''},
+  // where password reset links go; siblings may share a parent's address
+  email: {type: String, default: '', trim: true, lowercase: true, index: true},
   isAdmin: {type: Boolean, default: false},
-  Assignments: {type: Array, default: []},
-  Grades: {type: Array, default: ''}
+  // guardians get a read-only view of the students they are linked to
+  isGuardian: {type: Boolean, default: false},
+  // a student's profile, see users/profile.js
+  instrument: {type: String, default: '', trim: true, lowercase: true},
+  chair: {type: String, default: '', trim: true},
+  part: {type: String, default: '', trim: true},
+  level: {type: Number, min: DIFFICULTY.min, max: DIFFICULTY.max, default: null},
+  guardianOf: [{type: mongoose.Schema.Types.ObjectId, ref: 'User'}],
+  Grades: {type: [GradeSchema], default: []},
+  // sha256 of the secret in the user's calendar feed URL, null when revoked
+  calendarTokenHash: {type: String, default: null, index: true}
 });
 
-UserSchema.methods.serialize = function() {
+UserSchema.index({instrument: 1, level: 1});
+
+// What the student plays and how well
+function profileOf(user) {
   return {
+    instrument: user.instrument || '',
+    chair: user.chair || '',
+    part: user.part || '',
+    level: user.level || null
+  };
+}
+
+// A student's assignments live in the StudentAssignment collection
+UserSchema.virtual('Assignments', {
+  ref: 'StudentAssignment',
+  localField: '_id',
+  foreignField: 'student'
+});
+
+// Loads the assignments serialize() reports, leaving out trashed ones
+UserSchema.query.withAssignments = function() {
+  return this.populate({
+    path: 'Assignments',
+    match: {deletedAt: null},
+    populate: {
+      path: 'assignment',
+      populate: [
+        {path: 'createdBy', select: 'username firstName lastName'},
+        {path: 'piece', select: 'title composer arranger'},
+        {path: 'series'},
+        {path: 'attachments'}
+      ]
+    }
+  });
+};
+
+UserSchema.methods.serialize = function() {
+  return Object.assign({
+    id: this._id,
+    username: this.username || '',
+    firstName: this.firstName || '',
+    lastName: this.lastName || '',
+    email: this.email || '',
+    isAdmin: this.isAdmin,
+    isGuardian: this.isGuardian
+  }, profileOf(this), {
+    Assignments: (this.Assignments || []).map(a => a.serialize())
+  });
+};
+
+// serialize() without the assignments, for lists and pickers
+UserSchema.methods.summary = function() {
+  return Object.assign({
     id: this._id,
     username: this.username || '',
     firstName: this.firstName || '',
     lastName: this.lastName || '',
     isAdmin: this.isAdmin,
-    Assignments: this.Assignments || []
-    };
+    isGuardian: this.isGuardian
+  }, profileOf(this));
 };
 
 UserSchema.methods.validatePassword = function(password) {
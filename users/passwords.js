@@ -0,0 +1,29 @@
+'use strict';
+const { string } = require('../validation');
+
+// Length rules shared by registration, password change and reset
+const PASSWORD_LENGTH = {
+  min: 10,
+  // bcrypt truncates after 72 characters, so let's not give the illusion
+  // of security by storing extra (unused) info
+  max: 72
+};
+
+// Loose on purpose; the reset mail is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validation rules for a new password and an email address. An empty
+// address is allowed unless the rule is made with required and notBlank.
+const newPassword = string({ required: true, trim: 'reject', min: PASSWORD_LENGTH.min, max: PASSWORD_LENGTH.max });
+
+function emailAddress(options = {}) {
+  return string(Object.assign({
+    trim: true,
+    lowercase: true,
+    max: 254,
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'Must be an email address'
+  }, options));
+}
+
+module.exports = { PASSWORD_LENGTH, EMAIL_PATTERN, newPassword, emailAddress };
@@ -0,0 +1,84 @@
+'use strict';
+const { DIFFICULTY } = require('../repertoire/models');
+const { string, number } = require('../validation');
+const { escapeRegExp } = require('../lib/paging');
+
+const INSTRUMENT = { trim: true, lowercase: true, max: 50 };
+const TEXT = { trim: true, max: 50 };
+const LEVEL = { integer: true, min: DIFFICULTY.min, max: DIFFICULTY.max };
+
+// What a student plays and how well. Levels use the repertoire's difficulty
+// grades, so a level 3 student plays grade 3 pieces. Null clears a field.
+const profileFields = {
+  instrument: string(Object.assign({ nullable: true }, INSTRUMENT)),
+  // where they sit in their section, e.g. "1st chair"
+  chair: string(Object.assign({ nullable: true }, TEXT)),
+  // the ensemble part they play, e.g. "Trumpet 2"
+  part: string(Object.assign({ nullable: true }, TEXT)),
+  level: number(Object.assign({ nullable: true }, LEVEL))
+};
+
+// Students may change their instrument; the rest is up to their teachers
+const TEACHER_ONLY = ['chair', 'part', 'level'];
+
+// Narrowing students down by profile, as the user list and targeted
+// assignments take it
+const profileFilter = {
+  instrument: string(INSTRUMENT),
+  chair: string(TEXT),
+  part: string(TEXT),
+  minLevel: number(LEVEL),
+  maxLevel: number(LEVEL)
+};
+
+const FILTER_FIELDS = Object.keys(profileFilter);
+
+// The problem with a filter's level range, if any, for validationError()
+function levelRangeProblem(filter, prefix = '') {
+  if (filter.minLevel && filter.maxLevel && filter.maxLevel < filter.minLevel) {
+    return { message: 'Must not be less than minLevel', location: `${prefix}maxLevel` };
+  }
+  return null;
+}
+
+// The mongo conditions for a filter that passed profileFilter. Text matches
+// whole values, ignoring case.
+function profileConditions(filter) {
+  const conditions = [];
+  ['instrument', 'chair', 'part'].forEach(field => {
+    if (filter[field]) {
+      conditions.push({ [field]: new RegExp(`^${escapeRegExp(filter[field])}$`, 'i') });
+    }
+  });
+  if (filter.minLevel || filter.maxLevel) {
+    const level = {};
+    if (filter.minLevel) {
+      level.$gte = filter.minLevel;
+    }
+    if (filter.maxLevel) {
+      level.$lte = filter.maxLevel;
+    }
+    conditions.push({ level });
+  }
+  return conditions;
+}
+
+// The filter a query or body asks for, leaving out what it doesn't set
+function pickProfileFilter(data) {
+  const filter = {};
+  FILTER_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== '') {
+      filter[field] = data[field];
+    }
+  });
+  return filter;
+}
+
+module.exports = {
+  profileFields,
+  profileFilter,
+  TEACHER_ONLY,
+  levelRangeProblem,
+  profileConditions,
+  pickProfileFilter
+};
@@ -1,113 +1,60 @@
 'use strict';
 const express = require('express');
-const passport = require('passport');
-const { router: authRouter, localStrategy, jwtStrategy } = require('../auth');
+const querystring = require('querystring');
+const { policy, clearLoginFailures } = require('../auth');
 const bodyParser = require('body-parser');
 
 const { User } = require('./models');
+const { newPassword, emailAddress } = require('./passwords');
+const { validate, validationError, string, number, object } = require('../validation');
+const { userQuery, parseUserQuery, userFilter, userSort, userCursor } = require('./search');
+const { profileFields, TEACHER_ONLY } = require('./profile');
+const {
+  StudentAssignment,
+  AuditEntry,
+  STATUSES,
+  assignmentFields,
+  withPiece,
+  withRecurrence,
+  pieceFields,
+  createOccurrences,
+  reviseFollowing,
+  etagOf,
+  isCurrent
+} = require('../assignments');
+const { GradeCategory } = require('../grades/models');
+const { Invite } = require('../invites/models');
+const { Class } = require('../classes/models');
 
 const router = express.Router();
 
 const jsonParser = bodyParser.json();
 
-const jwtAuth = passport.authenticate('jwt', { session: false });
-
-const uuidv4 = require('uuid/v4');
-
-// Post to register a new user
-
-//1. ensure username and password are defined
-router.post('/', jsonParser, (req, res) => {
-  const requiredFields = ['username', 'password', 'isAdmin'];
-  const missingField = requiredFields.find(field => !(field in req.body));
-
-  if (missingField) {
-    return res.status(422).json({
-      code: 422,
-      reason: 'ValidationError',
-      message: 'Missing field',
-      location: missingField
-    });
-  }
-
-  // check that all fields are strings
-  const stringFields = ['username', 'password', 'firstName', 'lastName'];
-  const nonStringField = stringFields.find(
-    field => field in req.body && typeof req.body[field] !== 'string'
-  );
-
-  if (nonStringField) {
-    return res.status(422).json({
-      code: 422,
-      reason: 'ValidationError',
-      message: 'Incorrect field type: expected string',
-      location: nonStringField
-    });
-  }
-
-  // If the username and password aren't trimmed we give an error.  Users might
-  // expect that these will work without trimming (i.e. they want the password
-  // "foobar ", including the space at the end).  We need to reject such values
-  // explicitly so the users know what's happening, rather than silently
-  // trimming them and expecting the user to understand.
-  // We'll silently trim the other fields, because they aren't credentials used
-  // to log in, so it's less of a problem.
-  const explicityTrimmedFields = ['username', 'password'];
-  const nonTrimmedField = explicityTrimmedFields.find(
-    field => req.body[field].trim() !== req.body[field]
-  );
-
-  if (nonTrimmedField) {
-    return res.status(422).json({
-      code: 422,
-      reason: 'ValidationError',
-      message: 'Cannot start or end with whitespace',
-      location: nonTrimmedField
-    });
-  }
+const { TRASH_RETENTION_DAYS } = require('../config');
+
+// Post to register a new user.
+// If the username and password aren't trimmed we give an error.  Users might
+// expect that these will work without trimming (i.e. they want the password
+// "foobar ", including the space at the end).  We need to reject such values
+// explicitly so the users know what's happening, rather than silently
+// trimming them and expecting the user to understand.
+// We'll silently trim the other fields, because they aren't credentials used
+// to log in, so it's less of a problem.
+const registration = validate({
+  username: string({ required: true, trim: 'reject', min: 1, max: 100 }),
+  password: newPassword,
+  firstName: string({ trim: true, max: 100, default: '' }),
+  lastName: string({ trim: true, max: 100, default: '' }),
+  email: emailAddress({ default: '' }),
+  inviteCode: string({ trim: true, max: 100, default: '' })
+});
 
-  //set the correct length. bcrypt will trunscate passwords after 72 characters
-  const sizedFields = {
-    username: {
-      min: 1
-    },
-    password: {
-      min: 10,
-      // bcrypt truncates after 72 characters, so let's not give the illusion
-      // of security by storing extra (unused) info
-      max: 72
-    }
-  };
-  const tooSmallField = Object.keys(sizedFields).find(
-    field =>
-      'min' in sizedFields[field] &&
-      req.body[field].trim().length < sizedFields[field].min
-  );
-  const tooLargeField = Object.keys(sizedFields).find(
-    field =>
-      'max' in sizedFields[field] &&
-      req.body[field].trim().length > sizedFields[field].max
-  );
-
-  if (tooSmallField || tooLargeField) {
-    return res.status(422).json({
-      code: 422,
-      reason: 'ValidationError',
-      message: tooSmallField
-        ? `must be at least ${sizedFields[tooSmallField]
-          .min} characters long`
-        : `must be at most ${sizedFields[tooLargeField]
-          .max} characters long`,
-      location: tooSmallField || tooLargeField
-    });
-  }
+router.post('/', policy.anyone, jsonParser, registration, (req, res) => {
+  const { username, password, firstName, lastName, email, inviteCode } = req.body;
 
-  let { username, password, firstName = '', lastName = '', isAdmin = false } = req.body;
-  // Username and password come in pre-trimmed, otherwise we throw an error
-  // before this
-  firstName = firstName.trim();
-  lastName = lastName.trim();
-  isAdmin = isAdmin.trim();
+  // Without a code you sign up as a student; the code decides whether you
+  // become a teacher or join a class
+  let invite = null;
 
   return User.find({ username })
     .count()
@@ -121,6 +68,20 @@ router.post('/', jsonParser, (req, res) => {
           location: 'username'
         });
       }
+      if (!inviteCode) {
+        return null;
+      }
+      return Invite.redeem(inviteCode).then(redeemed =>
+        redeemed || Promise.reject({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'is invalid or expired',
+          location: 'inviteCode'
+        })
+      );
+    })
+    .then(redeemed => {
+      invite = redeemed;
       // If there is no existing user, hash the password
       return User.hashPassword(password);
     })
@@ -130,9 +91,20 @@ router.post('/', jsonParser, (req, res) => {
         password: hash,
         firstName,
         lastName,
-        isAdmin,
+        email,
+        isAdmin: !!invite && invite.role === 'teacher',
+        isGuardian: !!invite && invite.role === 'guardian',
+        guardianOf: invite && invite.student ? [invite.student] : [],
       });
     })
+    .then(user => {
+      if (!invite || !invite.class) {
+        return user;
+      }
+      return Class.findById(invite.class)
+        .then(cls => cls && cls.enroll(user._id))
+        .then(() => user);
+    })
     .then(user => {
       return res.status(201).json(user.serialize());
     })
@@ -147,30 +119,87 @@ router.post('/', jsonParser, (req, res) => {
 
 });
 
-router.post('/createassignment/:userID', jsonParser, jwtAuth, (req, res) => {
+// One assignment for a student, or with `recurrence` one per occurrence
+router.post('/createassignment/:userID', policy.teacherOf('userID'), jsonParser, validate(assignmentFields()), withPiece, withRecurrence, (req, res) => {
   const userID = req.params.userID;
   const { user } = req
   console.log(`User ${user.username} is POSTing as ${user.isAdmin ? 'admin' : 'student'}`)
 
-  if (!user.isAdmin) {
-    return res.status(401).json({ message: 'You must be a teacher' })
-  }
   User
     .findById(userID)
-    .then(user => {
-      const assignment = {};
-      assignment.id = uuidv4();
-      assignment.assignmentName = req.body.assignmentName;
-      assignment.assignmentDate = req.body.assignmentDate;
-      console.log(user);
-      user.Assignments.push(assignment);
-      console.log(user);
-      User
-        .findByIdAndUpdate(userID, user, { new: true })
-        .then(updatedUser => {
-          res.status(200).json(updatedUser.serialize())
+    .then(student => {
+      if (!student) {
+        return Promise.reject({ code: 404, message: 'No such user' });
+      }
+      if (!req.body.category) {
+        return null;
+      }
+      return GradeCategory.findOwned(req.body.category, user.id).then(category =>
+        category || Promise.reject({
+          code: 422,
+          reason: 'ValidationError',
+          message: 'No such category',
+          location: 'category'
         })
+      );
+    })
+    .then(category => {
+      return createOccurrences(Object.assign({
+        assignmentName: req.body.assignmentName,
+        assignmentDate: req.body.assignmentDate,
+        createdBy: user.id,
+        category: category && category._id
+      }, pieceFields(req)), req.body.recurrence, req.occurrences);
+    })
+    .then(assignments => Promise.all(assignments.map(a => a.assignTo([userID]))))
+    .then(() => User.findById(userID).withAssignments())
+    .then(updatedUser => {
+      res.status(200).json(updatedUser.serialize())
+    })
+    .catch(err => {
+      if (err.code === 404) {
+        return res.status(404).json({ message: err.message });
+      }
+      if (err.reason === 'ValidationError') {
+        return res.status(err.code).json(err);
+      }
+      console.error(err);
+      res.status(500).json({ error: 'something went horribly awry' });
+    });
 
+});
+
+// teachers see the students in their classes, students only themselves.
+// Narrow it down with ?q= (part of a name or username), role, class,
+// overdue=true and the profile fields instrument, chair, part, minLevel and
+// maxLevel, order it with sort=lastName or sort=-lastName, and leave out
+// assignments with fields=summary. Pages hold `limit` users; the Link header
+// points at the next one.
+router.get('/', policy.loggedIn, validate(userQuery, 'query'), (req, res) => {
+  const search = parseUserQuery(req.query)
+
+  const roster = req.user.isAdmin
+    ? Class.distinct('students', { teacher: req.user.id })
+    : Promise.resolve([req.user.id])
+  const classStudents = search.classID
+    ? Class.distinct('students', { _id: search.classID })
+    : Promise.resolve(null)
+
+  return Promise.all([roster, classStudents])
+    .then(([studentIDs, classStudentIDs]) => userFilter(studentIDs, search, classStudentIDs))
+    .then(filter => {
+      // one extra tells us whether there is a next page
+      const query = User.find(filter).sort(userSort(search)).limit(search.limit + 1)
+      return search.summary ? query : query.withAssignments()
+    })
+    .then(users => {
+      const page = users.slice(0, search.limit)
+      if (users.length > search.limit) {
+        const cursor = userCursor(page[page.length - 1], search.sortField)
+        const next = querystring.stringify(Object.assign({}, req.query, { cursor }))
+        res.links({ next: `${req.baseUrl}?${next}` })
+      }
+      res.json(page.map(user => search.summary ? user.summary() : user.serialize()))
     })
     .catch(err => {
       console.error(err);
@@ -179,11 +208,18 @@ router.post('/createassignment/:userID', jsonParser, jwtAuth, (req, res) => {
 
 });
 
-router.get('/', (req, res) => {
+// the logged in user's own record, for the student dashboard
+router.get('/me', policy.loggedIn, (req, res) => {
 
   return User
-    .find()
-    .then(users => res.json(users.map(user => user.serialize())))
+    .findById(req.user.id)
+    .withAssignments()
+    .then(user => {
+      if (!user) {
+        return res.status(404).json({ message: 'No such user' });
+      }
+      res.json(user.serialize());
+    })
     .catch(err => {
       console.error(err);
       res.status(500).json({ error: 'something went horribly awry' });
@@ -191,11 +227,17 @@ router.get('/', (req, res) => {
 
 });
 
-router.get('/:id', (req, res) => {
+router.get('/:id', policy.selfOrTeacherOf('id'), (req, res) => {
 
   return User
     .findById(req.params.id)
-    .then(user => res.json(user.serialize()))
+    .withAssignments()
+    .then(user => {
+      if (!user) {
+        return res.status(404).json({ message: 'No such user' });
+      }
+      res.json(user.serialize());
+    })
     .catch(err => {
       console.error(err);
       res.status(500).json({ error: 'something went horribly awry' });
@@ -203,6 +245,55 @@ router.get('/:id', (req, res) => {
 
 });
 
+// Changes a student's instrument, chair, part or level, leaving out fields
+// that aren't sent and clearing ones sent as null. Students may only change
+// their own instrument.
+router.put('/:userID/profile', policy.selfOrTeacherOf('userID'), jsonParser, validate(profileFields), async (req, res) => {
+  const changes = {}
+  Object.keys(profileFields)
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => {
+      changes[field] = req.body[field]
+    })
+  if (!req.user.isAdmin && TEACHER_ONLY.some(field => changes[field] !== undefined)) {
+    return res.status(403).json({ message: 'Only a teacher can set chair, part and level' })
+  }
+
+  // null clears a field back to its default
+  const update = {}
+  Object.keys(changes).forEach(field => {
+    const operator = changes[field] === null ? '$unset' : '$set'
+    update[operator] = update[operator] || {}
+    update[operator][field] = changes[field] === null ? '' : changes[field]
+  })
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.userID, update, { new: true })
+    if (!user) {
+      return res.status(404).json({ message: 'No such user' })
+    }
+    res.json(user.summary())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// A teacher lets a student who locked themselves out try logging in again
+router.post('/:id/unlock', policy.teacherOf('id'), (req, res) => {
+  return User.findById(req.params.id)
+    .then(user => {
+      if (!user) {
+        return res.status(404).json({ message: 'No such user' });
+      }
+      return clearLoginFailures(user.username).then(() => res.status(204).end());
+    })
+    .catch(err => {
+      console.error(err);
+      res.status(500).json({ error: 'something went horribly awry' });
+    });
+});
+
 //update will update ONE assignment at a time
 /*router.put('/', jsonParser, (req, res) => {
   const requiredFields = ['assignmentName', 'assignmentDate'];
@@ -228,57 +319,228 @@ router.get('/:id', (req, res) => {
 });
 */
 
-function getAssignmentByID(userObj, id) {
-  const assgns = userObj.Assignments
-  const filtered = assgns.filter(a => a.id === id)
-  if (!filtered.length) {
-    return null
+// Finds one of a student's (non-trashed) assignment records by its public id
+function findStudentAssignment(userID, id) {
+  return StudentAssignment
+    .findOne({ uuid: id, student: userID, deletedAt: null })
+    .populate('assignment')
+}
+
+const assignmentEdit = validate({
+  assignment: object(
+    Object.assign(
+      { id: string({ required: true }), revision: number({ integer: true, min: 1 }) },
+      assignmentFields({ required: false })
+    ),
+    { required: true }
+  ),
+  // for an occurrence of a repeating assignment, 'future' edits the ones
+  // after it as well
+  scope: string({ oneOf: ['this', 'future'], default: 'this' })
+});
+
+// Someone else saved the assignment first: the editor gets what it looks
+// like now, to merge with their own changes and save again
+async function sendConflict(res, userID, recordID) {
+  const current = await findStudentAssignment(userID, recordID)
+  if (!current) {
+    return res.status(404).json({ message: 'No such assignment' })
   }
-  return filtered[0]
+  res.set('ETag', etagOf(current.assignment))
+  res.status(409).json({
+    message: 'Someone else changed this assignment while you were editing it',
+    current: current.serialize()
+  })
 }
 
-router.put('/:userID', jsonParser, async (req, res) => {
+// Name and date belong to the shared assignment, so an edit reaches every
+// student it was handed out to. Each edit is a new revision in its history,
+// and only applies on top of the revision the editor saw (see
+// assignments/versions.js). Edits of an occurrence can carry over to the
+// rest of its series: the name as it is, the due date moved by as many days.
+router.put('/:userID', policy.teacherOf('userID'), jsonParser, assignmentEdit, async (req, res) => {
 
   const userID = req.params.userID
-  const user = await User.findById(userID)
-  if (!user) {
-    return res.status(500).json({ message: 'No such user' })
+  try {
+    const newAssgn = req.body.assignment
+    const record = await findStudentAssignment(userID, newAssgn.id)
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    if (String(record.assignment.createdBy) !== req.user.id) {
+      return res.status(403).json({ message: 'Only the assigning teacher can change this assignment' })
+    }
+    if (req.body.scope === 'future' && !record.assignment.series) {
+      return res.status(422).json(validationError([{ message: 'Only for assignments that repeat', location: 'scope' }]))
+    }
+    if (!isCurrent(req, record.assignment, newAssgn.revision)) {
+      return sendConflict(res, userID, newAssgn.id)
+    }
+
+    const changes = { assignmentName: newAssgn.assignmentName, assignmentDate: newAssgn.assignmentDate }
+    const previousDate = record.assignment.assignmentDate
+    const assignment = await record.assignment.revise(changes, req.user.id)
+    if (!assignment) {
+      return sendConflict(res, userID, newAssgn.id)
+    }
+    if (req.body.scope === 'future') {
+      await reviseFollowing(assignment, previousDate, changes, req.user.id)
+    }
+
+    const updatedUser = await User.findById(userID).withAssignments()
+    res.set('ETag', etagOf(assignment))
+    res.status(200).json(updatedUser.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function trashCutoff() {
+  return new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS)
+}
+
+// Drops a student's trashed assignments older than the retention period
+function purgeExpiredTrash(userID) {
+  return StudentAssignment.deleteMany({
+    student: userID,
+    deletedAt: { $lt: trashCutoff() }
+  })
+}
+
+function serializeTrashEntry(record) {
+  return Object.assign(record.serialize(), {
+    deletedAt: record.deletedAt,
+    expiresAt: new Date(record.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+  })
+}
+
+//delete will move ONE assignment at a time to the student's trash
+router.delete('/:userID/assignments/:assignmentID', policy.teacherOf('userID'), async (req, res) => {
+  const { userID, assignmentID } = req.params
+  try {
+    const deletedAt = new Date()
+    const record = await StudentAssignment.findOneAndUpdate(
+      { uuid: assignmentID, student: userID, deletedAt: null },
+      { $set: { deletedAt } }
+    )
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
+    await AuditEntry.logStudentChange(record, 'delete', req.user.id, { deletedAt: null }, { deletedAt })
+
+    const updatedUser = await User.findById(userID).withAssignments()
+    res.status(200).json(updatedUser.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
   }
-  console.log('A is:', req.body.assignment, user.Assignments)
+});
 
-  const newAssgn = req.body.assignment
-  const prevAssgnIndex = user.Assignments.findIndex(a => a.id === newAssgn.id)
-  console.log('A found at index:', prevAssgnIndex)
+// moves a student's assignment along its status workflow
+const statusChange = validate({ status: string({ required: true, oneOf: STATUSES }) })
 
-  user.Assignments[prevAssgnIndex] = newAssgn
+router.post('/:userID/assignments/:assignmentID/status', policy.selfOrTeacherOf('userID'), jsonParser, statusChange, async (req, res) => {
+  const { userID, assignmentID } = req.params
+  const { status } = req.body
 
-  // a DELETE would do 
-  // user.Assignments.splice(prevAssgnIndex, 1)
+  try {
+    const record = await findStudentAssignment(userID, assignmentID)
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment' })
+    }
 
-  const updatedUser = await User.findByIdAndUpdate(
-    { '_id': userID },
-    { $set: { Assignments: user.Assignments } },
-    { new: true } //tell mongoose to return the updated document 
-  )
-  res.status(200).json(updatedUser.serialize())
+    const role = record.transitionRole(status)
+    if (!role) {
+      return res.status(422).json({
+        code: 422,
+        reason: 'ValidationError',
+        message: `Cannot go from ${record.status} to ${status}`,
+        location: 'status'
+      });
+    }
+    const allowed = role === 'student'
+      ? String(record.student) === req.user.id
+      : String(record.assignment.createdBy) === req.user.id
+    if (!allowed) {
+      return res.status(403).json({
+        message: role === 'student'
+          ? 'Only the student can make this change'
+          : 'Only the assigning teacher can make this change'
+      })
+    }
+
+    const updated = await record.transitionTo(status, req.user.id)
+    if (!updated) {
+      return res.status(409).json({ message: 'The assignment was changed by someone else, please reload' })
+    }
+    const updatedUser = await User.findById(userID).withAssignments()
+    res.status(200).json(updatedUser.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
 });
 
-//delete will delete ONE assignment only at a time HTTP DELETE
-router.delete("/:id", jsonParser, (req, res) => {
-  const deleted = {};
-  const deletedFields = ['Assignments'];
-  deletedFields.forEach(field => {
-    if (field in req.body) {
-      deleted[field] = req.body[field];
+router.get('/:userID/trash', policy.teacherOf('userID'), async (req, res) => {
+  const { userID } = req.params
+  try {
+    const user = await User.findById(userID)
+    if (!user) {
+      return res.status(404).json({ message: 'No such user' })
     }
-  });
-  /*
-    User
-      .findByIdAndUpdate(req.params.id, { $set: updated }, { new: true })
-      .then(updatedPost => res.status(204).end())
-      .catch(err => res.status(500).json({ message: 'Something went wrong' }));*/
+    await purgeExpiredTrash(userID)
+    const records = await StudentAssignment
+      .find({ student: userID, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .populate('assignment')
+    res.json(records.map(serializeTrashEntry))
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
 });
 
+// puts a trashed assignment back on the student's list
+router.post('/:userID/trash/:assignmentID/restore', policy.teacherOf('userID'), async (req, res) => {
+  const { userID, assignmentID } = req.params
+  try {
+    const record = await StudentAssignment.findOneAndUpdate(
+      { uuid: assignmentID, student: userID, deletedAt: { $gte: trashCutoff() } },
+      { $set: { deletedAt: null } }
+    )
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment in trash' })
+    }
+    await AuditEntry.logStudentChange(record, 'restore', req.user.id, { deletedAt: record.deletedAt }, { deletedAt: null })
+
+    const updatedUser = await User.findById(userID).withAssignments()
+    res.status(200).json(updatedUser.serialize())
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
+
+// permanently removes a trashed assignment
+router.delete('/:userID/trash/:assignmentID', policy.teacherOf('userID'), async (req, res) => {
+  const { userID, assignmentID } = req.params
+  try {
+    const record = await StudentAssignment.findOneAndRemove(
+      { uuid: assignmentID, student: userID, deletedAt: { $ne: null } }
+    )
+    if (!record) {
+      return res.status(404).json({ message: 'No such assignment in trash' })
+    }
+    await AuditEntry.logStudentChange(record, 'purge', req.user.id, { deletedAt: record.deletedAt }, null)
+    res.status(204).end()
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'something went horribly awry' });
+  }
+});
 
 // Never expose all your users like below in a prod application
 // we're just doing this so we have a quick way to see
@@ -0,0 +1,119 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const { Assignment, StudentAssignment } = require('../assignments/models');
+const { string, boolean, id } = require('../validation');
+const { PAGE_SIZE, escapeRegExp, encodeCursor, decodeCursor, pageFields } = require('../lib/paging');
+const { profileFilter, profileConditions, pickProfileFilter } = require('./profile');
+
+const ROLES = {
+  student: { isAdmin: { $ne: true }, isGuardian: { $ne: true } },
+  teacher: { isAdmin: true },
+  guardian: { isGuardian: true }
+};
+
+const SORT_FIELDS = ['username', 'firstName', 'lastName'];
+
+// The cursor pointing past the last user on a page sorted by `field`
+function userCursor(user, field) {
+  return encodeCursor(user[field] || '', user._id);
+}
+
+// The query string GET /api/users takes, for validate(userQuery, 'query').
+// Students can also be narrowed down by profile (see users/profile.js).
+const userQuery = Object.assign({
+  role: string({ oneOf: Object.keys(ROLES) }),
+  q: string({ trim: true, max: 100 }),
+  class: id({ message: 'No such class' }),
+  overdue: boolean(),
+  sort: string({
+    pattern: new RegExp(`^-?(${SORT_FIELDS.join('|')})$`),
+    patternMessage: `Must be one of ${SORT_FIELDS.join(', ')}, optionally starting with -`
+  }),
+  fields: string({ oneOf: ['summary'], message: 'Must be summary' })
+}, pageFields(), profileFilter);
+
+// Turns a query string that passed userQuery into the search userFilter and
+// userSort take. Defaults are filled in here rather than in the schema so
+// they stay out of the next page's link.
+function parseUserQuery(query) {
+  return {
+    role: query.role || null,
+    q: query.q || '',
+    classID: query.class || null,
+    overdue: query.overdue === true,
+    sortField: query.sort ? query.sort.replace(/^-/, '') : 'username',
+    sortOrder: query.sort && query.sort.startsWith('-') ? -1 : 1,
+    limit: query.limit || PAGE_SIZE.default,
+    after: query.cursor ? decodeCursor(query.cursor) : null,
+    summary: query.fields === 'summary',
+    profile: pickProfileFilter(query)
+  };
+}
+
+// Of the given students, the ones with work past its due date that they
+// haven't turned in
+function withOverdueWork(studentIDs) {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  return StudentAssignment.aggregate([
+    {
+      $match: {
+        student: { $in: studentIDs.map(id => mongoose.Types.ObjectId(String(id))) },
+        deletedAt: null,
+        status: { $in: ['assigned', 'in_progress'] }
+      }
+    },
+    {
+      $lookup: {
+        from: Assignment.collection.name,
+        localField: 'assignment',
+        foreignField: '_id',
+        as: 'assignment'
+      }
+    },
+    { $match: { 'assignment.assignmentDate': { $lt: today } } },
+    { $group: { _id: '$student' } }
+  ]).then(rows => rows.map(row => row._id));
+}
+
+// Builds the conditions for one page of users out of the ids the caller may
+// see and a parsed search. Resolves to a mongo filter.
+function userFilter(visibleIDs, search, classStudentIDs) {
+  const conditions = [{ _id: { $in: visibleIDs } }];
+  if (classStudentIDs) {
+    conditions.push({ _id: { $in: classStudentIDs } });
+  }
+  if (search.role) {
+    conditions.push(ROLES[search.role]);
+  }
+  if (search.q) {
+    const pattern = new RegExp(escapeRegExp(search.q), 'i');
+    conditions.push({ $or: [{ username: pattern }, { firstName: pattern }, { lastName: pattern }] });
+  }
+  profileConditions(search.profile).forEach(condition => conditions.push(condition));
+  if (search.after) {
+    const past = search.sortOrder === 1 ? '$gt' : '$lt';
+    const afterID = mongoose.Types.ObjectId(search.after.id);
+    conditions.push({
+      $or: [
+        { [search.sortField]: { [past]: search.after.value } },
+        { [search.sortField]: search.after.value, _id: { [past]: afterID } }
+      ]
+    });
+  }
+
+  const overdue = search.overdue ? withOverdueWork(visibleIDs) : Promise.resolve(null);
+  return overdue.then(overdueIDs => {
+    if (overdueIDs) {
+      conditions.push({ _id: { $in: overdueIDs } });
+    }
+    return { $and: conditions };
+  });
+}
+
+// The sort for a search, with the id breaking ties so cursors are exact
+function userSort(search) {
+  return { [search.sortField]: search.sortOrder, _id: search.sortOrder };
+}
+
+module.exports = { userQuery, parseUserQuery, userFilter, userSort, userCursor };
@@ -0,0 +1,236 @@
+'use strict';
+const mongoose = require('mongoose');
+
+// Request validation shared by every router. A schema maps field names to
+// rules made by the builders below, e.g.
+//
+//   validate({
+//     assignmentName: string({ required: true, trim: true, notBlank: true, max: 200 }),
+//     assignmentDate: date({ required: true })
+//   })
+//
+// validate() checks req.body (or req.query) against it. Problems come back
+// in our 422 ValidationError format; otherwise the cleaned values (trimmed,
+// defaults filled in, query strings turned into numbers) replace the raw ones
+// and the route runs.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Our 422 format. The first problem sits at the top level, where clients
+// have always looked for it, and `errors` lists every one.
+function validationError(errors) {
+  return Object.assign({ code: 422, reason: 'ValidationError' }, errors[0], { errors });
+}
+
+// Wraps a check of a present value with what every rule shares: required
+// fields, defaults, nullable fields (which keep null, e.g. to clear a value)
+// and a custom message. The check returns {value} when the value is fine,
+// {message} when it isn't, or {errors} for nested objects.
+function rule(options, check) {
+  return {
+    check(value, location, fromQuery) {
+      if (value === null && options.nullable) {
+        return { value: null };
+      }
+      if (value === undefined || value === null) {
+        if (options.required) {
+          return { errors: [{ message: 'Missing field', location }] };
+        }
+        return { value: options.default };
+      }
+      const result = check(value, fromQuery, location);
+      if (result.errors) {
+        return result;
+      }
+      if (result.message) {
+        const message = result.missing ? result.message : options.message || result.message;
+        return { errors: [{ message, location }] };
+      }
+      return result;
+    }
+  };
+}
+
+// A rule of a module's own, for values only it knows how to read, like page
+// cursors. check(value, fromQuery) returns {value} or {message}.
+function custom(check, options = {}) {
+  return rule(options, check);
+}
+
+// Options: required, default, trim (true trims, 'reject' refuses values
+// with whitespace around them, for credentials), lowercase, notBlank, min and
+// max length, oneOf, pattern with patternMessage, and message
+function string(options = {}) {
+  return rule(options, value => {
+    if (typeof value !== 'string') {
+      return { message: 'Incorrect field type: expected string' };
+    }
+    if (options.trim === 'reject' && value.trim() !== value) {
+      return { message: 'Cannot start or end with whitespace' };
+    }
+    let text = options.trim === true ? value.trim() : value;
+    if (options.lowercase) {
+      text = text.toLowerCase();
+    }
+    if (options.notBlank && !text.trim()) {
+      return { message: 'Missing field', missing: true };
+    }
+    if (options.min !== undefined && text.length < options.min) {
+      return { message: `must be at least ${options.min} characters long` };
+    }
+    if (options.max !== undefined && text.length > options.max) {
+      return { message: `must be at most ${options.max} characters long` };
+    }
+    if (options.oneOf && !options.oneOf.includes(text)) {
+      return { message: `Must be one of ${options.oneOf.join(', ')}` };
+    }
+    // an empty optional value has nothing to match
+    if (options.pattern && text && !options.pattern.test(text)) {
+      return { message: options.patternMessage || 'is not in the expected format' };
+    }
+    return { value: text };
+  });
+}
+
+function describeRange(options) {
+  if (options.min !== undefined && options.max !== undefined) {
+    return ` between ${options.min} and ${options.max}`;
+  }
+  if (options.min !== undefined) {
+    return ` of at least ${options.min}`;
+  }
+  return options.max !== undefined ? ` of at most ${options.max}` : '';
+}
+
+// Options: required, default, integer, min, max and message. Query strings
+// are numbers written out, so they are read as such.
+function number(options = {}) {
+  return rule(options, (value, fromQuery) => {
+    const n = fromQuery && typeof value === 'string' && value.trim() ? Number(value) : value;
+    const fits = typeof n === 'number' &&
+      isFinite(n) &&
+      (!options.integer || Number.isInteger(n)) &&
+      (options.min === undefined || n >= options.min) &&
+      (options.max === undefined || n <= options.max);
+    if (!fits) {
+      return { message: `Must be ${options.integer ? 'a whole number' : 'a number'}${describeRange(options)}` };
+    }
+    return { value: n };
+  });
+}
+
+function boolean(options = {}) {
+  return rule(options, (value, fromQuery) => {
+    if (fromQuery && (value === 'true' || value === 'false')) {
+      return { value: value === 'true' };
+    }
+    if (typeof value !== 'boolean') {
+      return { message: 'Must be true or false' };
+    }
+    return { value };
+  });
+}
+
+// A calendar day as YYYY-MM-DD, the format of the dashboard's date inputs.
+// The value stays a string; mongoose and new Date() read it as UTC midnight.
+function date(options = {}) {
+  return rule(options, value => {
+    const day = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(value) : null;
+    // 2018-02-31 parses, but as another day
+    if (!day || isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+      return { message: 'Must be a date like 2018-09-14' };
+    }
+    return { value };
+  });
+}
+
+// A database id, like the ones in our URLs. An empty one, from a <select>
+// left at its blank option, counts as left out.
+function id(options = {}) {
+  const idRule = rule(options, value => {
+    if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+      return { message: 'Must be an id' };
+    }
+    return { value };
+  });
+  return {
+    check(value, location, fromQuery) {
+      return idRule.check(value === '' ? undefined : value, location, fromQuery);
+    }
+  };
+}
+
+// Checks each field of data against its rule. Resolves to the cleaned
+// values and every problem found, in the order of the schema. Routes that
+// can't use validate(), like uploads that have to clean up a stored file,
+// call it directly.
+function checkFields(schema, data, fromQuery, prefix = '') {
+  const value = {};
+  let errors = [];
+  Object.keys(schema).forEach(field => {
+    const result = schema[field].check(data[field], prefix + field, fromQuery);
+    if (result.errors) {
+      errors = errors.concat(result.errors);
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  });
+  return { value, errors };
+}
+
+// A nested object with a schema of its own. Problems are reported at e.g.
+// `assignment.assignmentDate`.
+function object(schema, options = {}) {
+  return {
+    check(data, location, fromQuery) {
+      if (data === undefined || data === null) {
+        return options.required ? { errors: [{ message: 'Missing field', location }] } : { value: undefined };
+      }
+      if (typeof data !== 'object' || Array.isArray(data)) {
+        return { errors: [{ message: 'Incorrect field type: expected object', location }] };
+      }
+      const result = checkFields(schema, data, fromQuery, `${location}.`);
+      return result.errors.length ? { errors: result.errors } : { value: result.value };
+    }
+  };
+}
+
+// An array whose items all follow `itemRule`, with at most `max` of them.
+// Problems are reported at e.g. `instruments.2`.
+function list(itemRule, options = {}) {
+  return rule(options, (items, fromQuery, location) => {
+    if (!Array.isArray(items)) {
+      return { message: 'Incorrect field type: expected array' };
+    }
+    if (options.max !== undefined && items.length > options.max) {
+      return { message: `Must have at most ${options.max} items` };
+    }
+    const value = [];
+    let errors = [];
+    items.forEach((item, i) => {
+      const result = itemRule.check(item, `${location}.${i}`, fromQuery);
+      if (result.errors) {
+        errors = errors.concat(result.errors);
+      } else {
+        value.push(result.value);
+      }
+    });
+    return errors.length ? { errors } : { value };
+  });
+}
+
+// Middleware checking req.body, or req.query when `where` is 'query'.
+// Fields the schema doesn't mention are passed through untouched.
+function validate(schema, where = 'body') {
+  return (req, res, next) => {
+    const data = req[where] || {};
+    const { value, errors } = checkFields(schema, data, where === 'query');
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+    req[where] = Object.assign({}, data, value);
+    next();
+  };
+}
+
+module.exports = { validate, checkFields, validationError, string, number, boolean, date, id, object, list, custom };